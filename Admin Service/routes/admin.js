@@ -138,5 +138,118 @@ router.post(
   }
 );
 
+/**
+ * GET /api/moderation/comments
+ * Fetches reported comments waiting for review from the event service
+ * Requires admin authentication and role authorization
+ */
+router.get(
+  "/moderation/comments",
+  authenticateToken,
+  authorizeRoles(["admin"]),
+  async (req, res) => {
+    try {
+      // Make a GET request to the event service to retrieve the moderation queue
+      const response = await axios.get(
+        `${process.env.EVENT_SERVICE_URL}/api/events/moderation/comments`,
+        {
+          params: req.query,
+          headers: { Authorization: req.header("Authorization") },
+        }
+      );
+
+      // Send the queue as JSON response
+      res.json(response.data);
+    } catch (err) {
+      // Return error status and message from the service or a fallback
+      res.status(err.response?.status || 500).json({
+        error: err.response?.data?.error || "Failed to fetch reported comments",
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/moderation/comments/:eventId/:commentId/:action
+ * Hides or restores a reported comment in the event service
+ * Requires admin authentication and role authorization
+ */
+router.post(
+  "/moderation/comments/:eventId/:commentId/:action",
+  authenticateToken,
+  authorizeRoles(["admin"]),
+  async (req, res) => {
+    const { eventId, commentId, action } = req.params;
+
+    // Validate the moderation action
+    if (!["hide", "restore"].includes(action)) {
+      return res
+        .status(400)
+        .json({ error: "Action must be either hide or restore." });
+    }
+
+    try {
+      // Apply the action to the comment in the event service
+      const response = await axios.post(
+        `${process.env.EVENT_SERVICE_URL}/api/events/${eventId}/comments/${commentId}/${action}`,
+        {},
+        { headers: { Authorization: req.header("Authorization") } }
+      );
+
+      // Send the updated comment as JSON response
+      res.json(response.data);
+    } catch (err) {
+      // Log error details for debugging
+      console.error("Moderation error:", {
+        message: err.message,
+        status: err.response?.status,
+        data: err.response?.data,
+      });
+
+      // Return error status and message from the service or a fallback
+      res.status(err.response?.status || 500).json({
+        error: err.response?.data?.error || `Failed to ${action} comment`,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/moderation/comments/:eventId/:commentId
+ * Deletes a reported comment in the event service
+ * Requires admin authentication and role authorization
+ */
+router.delete(
+  "/moderation/comments/:eventId/:commentId",
+  authenticateToken,
+  authorizeRoles(["admin"]),
+  async (req, res) => {
+    try {
+      const { eventId, commentId } = req.params;
+
+      // Delete the comment in the event service
+      await axios.delete(
+        `${process.env.EVENT_SERVICE_URL}/api/events/${eventId}/comments/${commentId}/moderation`,
+        { headers: { Authorization: req.header("Authorization") } }
+      );
+
+      // Send success response
+      res.json({ message: "Comment deleted successfully." });
+    } catch (err) {
+      // Log error details for debugging
+      console.error("Moderation error:", {
+        message: err.message,
+        status: err.response?.status,
+        data: err.response?.data,
+      });
+
+      // Return error status and message from the service or a fallback
+      res.status(err.response?.status || 500).json({
+        error: err.response?.data?.error || "Failed to delete comment",
+      });
+    }
+  }
+);
+
 // Export the router for use in the main server file
 export default router;
@@ -0,0 +1,153 @@
+// Import AgendaService for business logic related to event agendas
+import { AgendaService } from "../services/agendaService.js";
+
+/**
+ * Maps agenda errors to HTTP status codes
+ * @param {Error} err - Error thrown by AgendaService
+ * @returns {number} HTTP status code
+ */
+function errorStatus(err) {
+  if (err.message === "Access denied") return 403;
+  if (err.message.endsWith("not found")) return 404;
+  if (err.message.startsWith("Room ")) return 409;
+  return 400;
+}
+
+// Controller class for handling agenda sessions and bookmarks
+export class AgendaController {
+  constructor() {
+    // Initialize AgendaService instance for use in controller methods
+    this.agendaService = new AgendaService();
+  }
+
+  /**
+   * Retrieves the agenda of an event sorted by time
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAgenda(req, res) {
+    try {
+      // Call AgendaService; signed-in users also see which sessions they bookmarked
+      const agenda = await this.agendaService.getAgenda(
+        req.params.id,
+        req.user?.userId
+      );
+      res.json(agenda);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Adds a session to the agenda of an event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createSession(req, res) {
+    try {
+      // Call AgendaService to validate and store the session
+      const session = await this.agendaService.createSession(
+        req.params.id,
+        req.user.userId,
+        req.body
+      );
+      res.status(201).json(session);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Updates a session of an event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateSession(req, res) {
+    try {
+      // Call AgendaService to validate and apply the changes
+      const session = await this.agendaService.updateSession(
+        req.params.id,
+        req.params.sessionId,
+        req.user.userId,
+        req.body
+      );
+      res.json(session);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Removes a session from the agenda of an event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteSession(req, res) {
+    try {
+      // Call AgendaService to delete the session
+      const result = await this.agendaService.deleteSession(
+        req.params.id,
+        req.params.sessionId,
+        req.user.userId
+      );
+      res.json(result);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Bookmarks a session for the authenticated user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async bookmarkSession(req, res) {
+    try {
+      // Call AgendaService to add the bookmark
+      const result = await this.agendaService.bookmarkSession(
+        req.params.id,
+        req.params.sessionId,
+        req.user.userId
+      );
+      res.json(result);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Removes the authenticated user's bookmark from a session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeBookmark(req, res) {
+    try {
+      // Call AgendaService to remove the bookmark
+      const result = await this.agendaService.removeBookmark(
+        req.params.id,
+        req.params.sessionId,
+        req.user.userId
+      );
+      res.json(result);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Lists the sessions the authenticated user bookmarked across events
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getBookmarkedSessions(req, res) {
+    try {
+      // Call AgendaService to fetch the personal schedule
+      const sessions = await this.agendaService.getBookmarkedSessions(
+        req.user.userId
+      );
+      res.json(sessions);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+}
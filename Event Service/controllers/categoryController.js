@@ -0,0 +1,105 @@
+// Import CategoryService for business logic related to categories
+import { CategoryService } from "../services/categoryService.js";
+
+// Controller class for handling category-related HTTP requests
+export class CategoryController {
+  constructor() {
+    // Initialize CategoryService instance for use in controller methods
+    this.categoryService = new CategoryService();
+  }
+
+  /**
+   * Lists all categories (flat, or nested with ?tree=true)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listCategories(req, res) {
+    try {
+      // Fetch categories using CategoryService
+      const categories = await this.categoryService.listCategories(req.query);
+      res.json(categories);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves a single category by slug
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCategory(req, res) {
+    try {
+      // Fetch category using CategoryService
+      const category = await this.categoryService.getCategory(req.params.slug);
+      res.json(category);
+    } catch (err) {
+      // Handle missing categories with a 404 status
+      res.status(404).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Creates a category (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createCategory(req, res) {
+    try {
+      // Extract category data from request body
+      const { slug, name, parent } = req.body;
+
+      // Create category using CategoryService
+      const category = await this.categoryService.createCategory({
+        slug,
+        name,
+        parent,
+      });
+      res.status(201).json(category);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Updates the name or parent of a category (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateCategory(req, res) {
+    try {
+      // Extract update fields from request body
+      const { name, parent } = req.body;
+
+      // Update category using CategoryService
+      const category = await this.categoryService.updateCategory(
+        req.params.slug,
+        { name, parent }
+      );
+      res.json(category);
+    } catch (err) {
+      // Handle missing categories with a 404 status and other errors with a 400 status
+      const status = err.message === "Category not found" ? 404 : 400;
+      res.status(status).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Deletes an unused category (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteCategory(req, res) {
+    try {
+      // Delete category using CategoryService
+      const result = await this.categoryService.deleteCategory(req.params.slug);
+      res.json(result);
+    } catch (err) {
+      // Handle missing categories with a 404 status and other errors with a 400 status
+      const status = err.message === "Category not found" ? 404 : 400;
+      res.status(status).json({ error: err.message });
+    }
+  }
+}
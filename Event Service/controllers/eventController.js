@@ -1,6 +1,15 @@
 // Import EventService for business logic related to events
 import { EventService } from "../services/eventService.js";
 
+// Import iCalendar builder for calendar exports
+import { buildCalendar } from "../utils/ical.js";
+
+// Import the statuses an event can be created with
+import { INITIAL_STATUSES } from "../utils/eventStatus.js";
+
+// Import the builder for stored event locations
+import { buildLocation } from "../utils/geocoder.js";
+
 // Controller class for handling event-related HTTP requests
 export class EventController {
   constructor() {
@@ -16,15 +25,42 @@ export class EventController {
   async createEvent(req, res) {
     try {
       // Extract event data from request body
-      const { name, description, category, date, price } = req.body;
+      const {
+        name,
+        description,
+        category,
+        date,
+        endsAt,
+        durationMinutes,
+        timeZone,
+        price,
+        capacity,
+        recurrence,
+        exceptionDates,
+        status,
+        tags,
+        venueId,
+      } = req.body;
 
-      // Validate required fields: name and date
-      if (!name || !date) {
-        return res.status(400).json({ error: "name and date are required" });
+      // Older clients send the start as date
+      const startsAt = req.body.startsAt ?? date;
+
+      // Validate required fields: name and start
+      if (!name || !startsAt) {
+        return res
+          .status(400)
+          .json({ error: "name and startsAt are required" });
       }
 
-      // Validate geocoded location with city
-      if (!req.geocodedLocation) {
+      // Events start as drafts unless the organizer publishes them right away
+      if (status !== undefined && !INITIAL_STATUSES.includes(status)) {
+        return res
+          .status(400)
+          .json({ error: `status must be one of ${INITIAL_STATUSES}` });
+      }
+
+      // Validate geocoded location with city (events at a venue take the venue's location)
+      if (!venueId && !req.geocodedLocation) {
         return res
           .status(400)
           .json({ error: "Geocoded location with city is required" });
@@ -35,15 +71,29 @@ export class EventController {
         name,
         description: description || "",
         category: category || "other",
-        date,
+        startsAt,
+        endsAt,
+        durationMinutes,
+        timeZone,
         price,
-        city: req.geocodedLocation.city,
-        location: {
-          address: req.geocodedLocation.address,
-          placeId: req.geocodedLocation.placeId,
-        },
+        capacity: capacity ?? null,
+        tags: tags || [],
+        status: status || "draft",
+        ...(venueId
+          ? { venueId }
+          : {
+              city: req.geocodedLocation.city,
+              location: buildLocation(req.geocodedLocation),
+            }),
       };
 
+      // Record the publication date of events published on creation
+      if (eventData.status === "published") eventData.publishedAt = new Date();
+
+      // Attach the recurrence rule for recurring events
+      if (recurrence) eventData.recurrence = recurrence;
+      if (exceptionDates) eventData.exceptionDates = exceptionDates;
+
       // Create event using EventService
       const event = await this.eventService.createEvent(
         eventData,
@@ -119,6 +169,85 @@ export class EventController {
     }
   }
 
+  /**
+   * Replies to a comment on an event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async replyToComment(req, res) {
+    try {
+      // Call EventService to add a reply below the comment
+      const result = await this.eventService.commentOnEvent(
+        req.params.id,
+        req.user.userId,
+        req.body.text,
+        req.params.commentId
+      );
+      res.json(result);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves the comments of an event as threads
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getComments(req, res) {
+    try {
+      // Fetch threaded comments using EventService
+      const comments = await this.eventService.getComments(req.params.id);
+      res.json(comments);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Adds a reaction to a comment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reactToComment(req, res) {
+    try {
+      // Call EventService to add the reaction
+      const result = await this.eventService.reactToComment(
+        req.params.id,
+        req.params.commentId,
+        req.user.userId,
+        req.body.reaction
+      );
+      res.json(result);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Removes a reaction from a comment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeReaction(req, res) {
+    try {
+      // Call EventService to remove the reaction
+      const result = await this.eventService.removeReaction(
+        req.params.id,
+        req.params.commentId,
+        req.user.userId,
+        req.params.reaction
+      );
+      res.json(result);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
   /**
    * Updates a comment on an event
    * @param {Object} req - Express request object
@@ -167,9 +296,9 @@ export class EventController {
    */
   async getEvents(req, res) {
     try {
-      // Fetch events using EventService with query parameters
-      const events = await this.eventService.getEvents(req.query);
-      res.json(events);
+      // Fetch a page of events using EventService with query parameters
+      const page = await this.eventService.getEvents(req.query);
+      res.json(page);
     } catch (err) {
       // Handle errors with a 400 status
       res.status(400).json({ error: err.message });
@@ -177,25 +306,90 @@ export class EventController {
   }
 
   /**
-   * Retrieves events near a specified city
+   * Retrieves upcoming events ranked by trending score, optionally in one city
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async getNearbyEvents(req, res) {
+  async getTrendingEvents(req, res) {
     try {
-      // Extract city and limit from query parameters
-      const { city, limit } = req.query;
+      // Fetch a page of trending events using EventService
+      const page = await this.eventService.getTrendingEvents(req.query);
+      res.json(page);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
 
-      // Validate city parameter
-      if (!city) {
-        return res
-          .status(400)
-          .json({ error: "City query parameter is required" });
+  /**
+   * Retrieves upcoming events recommended to the authenticated user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRecommendedEvents(req, res) {
+    try {
+      // Fetch recommendations using EventService with user ID from JWT
+      const result = await this.eventService.getRecommendedEvents(
+        req.user.userId,
+        req.query
+      );
+      res.json(result);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves the most used tags of upcoming events, optionally per city
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPopularTags(req, res) {
+    try {
+      // Fetch tag counts using EventService
+      const tags = await this.eventService.getPopularTags(req.query);
+      res.json(tags);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Suggests tags for autocomplete
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async suggestTags(req, res) {
+    try {
+      // Fetch matching tags using EventService
+      const tags = await this.eventService.suggestTags(req.query);
+      res.json(tags);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves events near a specified city or coordinates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getNearbyEvents(req, res) {
+    try {
+      // Validate that either a city or coordinates were provided
+      const { city, lat, lng } = req.query;
+      if (!city && (lat === undefined || lng === undefined)) {
+        return res.status(400).json({
+          error: "Either city or lat and lng query parameters are required",
+        });
       }
 
-      // Fetch nearby events using EventService
-      const events = await this.eventService.getNearbyEvents(city, limit);
-      res.json(events);
+      // Fetch a page of nearby events using EventService
+      const page = await this.eventService.getNearbyEvents(req.query);
+      res.json(page);
     } catch (err) {
       // Handle errors with a 400 status
       res.status(400).json({ error: err.message });
@@ -209,9 +403,11 @@ export class EventController {
    */
   async getEventById(req, res) {
     try {
-      // Fetch event by ID using EventService
-      const event = await this.eventService.eventRepository.findById(
-        req.params.id
+      // Fetch event by ID and count the view (drafts are only visible to their organizer)
+      const event = await this.eventService.viewEvent(
+        req.params.id,
+        req.user?.userId,
+        req.ip
       );
 
       // Check if event exists
@@ -224,6 +420,175 @@ export class EventController {
     }
   }
 
+  /**
+   * Exports a single event as an iCalendar (.ics) file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportEvent(req, res) {
+    try {
+      // Fetch event by ID using EventService (drafts are only visible to their organizer)
+      const event = await this.eventService.getEventById(
+        req.params.id,
+        req.user?.userId
+      );
+
+      // Check if event exists
+      if (!event) return res.status(404).json({ error: "Event not found" });
+
+      // Send the calendar as a downloadable file
+      res
+        .type("text/calendar; charset=utf-8")
+        .attachment(`event-${event._id}.ics`)
+        .send(buildCalendar([event], { name: event.name }));
+    } catch (err) {
+      // Handle invalid ID errors with a 400 status
+      res.status(400).json({ error: "Invalid id" });
+    }
+  }
+
+  /**
+   * Exports a subscribable iCalendar feed of events matching query filters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportFeed(req, res) {
+    try {
+      // Fetch events using the same filters as GET /api/events
+      const events = await this.eventService.getCalendarFeed(req.query);
+
+      // Send the calendar inline so clients can subscribe to the URL
+      res.type("text/calendar; charset=utf-8").send(
+        buildCalendar(events, {
+          name: "Event Finder",
+          refreshInterval: "PT1H",
+        })
+      );
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves the authenticated organizer's events, including drafts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMyEvents(req, res) {
+    try {
+      // Fetch a page of the organizer's events using EventService
+      const page = await this.eventService.getOrganizerEvents(
+        req.user.userId,
+        req.query
+      );
+      res.json(page);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Reports engagement of the authenticated organizer's events in daily buckets
+   * For GET /:id/analytics the report is restricted to that event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAnalytics(req, res) {
+    try {
+      // Build the report using AnalyticsService
+      const report =
+        await this.eventService.analyticsService.getOrganizerAnalytics(
+          req.user.userId,
+          { ...req.query, eventId: req.params.id }
+        );
+      res.json(report);
+    } catch (err) {
+      // Handle access errors with a 403 status and other errors with a 400 status
+      const status = err.message === "Access denied" ? 403 : 400;
+      res.status(status).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Publishes a draft or postponed event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async publishEvent(req, res) {
+    await this.changeStatus(req, res, "published");
+  }
+
+  /**
+   * Cancels an event; a reason shown to users is required
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelEvent(req, res) {
+    await this.changeStatus(req, res, "cancelled");
+  }
+
+  /**
+   * Postpones a published event, optionally with a reason shown to users
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async postponeEvent(req, res) {
+    await this.changeStatus(req, res, "postponed");
+  }
+
+  /**
+   * Marks a published event as completed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async completeEvent(req, res) {
+    await this.changeStatus(req, res, "completed");
+  }
+
+  /**
+   * Shared handler for lifecycle transitions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} status - Target status
+   */
+  async changeStatus(req, res, status) {
+    try {
+      // Change the status of the event (or its whole series with ?scope=series)
+      const result = await this.eventService.changeStatus(
+        req.params.id,
+        req.user.userId,
+        status,
+        { reason: req.body?.reason, scope: req.query.scope }
+      );
+      res.json(result);
+    } catch (err) {
+      // Handle missing events with a 404 status and other errors with a 400 status
+      const code = err.message === "Event not found" ? 404 : 400;
+      res.status(code).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves a recurring series with its upcoming occurrences
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSeries(req, res) {
+    try {
+      // Fetch series using EventService
+      const result = await this.eventService.seriesService.getSeries(
+        req.params.seriesId
+      );
+      res.json(result);
+    } catch (err) {
+      // Handle missing series with a 404 status and invalid IDs with a 400 status
+      const status = err.message === "Series not found" ? 404 : 400;
+      res.status(status).json({ error: err.message });
+    }
+  }
+
   /**
    * Updates an existing event
    * @param {Object} req - Express request object
@@ -232,28 +597,56 @@ export class EventController {
   async updateEvent(req, res) {
     try {
       // Extract update fields from request body
-      const { name, description, category, date, price } = req.body;
+      const {
+        name,
+        description,
+        category,
+        date,
+        endsAt,
+        durationMinutes,
+        timeZone,
+        price,
+        capacity,
+        recurrence,
+        exceptionDates,
+        tags,
+        venueId,
+      } = req.body;
+
+      // Older clients send the start as date
+      const startsAt = req.body.startsAt ?? date;
 
       // Build update data object with provided fields
       const updateData = {};
       if (name) updateData.name = name;
       if (description) updateData.description = description;
       if (category) updateData.category = category;
-      if (date) updateData.date = date;
+      if (startsAt) updateData.startsAt = startsAt;
+      if (endsAt) updateData.endsAt = endsAt;
+      if (durationMinutes !== undefined)
+        updateData.durationMinutes = durationMinutes;
+      if (timeZone) updateData.timeZone = timeZone;
       if (price !== undefined) updateData.price = price;
-      if (req.geocodedLocation) {
+      if (capacity !== undefined) updateData.capacity = capacity;
+      if (tags !== undefined) updateData.tags = tags;
+      if (recurrence !== undefined) updateData.recurrence = recurrence;
+      if (exceptionDates !== undefined)
+        updateData.exceptionDates = exceptionDates;
+      // Move the event to a venue, or to an address of its own (unlinking its venue)
+      if (venueId) {
+        updateData.venueId = venueId;
+      } else if (req.geocodedLocation) {
         updateData.city = req.geocodedLocation.city;
-        updateData.location = {
-          address: req.geocodedLocation.address,
-          placeId: req.geocodedLocation.placeId,
-        };
+        updateData.location = buildLocation(req.geocodedLocation);
+        updateData.venueId = null;
       }
 
-      // Update event using EventService
+      // Update event (or its whole series with ?scope=series) using EventService
       const event = await this.eventService.updateEvent(
         req.params.id,
         req.user.userId,
-        updateData
+        updateData,
+        req.query.scope
       );
       res.json(event);
     } catch (err) {
@@ -269,10 +662,13 @@ export class EventController {
    */
   async deleteEvent(req, res) {
     try {
-      // Delete event using EventService
+      // Delete event (or its whole series with ?scope=series) using EventService
+      // Occurrences are cancelled instead, with an optional ?reason=
       const result = await this.eventService.deleteEvent(
         req.params.id,
-        req.user.userId
+        req.user.userId,
+        req.query.scope,
+        req.query.reason
       );
       res.json(result);
     } catch (err) {
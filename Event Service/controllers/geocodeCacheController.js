@@ -0,0 +1,84 @@
+// Import GeocodeCacheService for business logic related to the geocode cache
+import { GeocodeCacheService } from "../services/geocodeCacheService.js";
+
+/**
+ * Maps geocode cache errors to HTTP status codes
+ * @param {Error} err - Error thrown by GeocodeCacheService
+ * @returns {number} HTTP status code
+ */
+function errorStatus(err) {
+  if (err.message.endsWith("not found")) return 404;
+  return 400;
+}
+
+// Controller class for handling admin requests on the geocode cache
+export class GeocodeCacheController {
+  constructor() {
+    // Initialize GeocodeCacheService instance for use in controller methods
+    this.geocodeCacheService = new GeocodeCacheService();
+  }
+
+  /**
+   * Lists cache entries (optional ?q=, ?status=, ?limit=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listEntries(req, res) {
+    try {
+      // Fetch entries using GeocodeCacheService
+      const entries = await this.geocodeCacheService.listEntries(req.query);
+      res.json(entries);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves cache hit/miss stats (optional ?days=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStats(req, res) {
+    try {
+      // Fetch stats using GeocodeCacheService
+      const stats = await this.geocodeCacheService.getStats(req.query);
+      res.json(stats);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Corrects a cache entry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async correctEntry(req, res) {
+    try {
+      // Apply the correction using GeocodeCacheService
+      const entry = await this.geocodeCacheService.correctEntry(
+        req.params.id,
+        req.body || {},
+        req.user.userId
+      );
+      res.json(entry);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Purges a cache entry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteEntry(req, res) {
+    try {
+      // Delete the entry using GeocodeCacheService
+      const result = await this.geocodeCacheService.deleteEntry(req.params.id);
+      res.json(result);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+}
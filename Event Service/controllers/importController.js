@@ -0,0 +1,65 @@
+// Import ImportService for business logic related to bulk imports
+import { ImportService } from "../services/importService.js";
+
+/**
+ * Maps import errors to HTTP status codes
+ * @param {Error} err - Error thrown by ImportService
+ * @returns {number} HTTP status code
+ */
+function errorStatus(err) {
+  if (err.message === "Access denied") return 403;
+  if (err.message.endsWith("not found")) return 404;
+  return 400;
+}
+
+// Controller class for handling bulk event imports
+export class ImportController {
+  constructor() {
+    // Initialize ImportService instance for use in controller methods
+    this.importService = new ImportService();
+  }
+
+  /**
+   * Validates an import (dry run) or starts an import job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async importEvents(req, res) {
+    try {
+      // Read the rows from the uploaded file or the JSON body
+      const input = { file: req.file, events: req.body?.events };
+
+      // dryRun may come from the query string or a form field
+      const dryRun = [req.query.dryRun, req.body?.dryRun].some(
+        (v) => v === true || v === "true"
+      );
+      if (dryRun) {
+        return res.json(await this.importService.dryRun(input));
+      }
+
+      // Accept the job; progress is available from the status endpoint
+      const job = await this.importService.startImport(req.user.userId, input);
+      res.status(202).json(job);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves the status of an import job with the outcome of every row
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getImportJob(req, res) {
+    try {
+      // Call ImportService; only the organizer who started the job can see it
+      const job = await this.importService.getJob(
+        req.params.jobId,
+        req.user.userId
+      );
+      res.json(job);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+}
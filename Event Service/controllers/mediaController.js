@@ -0,0 +1,107 @@
+// Import MediaService for business logic related to event images
+import { MediaService } from "../services/mediaService.js";
+
+// Controller class for handling event image uploads
+export class MediaController {
+  constructor() {
+    // Initialize MediaService instance for use in controller methods
+    this.mediaService = new MediaService();
+  }
+
+  /**
+   * Middleware that checks the user organizes the event before an upload is parsed,
+   * so nobody else can make the service buffer megabytes of images
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Next middleware
+   */
+  async authorizeUpload(req, res, next) {
+    try {
+      // Call MediaService to check the event and its organizer
+      await this.mediaService.findOwnedEvent(req.params.id, req.user.userId);
+      next();
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Sets or replaces the cover image of an event
+   * @param {Object} req - Express request object (req.file from uploadSingleImage)
+   * @param {Object} res - Express response object
+   */
+  async setCoverImage(req, res) {
+    try {
+      // Call MediaService to store the image and attach it to the event
+      const event = await this.mediaService.setCoverImage(
+        req.params.id,
+        req.user.userId,
+        req.file
+      );
+      res.json(event);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Removes the cover image of an event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeCoverImage(req, res) {
+    try {
+      // Call MediaService to remove the cover image
+      const event = await this.mediaService.removeCoverImage(
+        req.params.id,
+        req.user.userId
+      );
+      res.json(event);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Adds images to the gallery of an event
+   * @param {Object} req - Express request object (req.files from uploadImageList)
+   * @param {Object} res - Express response object
+   */
+  async addGalleryImages(req, res) {
+    try {
+      // Call MediaService to store the images and append them to the gallery
+      const event = await this.mediaService.addGalleryImages(
+        req.params.id,
+        req.user.userId,
+        req.files
+      );
+      res.status(201).json(event);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Removes an image from the gallery of an event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeGalleryImage(req, res) {
+    try {
+      // Call MediaService to remove the image
+      const event = await this.mediaService.removeGalleryImage(
+        req.params.id,
+        req.user.userId,
+        req.params.imageId
+      );
+      res.json(event);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+}
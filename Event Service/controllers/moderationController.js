@@ -0,0 +1,116 @@
+// Import ModerationService for business logic related to comment moderation
+import { ModerationService } from "../services/moderationService.js";
+
+/**
+ * Maps moderation errors to HTTP status codes
+ * @param {Error} err - Error thrown by ModerationService
+ * @returns {number} HTTP status code
+ */
+function errorStatus(err) {
+  if (err.message === "Access denied") return 403;
+  if (err.message.endsWith("not found")) return 404;
+  return 400;
+}
+
+// Controller class for handling comment reports and moderation requests
+export class ModerationController {
+  constructor() {
+    // Initialize ModerationService instance for use in controller methods
+    this.moderationService = new ModerationService();
+  }
+
+  /**
+   * Reports a comment on an event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reportComment(req, res) {
+    try {
+      // Extract report details from request body
+      const { reason, note } = req.body;
+
+      // Call ModerationService to record the report
+      const result = await this.moderationService.reportComment(
+        req.params.id,
+        req.params.commentId,
+        req.user.userId,
+        reason,
+        note
+      );
+      res.status(201).json(result);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Hides a comment (event organizer or admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async hideComment(req, res) {
+    try {
+      // Call ModerationService to hide the comment
+      const comment = await this.moderationService.hideComment(
+        req.params.id,
+        req.params.commentId,
+        req.user
+      );
+      res.json(comment);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Restores a hidden comment (admin, or the organizer who hid it)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async restoreComment(req, res) {
+    try {
+      // Call ModerationService to restore the comment
+      const comment = await this.moderationService.restoreComment(
+        req.params.id,
+        req.params.commentId,
+        req.user
+      );
+      res.json(comment);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Deletes a reported comment (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteComment(req, res) {
+    try {
+      // Call ModerationService to delete the comment
+      const result = await this.moderationService.deleteComment(
+        req.params.id,
+        req.params.commentId
+      );
+      res.json(result);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves the queue of reported comments (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQueue(req, res) {
+    try {
+      // Fetch the moderation queue using ModerationService
+      const queue = await this.moderationService.getQueue(req.query);
+      res.json(queue);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+}
@@ -0,0 +1,86 @@
+// Import RegistrationService for business logic related to RSVPs
+import { RegistrationService } from "../services/registrationService.js";
+
+// Controller class for handling RSVP-related HTTP requests
+export class RegistrationController {
+  constructor() {
+    // Initialize RegistrationService instance for use in controller methods
+    this.registrationService = new RegistrationService();
+  }
+
+  /**
+   * RSVPs the authenticated user to an event (or joins the waitlist)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rsvp(req, res) {
+    try {
+      // Call RegistrationService to register the user
+      const result = await this.registrationService.rsvp(
+        req.params.id,
+        req.user.userId
+      );
+      res.status(result.status === "confirmed" ? 201 : 202).json(result);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Cancels the authenticated user's RSVP to an event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelRsvp(req, res) {
+    try {
+      // Call RegistrationService to cancel the registration
+      const result = await this.registrationService.cancelRsvp(
+        req.params.id,
+        req.user.userId
+      );
+      res.json(result);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves the authenticated user's RSVP status for an event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRsvpStatus(req, res) {
+    try {
+      // Call RegistrationService to look up the registration
+      const result = await this.registrationService.getRsvpStatus(
+        req.params.id,
+        req.user.userId
+      );
+      res.json(result);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Lists attendees and the waitlist of an event (organizer only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAttendees(req, res) {
+    try {
+      // Call RegistrationService to fetch the attendee list
+      const result = await this.registrationService.getAttendees(
+        req.params.id,
+        req.user.userId
+      );
+      res.json(result);
+    } catch (err) {
+      // Handle errors with a 400 status
+      res.status(400).json({ error: err.message });
+    }
+  }
+}
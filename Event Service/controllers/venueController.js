@@ -0,0 +1,134 @@
+// Import VenueService for business logic related to venues
+import { VenueService } from "../services/venueService.js";
+
+// Import EventService to list the events at a venue
+import { EventService } from "../services/eventService.js";
+
+/**
+ * Maps venue errors to HTTP status codes
+ * @param {Error} err - Error thrown by VenueService or EventService
+ * @returns {number} HTTP status code
+ */
+function errorStatus(err) {
+  if (err.message === "Access denied") return 403;
+  if (err.message.endsWith("not found")) return 404;
+  if (err.message.endsWith("already exists at this place")) return 409;
+  if (err.message.startsWith("Venue location cannot change")) return 409;
+  return 400;
+}
+
+// Controller class for handling venue-related HTTP requests
+export class VenueController {
+  constructor() {
+    // Initialize services for use in controller methods
+    this.venueService = new VenueService();
+    this.eventService = new EventService();
+  }
+
+  /**
+   * Creates a venue, or returns the existing venue at the same place
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createVenue(req, res) {
+    try {
+      // Create the venue from the geocoded address or map pin using VenueService
+      const { venue, created } = await this.venueService.createVenue(
+        req.body,
+        req.geocodedLocation,
+        req.user.userId
+      );
+
+      // 201 for new venues, 200 when the place was already registered
+      res.status(created ? 201 : 200).json(venue);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Lists venues (optional ?q=, ?city=, ?limit=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listVenues(req, res) {
+    try {
+      // Fetch venues using VenueService
+      const venues = await this.venueService.listVenues(req.query);
+      res.json(venues);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Retrieves a venue by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getVenue(req, res) {
+    try {
+      // Fetch the venue using VenueService
+      const venue = await this.venueService.getVenue(req.params.id);
+      res.json(venue);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Lists the published events at a venue (optional ?futureOnly=, ?limit=, ?cursor=, ?includeTotal=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getVenueEvents(req, res) {
+    try {
+      // Fetch a page of events using EventService
+      const page = await this.eventService.getVenueEvents(
+        req.params.id,
+        req.query
+      );
+      res.json(page);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Updates a venue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateVenue(req, res) {
+    try {
+      // Update the venue (and move its events when the location changed) using VenueService
+      const venue = await this.venueService.updateVenue(
+        req.params.id,
+        req.user.userId,
+        req.body,
+        req.geocodedLocation
+      );
+      res.json(venue);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Deletes a venue without events
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteVenue(req, res) {
+    try {
+      // Delete the venue using VenueService
+      const result = await this.venueService.deleteVenue(
+        req.params.id,
+        req.user.userId
+      );
+      res.json(result);
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  }
+}
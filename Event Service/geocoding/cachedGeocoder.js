@@ -0,0 +1,125 @@
+// Import the repository for the MongoDB geocode cache
+import { GeocodeCacheRepository } from "../repositories/geocodeCacheRepository.js";
+
+// Import the shared error messages and lookup keys
+import { UNRESOLVED_ADDRESS, UNRESOLVED_COORDINATES } from "./errors.js";
+import { addressKey, coordinateKey } from "./normalize.js";
+
+/**
+ * Geocoder that answers repeated addresses and points from the MongoDB geocode cache
+ * Found addresses are kept for ttlMs and unresolvable ones for negativeTtlMs;
+ * provider failures (rate limits, outages) are never cached. Cache errors are
+ * logged and the lookup goes to the providers, so a cache outage never blocks
+ * event creation
+ */
+export class CachedGeocoder {
+  /**
+   * @param {Object} geocoder - Geocoder asked on cache misses
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlMs - Lifetime of found addresses
+   * @param {number} options.negativeTtlMs - Lifetime of unresolvable addresses
+   */
+  constructor(geocoder, { ttlMs, negativeTtlMs }) {
+    this.geocoder = geocoder;
+    this.ttlMs = ttlMs;
+    this.negativeTtlMs = negativeTtlMs;
+    this.repository = new GeocodeCacheRepository();
+  }
+
+  /**
+   * Runs a cache operation, logging instead of throwing when it fails
+   * @param {Promise} operation - Repository call
+   * @returns {Promise<*>} Its result, or null when it failed
+   */
+  async safely(operation) {
+    try {
+      return await operation;
+    } catch (err) {
+      console.error("Geocoder: Cache error:", err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Geocodes an address, from the cache when possible
+   * @param {string} address - Free-form address
+   * @returns {Promise<Object>} Normalized result (see normalize.js)
+   * @throws {Error} UNRESOLVED_ADDRESS for cached or new misses, or the providers' failure
+   */
+  async search(address) {
+    return await this.cached(
+      addressKey(address),
+      address,
+      () => this.geocoder.search(address),
+      UNRESOLVED_ADDRESS
+    );
+  }
+
+  /**
+   * Finds the address at a point, from the cache when possible
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<Object>} Normalized result (see normalize.js)
+   * @throws {Error} UNRESOLVED_COORDINATES for cached or new misses, or the providers' failure
+   */
+  async reverse(lat, lng) {
+    return await this.cached(
+      coordinateKey(lat, lng),
+      `${lat},${lng}`,
+      () => this.geocoder.reverse(lat, lng),
+      UNRESOLVED_COORDINATES
+    );
+  }
+
+  /**
+   * Answers a lookup from the cache, or asks the providers and caches their answer
+   * @param {string} key - Lookup key
+   * @param {string} query - Lookup as requested, kept for admins
+   * @param {Function} lookup - Asks the providers
+   * @param {string} unresolved - Error message of lookups without a result
+   * @returns {Promise<Object>} Normalized result
+   * @throws {Error} The unresolved message for cached or new misses, or the providers' failure
+   */
+  async cached(key, query, lookup, unresolved) {
+    // Answer from the cache when the lookup was made recently
+    const entry = await this.safely(this.repository.findByKey(key));
+    if (entry) {
+      const resolved = entry.status === "resolved";
+      this.safely(this.repository.recordHit(entry._id));
+      this.safely(
+        this.repository.incrementStat(resolved ? "hits" : "negativeHits")
+      );
+      if (!resolved) throw new Error(unresolved);
+      return entry.result;
+    }
+
+    // Ask the providers and remember the answer
+    this.safely(this.repository.incrementStat("misses"));
+    try {
+      const result = await lookup();
+      await this.safely(
+        this.repository.store(key, {
+          query,
+          status: "resolved",
+          result,
+          expiresAt: new Date(Date.now() + this.ttlMs),
+        })
+      );
+      return result;
+    } catch (err) {
+      if (err.message === unresolved) {
+        await this.safely(
+          this.repository.store(key, {
+            query,
+            status: "unresolved",
+            result: null,
+            expiresAt: new Date(Date.now() + this.negativeTtlMs),
+          })
+        );
+      } else {
+        this.safely(this.repository.incrementStat("failures"));
+      }
+      throw err;
+    }
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * City resolution profiles, selected by the geocoder's country_code
+ *
+ * Every profile has the same fields:
+ * - cityFields: address components that can hold the city, in order of preference
+ * - states: first-level regions that are never cities; city-states whose region
+ *   and city share a name (Berlin, New York) are left out
+ * - adminPrefixes / adminSuffixes: words marking administrative areas rather than
+ *   cities; they are stripped from names ("Pune District" -> "Pune",
+ *   "Landkreis Dachau" -> "Dachau") and names that still contain them are rejected
+ *
+ * Countries without a profile use DEFAULT_PROFILE. Check changes against the
+ * fixtures with `node scripts/checkCityResolution.js`
+ */
+
+// Profile for countries without specific rules
+export const DEFAULT_PROFILE = {
+  cityFields: ["city", "town", "village", "municipality", "hamlet"],
+  states: [],
+  adminPrefixes: [],
+  adminSuffixes: [],
+};
+
+// Profiles by ISO 3166-1 alpha-2 country code (lower case)
+export const COUNTRY_PROFILES = {
+  // India: districts, tahsils and mandals often appear where the city is expected
+  in: {
+    cityFields: ["city", "county", "city_district", "town", "village"],
+    states: [
+      "Andhra Pradesh",
+      "Arunachal Pradesh",
+      "Assam",
+      "Bihar",
+      "Chhattisgarh",
+      "Goa",
+      "Gujarat",
+      "Haryana",
+      "Himachal Pradesh",
+      "Jharkhand",
+      "Karnataka",
+      "Kerala",
+      "Madhya Pradesh",
+      "Maharashtra",
+      "Manipur",
+      "Meghalaya",
+      "Mizoram",
+      "Nagaland",
+      "Odisha",
+      "Punjab",
+      "Rajasthan",
+      "Sikkim",
+      "Tamil Nadu",
+      "Telangana",
+      "Tripura",
+      "Uttar Pradesh",
+      "Uttarakhand",
+      "West Bengal",
+    ],
+    adminPrefixes: [],
+    adminSuffixes: [
+      "Tahsil",
+      "Tehsil",
+      "District",
+      "Taluk",
+      "Taluka",
+      "Mandal",
+    ],
+  },
+  // United States: counties and parishes are never the city
+  us: {
+    cityFields: ["city", "town", "village", "hamlet"],
+    states: [
+      "Alabama",
+      "Alaska",
+      "Arizona",
+      "Arkansas",
+      "California",
+      "Colorado",
+      "Connecticut",
+      "Delaware",
+      "Florida",
+      "Georgia",
+      "Hawaii",
+      "Idaho",
+      "Illinois",
+      "Indiana",
+      "Iowa",
+      "Kansas",
+      "Kentucky",
+      "Louisiana",
+      "Maine",
+      "Maryland",
+      "Massachusetts",
+      "Michigan",
+      "Minnesota",
+      "Mississippi",
+      "Missouri",
+      "Montana",
+      "Nebraska",
+      "Nevada",
+      "New Hampshire",
+      "New Jersey",
+      "New Mexico",
+      "North Carolina",
+      "North Dakota",
+      "Ohio",
+      "Oklahoma",
+      "Oregon",
+      "Pennsylvania",
+      "Rhode Island",
+      "South Carolina",
+      "South Dakota",
+      "Tennessee",
+      "Texas",
+      "Utah",
+      "Vermont",
+      "Virginia",
+      "West Virginia",
+      "Wisconsin",
+      "Wyoming",
+    ],
+    adminPrefixes: [],
+    adminSuffixes: ["County", "Parish"],
+  },
+  // United Kingdom: constituent countries sit where states are elsewhere
+  gb: {
+    cityFields: ["city", "town", "village", "hamlet"],
+    states: ["England", "Scotland", "Wales", "Northern Ireland"],
+    adminPrefixes: ["City of", "Royal Borough of", "London Borough of"],
+    adminSuffixes: [],
+  },
+  // Germany: districts are written as "Landkreis X" or "Kreis X"
+  de: {
+    cityFields: ["city", "town", "village", "municipality"],
+    states: [
+      "Baden-Württemberg",
+      "Bayern",
+      "Brandenburg",
+      "Hessen",
+      "Mecklenburg-Vorpommern",
+      "Niedersachsen",
+      "Nordrhein-Westfalen",
+      "Rheinland-Pfalz",
+      "Saarland",
+      "Sachsen",
+      "Sachsen-Anhalt",
+      "Schleswig-Holstein",
+      "Thüringen",
+    ],
+    adminPrefixes: ["Landkreis", "Kreis", "Regierungsbezirk"],
+    adminSuffixes: [],
+  },
+  // Australia: local government areas ("Council of the City of Sydney") fill the city field
+  au: {
+    cityFields: ["city", "town", "village"],
+    states: [
+      "New South Wales",
+      "Victoria",
+      "Queensland",
+      "Western Australia",
+      "South Australia",
+      "Tasmania",
+      "Northern Territory",
+      "Australian Capital Territory",
+    ],
+    adminPrefixes: ["Council of the City of", "City of"],
+    adminSuffixes: ["City Council", "Shire Council", "Council", "Shire"],
+  },
+};
+
+/**
+ * Returns the city resolution profile of a country
+ * @param {string} [countryCode] - ISO 3166-1 alpha-2 code from the geocoder (e.g., "in")
+ * @returns {Object} Profile ({ countryCode, cityFields, states, adminPrefixes, adminSuffixes })
+ */
+export function cityProfile(countryCode) {
+  const code = (countryCode || "").toLowerCase();
+  return {
+    ...DEFAULT_PROFILE,
+    ...COUNTRY_PROFILES[code],
+    countryCode: COUNTRY_PROFILES[code] ? code : "default",
+  };
+}
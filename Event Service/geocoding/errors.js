@@ -0,0 +1,43 @@
+// Error for addresses no geocoding provider can resolve
+export const UNRESOLVED_ADDRESS =
+  "Unable to geocode the provided address. Please check the address and try again.";
+
+// Error for coordinates no geocoding provider has an address for
+export const UNRESOLVED_COORDINATES =
+  "Unable to find an address at the provided coordinates. Please check the location and try again.";
+
+// Error for exhausted provider rate limits
+export const RATE_LIMITED = "Rate limit exceeded. Please try again later.";
+
+/**
+ * Converts a failed provider request into an error with a client-facing message
+ * @param {string} provider - Display name of the provider (e.g., "LocationIQ")
+ * @param {Error} err - Error thrown by axios
+ * @returns {Error} Error describing the failure
+ */
+export function providerError(provider, err) {
+  // Log the error details for debugging
+  console.error(`Geocoder: ${provider} error:`, err.message);
+  if (!err.response)
+    return new Error(
+      `Failed to geocode address with ${provider}: ${err.message}`
+    );
+
+  // Log the API response status and data for debugging
+  console.error(
+    `Geocoder: ${provider} response:`,
+    err.response.status,
+    err.response.data
+  );
+
+  // 429: too many requests
+  if (err.response.status === 429) return new Error(RATE_LIMITED);
+  // 401 or 403: invalid API key or blocked by the provider's usage policy
+  if ([401, 403].includes(err.response.status))
+    return new Error(
+      `${provider} rejected the request (check its API key). Contact the administrator.`
+    );
+  return new Error(
+    `Failed to geocode address with ${provider}: ${err.message}`
+  );
+}
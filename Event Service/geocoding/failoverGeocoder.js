@@ -0,0 +1,75 @@
+// Import the shared error messages
+import { UNRESOLVED_ADDRESS, UNRESOLVED_COORDINATES } from "./errors.js";
+
+/**
+ * Geocoder that asks several providers in order until one finds the address or point
+ * A provider that fails (missing key, rate limit, timeout) or has no match
+ * hands over to the next one
+ */
+export class FailoverGeocoder {
+  /**
+   * @param {Array} providers - Providers in order of preference
+   */
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * Geocodes an address with the first provider that finds it
+   * @param {string} address - Free-form address
+   * @returns {Promise<Object>} Normalized result (see normalize.js)
+   * @throws {Error} UNRESOLVED_ADDRESS if every provider answered without finding
+   * the address, otherwise the first provider's failure
+   */
+  async search(address) {
+    return await this.firstAnswer(
+      (provider) => provider.search(address),
+      UNRESOLVED_ADDRESS
+    );
+  }
+
+  /**
+   * Finds the address at a point with the first provider that has one
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<Object>} Normalized result (see normalize.js)
+   * @throws {Error} UNRESOLVED_COORDINATES if every provider answered without an
+   * address, otherwise the first provider's failure
+   */
+  async reverse(lat, lng) {
+    return await this.firstAnswer(
+      (provider) => provider.reverse(lat, lng),
+      UNRESOLVED_COORDINATES
+    );
+  }
+
+  /**
+   * Asks the providers in order until one has a result
+   * @param {Function} lookup - Calls a provider; resolves to a result or null
+   * @param {string} unresolved - Error message when no provider has a result
+   * @returns {Promise<Object>} The first result
+   * @throws {Error} The unresolved message if every provider answered, or the
+   * first provider's failure
+   */
+  async firstAnswer(lookup, unresolved) {
+    let firstError = null;
+
+    for (const provider of this.providers) {
+      try {
+        const result = await lookup(provider);
+        if (result) return result;
+      } catch (err) {
+        console.error(
+          `Geocoder: ${provider.name} failed, trying the next provider:`,
+          err.message
+        );
+        firstError ??= err;
+      }
+    }
+
+    // Only a miss from every provider is a real miss; the failed provider might have
+    // found the place, so report the outage and keep the miss out of the cache
+    if (!firstError) throw new Error(unresolved);
+    throw firstError;
+  }
+}
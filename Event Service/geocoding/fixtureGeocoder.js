@@ -0,0 +1,135 @@
+// Import Node.js file system and path helpers to read the fixture files
+import fs from "fs/promises";
+import path from "path";
+
+// Import the shared result format and address keys
+import { addressKey, normalizeOsmResult } from "./normalize.js";
+
+// Points farther than this from every fixture have no address
+const REVERSE_RADIUS_KM = 2;
+
+/**
+ * Approximates the distance between two points (equirectangular projection, fine at fixture distances)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const x = toRadians(lng2 - lng1) * Math.cos(toRadians((lat1 + lat2) / 2));
+  const y = toRadians(lat2 - lat1);
+  return Math.sqrt(x * x + y * y) * 6371;
+}
+
+/**
+ * Reads the fixture files of a path: the file itself, or every .json file of a directory
+ * @param {string} fixturePath - Path of a fixture file or directory
+ * @returns {Promise<Array>} Fixture files ({ file, entries }), in file name order
+ * @throws {Error} If a file cannot be read or parsed
+ */
+export async function readFixtureFiles(fixturePath) {
+  let files = [fixturePath];
+  try {
+    if ((await fs.stat(fixturePath)).isDirectory()) {
+      files = (await fs.readdir(fixturePath))
+        .filter((name) => name.endsWith(".json"))
+        .sort()
+        .map((name) => path.join(fixturePath, name));
+    }
+  } catch (err) {
+    throw new Error(
+      `Cannot read geocoding fixtures from ${fixturePath}: ${err.message}`
+    );
+  }
+
+  const fixtureFiles = [];
+  for (const file of files) {
+    try {
+      fixtureFiles.push({
+        file,
+        entries: JSON.parse(await fs.readFile(file, "utf8")),
+      });
+    } catch (err) {
+      throw new Error(
+        `Cannot read geocoding fixtures from ${file}: ${err.message}`
+      );
+    }
+  }
+  return fixtureFiles;
+}
+
+/**
+ * Offline geocoding provider that answers from JSON files, for local development and CI
+ * Each file maps addresses to results in the LocationIQ/Nominatim format
+ * ({ display_name, place_id, lat, lon, address }); "*" optionally answers every
+ * other address; addresses without an entry have no match. Reverse lookups answer
+ * with the nearest fixture within REVERSE_RADIUS_KM ("*" is not used)
+ */
+export class FixtureGeocoder {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.path - Path of a fixture file, or of a directory of fixture files
+   */
+  constructor({ path: fixturePath }) {
+    this.name = "fixture";
+    this.path = fixturePath;
+    this.fixtures = null;
+  }
+
+  /**
+   * Loads the fixture files on first use; later files win on duplicate addresses
+   * @returns {Promise<Map>} Results by lookup key
+   * @throws {Error} If a file cannot be read or parsed
+   */
+  async load() {
+    if (!this.fixtures) {
+      const fixtures = new Map();
+      for (const { entries } of await readFixtureFiles(this.path)) {
+        for (const [address, result] of Object.entries(entries)) {
+          fixtures.set(address === "*" ? "*" : addressKey(address), result);
+        }
+      }
+      this.fixtures = fixtures;
+    }
+    return this.fixtures;
+  }
+
+  /**
+   * Geocodes an address
+   * @param {string} address - Free-form address
+   * @returns {Promise<Object|null>} Normalized fixture result, or null when there is none
+   */
+  async search(address) {
+    const fixtures = await this.load();
+    const result = fixtures.get(addressKey(address)) ?? fixtures.get("*");
+    return result ? normalizeOsmResult(result, this.name) : null;
+  }
+
+  /**
+   * Finds the fixture nearest to a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<Object|null>} Normalized fixture result, or null when none is close enough
+   */
+  async reverse(lat, lng) {
+    const fixtures = await this.load();
+    let nearest = null;
+    let nearestKm = REVERSE_RADIUS_KM;
+    for (const [key, result] of fixtures) {
+      if (key === "*") continue;
+      const km = distanceKm(
+        lat,
+        lng,
+        parseFloat(result.lat),
+        parseFloat(result.lon)
+      );
+      if (km <= nearestKm) {
+        nearest = result;
+        nearestKm = km;
+      }
+    }
+    return nearest ? normalizeOsmResult(nearest, this.name) : null;
+  }
+}
@@ -0,0 +1,101 @@
+// Import Node.js path helpers to locate the bundled fixtures
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Import the available geocoding providers
+import { LocationIqGeocoder } from "./locationIqGeocoder.js";
+import { NominatimGeocoder } from "./nominatimGeocoder.js";
+import { FixtureGeocoder } from "./fixtureGeocoder.js";
+import { FailoverGeocoder } from "./failoverGeocoder.js";
+import { CachedGeocoder } from "./cachedGeocoder.js";
+
+// Default request timeout, so a slow provider hands over quickly
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Default lifetimes of cached found and unresolvable addresses
+const DEFAULT_CACHE_TTL_DAYS = 30;
+const DEFAULT_NEGATIVE_CACHE_TTL_HOURS = 24;
+
+// Fixture directory used when GEOCODER_FIXTURES is not set (one file per country)
+export const DEFAULT_FIXTURES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures"
+);
+
+// Provider implementations by GEOCODER_PROVIDERS value
+const PROVIDERS = {
+  locationiq: (timeoutMs) =>
+    new LocationIqGeocoder({
+      apiKey: process.env.LOCATIONIQ_API_KEY,
+      baseUrl: process.env.LOCATIONIQ_URL || "https://us1.locationiq.com/v1",
+      timeoutMs,
+    }),
+  nominatim: (timeoutMs) =>
+    new NominatimGeocoder({
+      baseUrl:
+        process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org",
+      userAgent:
+        process.env.NOMINATIM_USER_AGENT || "event-finder-event-service",
+      email: process.env.NOMINATIM_EMAIL,
+      timeoutMs,
+    }),
+  fixture: () =>
+    new FixtureGeocoder({
+      path: process.env.GEOCODER_FIXTURES || DEFAULT_FIXTURES,
+    }),
+};
+
+// Geocoder shared by the whole service, created on first use
+let geocoder = null;
+
+/**
+ * Reads a non-negative number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is unset or invalid
+ * @returns {number} The configured value
+ */
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && value >= 0 ? value : fallback;
+}
+
+/**
+ * Returns the configured geocoder
+ * GEOCODER_PROVIDERS lists providers in order of preference (default "locationiq");
+ * with several, the next one takes over when one fails or finds nothing. Answers
+ * are cached in MongoDB for GEOCODE_CACHE_TTL_DAYS (default 30, 0 disables the
+ * cache) and misses for GEOCODE_NEGATIVE_CACHE_TTL_HOURS (default 24)
+ * @returns {Object} Geocoder with search(address) and reverse(lat, lng) methods (see FailoverGeocoder and CachedGeocoder)
+ * @throws {Error} If GEOCODER_PROVIDERS names an unknown provider
+ */
+export function getGeocoder() {
+  if (!geocoder) {
+    const names = (process.env.GEOCODER_PROVIDERS || "locationiq")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    const unknown = names.filter((name) => !PROVIDERS[name]);
+    if (unknown.length > 0)
+      throw new Error(`Unknown geocoding providers: ${unknown.join(", ")}`);
+
+    const timeoutMs =
+      Number(process.env.GEOCODER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    geocoder = new FailoverGeocoder(
+      names.map((name) => PROVIDERS[name](timeoutMs))
+    );
+
+    // Wrap the providers in the MongoDB cache unless it is disabled
+    const ttlDays = envNumber("GEOCODE_CACHE_TTL_DAYS", DEFAULT_CACHE_TTL_DAYS);
+    const negativeTtlHours = envNumber(
+      "GEOCODE_NEGATIVE_CACHE_TTL_HOURS",
+      DEFAULT_NEGATIVE_CACHE_TTL_HOURS
+    );
+    if (ttlDays > 0) {
+      geocoder = new CachedGeocoder(geocoder, {
+        ttlMs: ttlDays * 24 * 60 * 60 * 1000,
+        negativeTtlMs: negativeTtlHours * 60 * 60 * 1000,
+      });
+    }
+  }
+  return geocoder;
+}
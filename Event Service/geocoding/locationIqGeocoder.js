@@ -0,0 +1,105 @@
+// Import the axios library to call the LocationIQ API
+import axios from "axios";
+
+// Import the shared result format and error messages
+import { normalizeOsmResult } from "./normalize.js";
+import { providerError } from "./errors.js";
+
+/**
+ * Geocoding provider backed by the LocationIQ search API
+ *
+ * Every provider exposes the same methods:
+ * - search(address) resolves to a normalized result (see normalize.js), or null
+ *   when the provider has no match; other failures throw
+ * - reverse(lat, lng) resolves to the normalized address at a point, or null
+ *   when there is none; other failures throw
+ */
+export class LocationIqGeocoder {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} [options.apiKey] - LocationIQ API key
+   * @param {string} options.baseUrl - API base URL (e.g., "https://us1.locationiq.com/v1")
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ apiKey, baseUrl, timeoutMs }) {
+    this.name = "locationiq";
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Geocodes an address
+   * @param {string} address - Free-form address
+   * @returns {Promise<Object|null>} Normalized best match, or null when there is none
+   * @throws {Error} If the API key is missing or the request fails
+   */
+  async search(address) {
+    // The key is checked per request so the other providers can take over
+    if (!this.apiKey)
+      throw new Error("LocationIQ API key is missing from environment");
+
+    // Log the request without the API key
+    console.log(`Geocoder: Asking LocationIQ for "${address}"`);
+
+    let response;
+    try {
+      response = await axios.get(`${this.baseUrl}/search`, {
+        params: {
+          key: this.apiKey,
+          q: address,
+          format: "json",
+          limit: 1, // Only the best match
+          normalizeaddress: 1, // Standardize the address components
+          addressdetails: 1, // Include city, state, etc.
+        },
+        timeout: this.timeoutMs,
+      });
+    } catch (err) {
+      // LocationIQ answers 404 when nothing matches
+      if (err.response?.status === 404) return null;
+      throw providerError("LocationIQ", err);
+    }
+
+    const results = response.data;
+    if (!Array.isArray(results) || results.length === 0) return null;
+    return normalizeOsmResult(results[0], this.name);
+  }
+
+  /**
+   * Finds the address at a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<Object|null>} Normalized address, or null when there is none
+   * @throws {Error} If the API key is missing or the request fails
+   */
+  async reverse(lat, lng) {
+    if (!this.apiKey)
+      throw new Error("LocationIQ API key is missing from environment");
+
+    console.log(`Geocoder: Asking LocationIQ for the address at ${lat},${lng}`);
+
+    let response;
+    try {
+      response = await axios.get(`${this.baseUrl}/reverse`, {
+        params: {
+          key: this.apiKey,
+          lat,
+          lon: lng,
+          format: "json",
+          normalizeaddress: 1, // Standardize the address components
+          addressdetails: 1, // Include city, state, etc.
+        },
+        timeout: this.timeoutMs,
+      });
+    } catch (err) {
+      // LocationIQ answers 404 when there is no address nearby (e.g., at sea)
+      if (err.response?.status === 404) return null;
+      throw providerError("LocationIQ", err);
+    }
+
+    const result = response.data;
+    if (!result || result.error || !result.display_name) return null;
+    return normalizeOsmResult(result, this.name);
+  }
+}
@@ -0,0 +1,92 @@
+// Import the axios library to call Nominatim-compatible APIs
+import axios from "axios";
+
+// Import the shared result format and error messages
+import { normalizeOsmResult } from "./normalize.js";
+import { providerError } from "./errors.js";
+
+/**
+ * Geocoding provider for Nominatim and compatible servers (self-hosted or public)
+ * The public server at nominatim.openstreetmap.org requires an identifying
+ * User-Agent and at most one request per second
+ */
+export class NominatimGeocoder {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - Server URL (e.g., "https://nominatim.openstreetmap.org")
+   * @param {string} options.userAgent - User-Agent sent with every request
+   * @param {string} [options.email] - Contact address sent with every request
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ baseUrl, userAgent, email, timeoutMs }) {
+    this.name = "nominatim";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.userAgent = userAgent;
+    this.email = email;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Geocodes an address
+   * @param {string} address - Free-form address
+   * @returns {Promise<Object|null>} Normalized best match, or null when there is none
+   * @throws {Error} If the request fails
+   */
+  async search(address) {
+    console.log(`Geocoder: Asking Nominatim for "${address}"`);
+
+    let response;
+    try {
+      response = await axios.get(`${this.baseUrl}/search`, {
+        params: {
+          q: address,
+          format: "jsonv2",
+          limit: 1, // Only the best match
+          addressdetails: 1, // Include city, state, etc.
+          ...(this.email && { email: this.email }),
+        },
+        headers: { "User-Agent": this.userAgent },
+        timeout: this.timeoutMs,
+      });
+    } catch (err) {
+      throw providerError("Nominatim", err);
+    }
+
+    const results = response.data;
+    if (!Array.isArray(results) || results.length === 0) return null;
+    return normalizeOsmResult(results[0], this.name);
+  }
+
+  /**
+   * Finds the address at a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<Object|null>} Normalized address, or null when there is none
+   * @throws {Error} If the request fails
+   */
+  async reverse(lat, lng) {
+    console.log(`Geocoder: Asking Nominatim for the address at ${lat},${lng}`);
+
+    let response;
+    try {
+      response = await axios.get(`${this.baseUrl}/reverse`, {
+        params: {
+          lat,
+          lon: lng,
+          format: "jsonv2",
+          addressdetails: 1, // Include city, state, etc.
+          ...(this.email && { email: this.email }),
+        },
+        headers: { "User-Agent": this.userAgent },
+        timeout: this.timeoutMs,
+      });
+    } catch (err) {
+      throw providerError("Nominatim", err);
+    }
+
+    // Nominatim answers { error: "Unable to geocode" } when there is no address nearby
+    const result = response.data;
+    if (!result || result.error || !result.display_name) return null;
+    return normalizeOsmResult(result, this.name);
+  }
+}
@@ -0,0 +1,70 @@
+// Address components kept from provider results (OpenStreetMap naming)
+const ADDRESS_COMPONENTS = [
+  "house_number",
+  "road",
+  "neighbourhood",
+  "suburb",
+  "city_district",
+  "city",
+  "town",
+  "village",
+  "municipality",
+  "hamlet",
+  "county",
+  "state_district",
+  "state",
+  "postcode",
+  "country",
+  "country_code",
+];
+
+/**
+ * Normalizes an address for lookups, so case, spacing and commas do not matter
+ * @param {string} address - Free-form address
+ * @returns {string} Lookup key (e.g., "bandra kurla complex, mumbai")
+ */
+export function addressKey(address) {
+  return address
+    .toLowerCase()
+    .split(",")
+    .map((part) => part.trim().replace(/\s+/g, " "))
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Builds the lookup key of a point, rounded to about a metre so repeated pins share it
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} Lookup key (e.g., "latlng:19.06600,72.86810"); never equal to an addressKey
+ */
+export function coordinateKey(lat, lng) {
+  return `latlng:${lat.toFixed(5)},${lng.toFixed(5)}`;
+}
+
+/**
+ * Normalizes a search result in the OpenStreetMap format shared by LocationIQ and Nominatim
+ * @param {Object} result - Raw result ({ display_name, place_id, lat, lon, address })
+ * @param {string} provider - Key of the provider that answered (e.g., "locationiq")
+ * @returns {Object} Normalized result ({ provider, placeId, displayName, lat, lng, address }); lat/lng are NaN when missing
+ */
+export function normalizeOsmResult(result, provider) {
+  const address = {};
+  for (const component of ADDRESS_COMPONENTS) {
+    const value = result.address?.[component];
+    if (typeof value === "string" && value.trim() !== "")
+      address[component] = value.trim();
+  }
+  // Country codes are compared in lower case ("in", "de")
+  if (address.country_code)
+    address.country_code = address.country_code.toLowerCase();
+
+  return {
+    provider,
+    placeId: result.place_id != null ? String(result.place_id) : "",
+    displayName: result.display_name || "",
+    lat: parseFloat(result.lat),
+    lng: parseFloat(result.lon),
+    address,
+  };
+}
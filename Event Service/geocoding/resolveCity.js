@@ -0,0 +1,158 @@
+// Import the per-country city resolution profiles
+import { cityProfile } from "./cityProfiles.js";
+
+// Address components naming places smaller than a city
+const SUB_LOCALITY_FIELDS = ["house_number", "road", "neighbourhood", "suburb"];
+
+// Address components naming the city itself, whatever the profile prefers
+const LOCALITY_FIELDS = ["city", "town", "village", "municipality", "hamlet"];
+
+// Address components naming regions larger than a city
+const REGION_FIELDS = ["state", "state_district", "county"];
+
+/**
+ * Compares two names case-insensitively
+ * @param {string} a - First name
+ * @param {string} [b] - Second name
+ * @returns {boolean} True if both name the same place
+ */
+function sameName(a, b) {
+  return typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Strips one administrative prefix and suffix of the profile from a name
+ * ("Pune District" -> "Pune", "Council of the City of Sydney" -> "Sydney")
+ * @param {string} name - Place name
+ * @param {Object} profile - City resolution profile
+ * @returns {string} Name without administrative words
+ */
+function stripAdminAffixes(name, profile) {
+  let stripped = name.trim();
+  const lower = () => stripped.toLowerCase();
+
+  // Longer affixes first, so "City Council" wins over "Council"
+  const byLength = (a, b) => b.length - a.length;
+  const prefix = [...profile.adminPrefixes]
+    .sort(byLength)
+    .find((p) => lower().startsWith(p.toLowerCase() + " "));
+  if (prefix) stripped = stripped.slice(prefix.length).trim();
+  const suffix = [...profile.adminSuffixes]
+    .sort(byLength)
+    .find((s) => lower().endsWith(" " + s.toLowerCase()));
+  if (suffix) stripped = stripped.slice(0, -suffix.length).trim();
+
+  return stripped;
+}
+
+/**
+ * Checks a candidate has to pass to be accepted as the city
+ * Each check returns true to reject the candidate
+ * - name: Rule name used in debug logs
+ * - rejects(name, context, source): source is the address field or "displayName"
+ */
+const CITY_CHECKS = [
+  {
+    name: "country",
+    rejects: (name, { address }) => sameName(name, address.country),
+  },
+  {
+    name: "postcode",
+    rejects: (name, { address }) =>
+      sameName(name, address.postcode) || /^[\d\s-]+$/.test(name),
+  },
+  {
+    name: "state",
+    rejects: (name, { profile }) =>
+      profile.states.some((state) => sameName(name, state)),
+  },
+  {
+    // Regions only disqualify names guessed from the display name; a provider's
+    // city field may legitimately repeat its region (Berlin, Berlin)
+    name: "region",
+    rejects: (name, { regions, localities }, source) =>
+      source === "displayName" &&
+      regions.some((region) => sameName(name, region)) &&
+      !localities.some((locality) => sameName(name, locality)),
+  },
+  {
+    name: "subLocality",
+    rejects: (name, { address, localities }) =>
+      SUB_LOCALITY_FIELDS.some((field) => sameName(name, address[field])) &&
+      !localities.some((locality) => sameName(name, locality)),
+  },
+  {
+    name: "adminArea",
+    rejects: (name, { profile }) =>
+      [...profile.adminPrefixes, ...profile.adminSuffixes].some((term) =>
+        name.toLowerCase().split(/\s+/).includes(term.toLowerCase())
+      ),
+  },
+];
+
+/**
+ * Lists the names that could be the city, in order of preference:
+ * the profile's city fields, then the display name from the most to the least specific part
+ * @param {Object} context - Resolution context ({ address, profile, displayParts, localities, regions })
+ * @returns {Array} Candidates ({ name, source })
+ */
+function cityCandidates({ address, profile, displayParts }) {
+  const candidates = profile.cityFields
+    .filter((field) => address[field])
+    .map((field) => ({ name: address[field], source: field }));
+
+  // The first display part is usually the venue or street; skip it
+  for (const part of displayParts.slice(1)) {
+    candidates.push({ name: part, source: "displayName" });
+  }
+  return candidates;
+}
+
+/**
+ * Works out the city of a normalized geocoder result with the profile of its country
+ * @param {Object} result - Normalized result ({ displayName, address }; see normalize.js)
+ * @returns {string} The city, or an empty string when no candidate passes the checks
+ */
+export function resolveCity({ displayName, address = {} }) {
+  const profile = cityProfile(address.country_code);
+  const context = {
+    address,
+    profile,
+    displayParts: (displayName || "")
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean),
+    // Locality names without administrative words, so the suburb "Sydney" still
+    // counts as the city when the city field reads "Council of the City of Sydney"
+    localities: LOCALITY_FIELDS.filter((field) => address[field]).map((field) =>
+      stripAdminAffixes(address[field], profile)
+    ),
+    // Region names without administrative words ("Erie County" -> "Erie"), except
+    // regions the profile accepts as cities
+    regions: REGION_FIELDS.filter(
+      (field) => address[field] && !profile.cityFields.includes(field)
+    ).map((field) => stripAdminAffixes(address[field], profile)),
+  };
+
+  for (const { name, source } of cityCandidates(context)) {
+    const city = stripAdminAffixes(name, profile);
+    if (!city) continue;
+
+    const failed = CITY_CHECKS.find((check) =>
+      check.rejects(city, context, source)
+    );
+    if (failed) {
+      console.log(
+        `Geocoder: Rejected "${city}" from ${source} (${failed.name} rule, ${profile.countryCode} profile)`
+      );
+      continue;
+    }
+
+    console.log(
+      `Geocoder: Using "${city}" from ${source} (${profile.countryCode} profile)`
+    );
+    return city;
+  }
+
+  return "";
+}
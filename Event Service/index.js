@@ -10,6 +10,27 @@ import dotenv from "dotenv";
 // Import event routes for handling event-related API endpoints
 import eventRoutes from "./routes/event.js";
 
+// Import category routes for the admin-managed event taxonomy
+import categoryRoutes from "./routes/category.js";
+
+// Import geocoding routes for administering the geocode cache
+import geocodingRoutes from "./routes/geocoding.js";
+
+// Import venue routes for reusable event locations
+import venueRoutes from "./routes/venue.js";
+
+// Import CategoryService to create the default categories on first start
+import { CategoryService } from "./services/categoryService.js";
+
+// Import TrendingService to precompute trending scores periodically
+import { TrendingService } from "./services/trendingService.js";
+
+// Import ImportService to clean up imports interrupted by a restart
+import { ImportService } from "./services/importService.js";
+
+// Import the media storage settings to serve locally stored images
+import { getStorage } from "./storage/index.js";
+
 // Load environment variables from .env file into process.env
 dotenv.config();
 
@@ -20,6 +41,10 @@ const MONGO_URI =
 // Initialize the Express application
 const app = express();
 
+// The API Gateway runs on the same host; trust its X-Forwarded-For so req.ip
+// is the client's address
+app.set("trust proxy", "loopback");
+
 // Parse incoming JSON request bodies
 app.use(express.json());
 
@@ -34,15 +59,46 @@ mongoose
   .then(() => {
     // Log success message when MongoDB connection is established
     console.log("Event Service MongoDB connected");
+
+    // Start recomputing trending scores in the background
+    new TrendingService().start();
+
+    // Fail import jobs that were running when the service stopped
+    new ImportService()
+      .failInterruptedJobs()
+      .catch((err) =>
+        console.error("Failed to clean up import jobs:", err.message)
+      );
+
+    // Create the default categories if the taxonomy is empty
+    return new CategoryService().ensureDefaultCategories();
   })
   .catch((err) => {
     // Log MongoDB connection errors for debugging
     console.error("MongoDB connection error:", err);
   });
 
+// Serve uploaded images when they are stored on the local disk
+const storage = getStorage();
+if (storage.root) {
+  app.use(
+    "/api/events/media",
+    express.static(storage.root, { immutable: true, maxAge: "365d" })
+  );
+}
+
 // Mount event routes under the /api/events prefix
 app.use("/api/events", eventRoutes);
 
+// Mount category routes under the /api/categories prefix
+app.use("/api/categories", categoryRoutes);
+
+// Mount geocoding routes under the /api/geocoding prefix
+app.use("/api/geocoding", geocodingRoutes);
+
+// Mount venue routes under the /api/venues prefix
+app.use("/api/venues", venueRoutes);
+
 // Set the port from environment variable or default to 6000
 const PORT = process.env.PORT || 6000;
 
@@ -34,3 +34,25 @@ export function authenticateToken(req, res, next) {
     next();
   });
 }
+
+/**
+ * Middleware that authenticates requests when a JWT token is present
+ * Anonymous requests and invalid tokens continue without req.user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function optionalAuthenticateToken(req, res, next) {
+  // Extract the token from the header (format: "Bearer <token>")
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+
+  // Continue anonymously without a token
+  if (!token) return next();
+
+  // Attach decoded user data only when the token is valid
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (!err) req.user = user;
+    next();
+  });
+}
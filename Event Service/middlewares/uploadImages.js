@@ -0,0 +1,61 @@
+// Import multer for parsing multipart/form-data uploads
+import multer from "multer";
+
+// Maximum size of one uploaded image (5 MB)
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Maximum number of images in one gallery upload
+export const MAX_IMAGES_PER_UPLOAD = 10;
+
+// MIME types accepted before the contents are inspected by utils/images.js
+const ALLOWED_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Keep uploads in memory; they are resized before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (_req, file, cb) => {
+    // Reject other file types early
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(
+        new Error(`Images must be one of ${ALLOWED_MIME_TYPES.join(", ")}`)
+      );
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Wraps a multer middleware so upload errors return a 400 JSON response
+ * @param {Function} middleware - Multer middleware
+ * @returns {Function} Express middleware
+ */
+function handleUploadErrors(middleware) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (!err) return next();
+
+      // Give size and count limits a readable message
+      const messages = {
+        LIMIT_FILE_SIZE: `Images must be at most ${
+          MAX_IMAGE_BYTES / (1024 * 1024)
+        } MB`,
+        LIMIT_FILE_COUNT: `At most ${MAX_IMAGES_PER_UPLOAD} images can be uploaded at once`,
+        LIMIT_UNEXPECTED_FILE: "Unexpected file field",
+      };
+      res.status(400).json({ error: messages[err.code] || err.message });
+    });
+  };
+}
+
+/**
+ * Middleware that parses a single image from the "image" form field (req.file)
+ */
+export const uploadSingleImage = handleUploadErrors(upload.single("image"));
+
+/**
+ * Middleware that parses several images from the "images" form field (req.files)
+ */
+export const uploadImageList = handleUploadErrors(
+  upload.array("images", MAX_IMAGES_PER_UPLOAD)
+);
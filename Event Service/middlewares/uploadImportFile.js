@@ -0,0 +1,42 @@
+// Import multer for parsing multipart/form-data uploads
+import multer from "multer";
+
+// Maximum size of an import file (2 MB)
+export const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+// Accepted file extensions; spreadsheet programs report CSV under several MIME types
+const ALLOWED_EXTENSIONS = [".csv", ".json"];
+
+// Keep the file in memory; it is parsed right away
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+  fileFilter: (_req, file, cb) => {
+    // Reject other file types early
+    const name = file.originalname.toLowerCase();
+    if (!ALLOWED_EXTENSIONS.some((ext) => name.endsWith(ext))) {
+      return cb(new Error("Import files must be .csv or .json"));
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Middleware that parses an optional import file from the "file" form field (req.file)
+ * JSON bodies pass through untouched
+ */
+export function uploadImportFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+
+    // Give size and count limits a readable message
+    const messages = {
+      LIMIT_FILE_SIZE: `Import files must be at most ${
+        MAX_IMPORT_BYTES / (1024 * 1024)
+      } MB`,
+      LIMIT_FILE_COUNT: "Upload a single import file",
+      LIMIT_UNEXPECTED_FILE: "Unexpected file field",
+    };
+    res.status(400).json({ error: messages[err.code] || err.message });
+  });
+}
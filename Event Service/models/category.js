@@ -0,0 +1,38 @@
+// Import Mongoose for defining MongoDB schemas and models
+import mongoose from "mongoose";
+
+// Define the Category schema for the admin-managed event taxonomy
+const categorySchema = new mongoose.Schema(
+  {
+    // URL-safe identifier stored on events (e.g., "stand-up-comedy")
+    slug: {
+      type: String,
+      required: true, // Slug is mandatory
+      unique: true, // Each slug identifies one category
+      lowercase: true, // Store slugs in lowercase
+      trim: true, // Remove leading/trailing whitespace
+      match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, // Lowercase words separated by hyphens
+    },
+    // Display name shown to users
+    name: {
+      type: String,
+      required: true, // Name is mandatory
+      trim: true, // Remove leading/trailing whitespace
+    },
+    // Slug of the parent category (null for top-level categories)
+    parent: {
+      type: String,
+      default: null,
+      index: true, // Add index for looking up subcategories
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt timestamps
+    timestamps: true,
+  }
+);
+
+// Create and export the Category model, using the 'categories' collection
+const Category = mongoose.model("Category", categorySchema, "categories");
+
+export default Category;
@@ -0,0 +1,72 @@
+// Import Mongoose for defining MongoDB schemas and models
+import mongoose from "mongoose";
+
+// Define the Engagement schema: one document per view, like, unlike or comment
+const engagementSchema = new mongoose.Schema(
+  {
+    // Reference to the event the engagement happened on
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event", // Links to the Event collection
+      required: true, // Event ID is mandatory
+    },
+    // Organizer of the event, copied so analytics across events need no join
+    organizerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Links to the User collection
+      required: true, // Organizer ID is mandatory
+    },
+    // Kind of engagement
+    type: {
+      type: String,
+      enum: ["view", "like", "unlike", "comment"], // Restrict to specific types
+      required: true, // Type is mandatory
+    },
+    // User who engaged (null for anonymous views)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Links to the User collection
+      default: null,
+    },
+    // Hash identifying who viewed the event (user ID or client IP), so repeat
+    // views within VIEW_DEDUP_MINUTES are counted once
+    viewerKey: {
+      type: String,
+      default: null,
+    },
+    // When the engagement happened
+    occurredAt: {
+      type: Date,
+      default: Date.now, // Set to current date/time on creation
+    },
+  },
+  {
+    // Engagements are never updated, so no timestamps are needed
+    versionKey: false,
+  }
+);
+
+// Indexes for analytics per organizer and per event over a time range
+engagementSchema.index({ organizerId: 1, occurredAt: 1 });
+engagementSchema.index({ eventId: 1, occurredAt: 1 });
+
+// Index for finding a viewer's recent view of an event
+engagementSchema.index(
+  { eventId: 1, viewerKey: 1, occurredAt: -1 },
+  { partialFilterExpression: { viewerKey: { $type: "string" } } }
+);
+
+// Drop engagement records after about two years
+engagementSchema.index(
+  { occurredAt: 1 },
+  { expireAfterSeconds: 2 * 366 * 24 * 60 * 60 }
+);
+
+// Create and export the Engagement model, using the 'engagements' collection
+const Engagement = mongoose.model(
+  "Engagement",
+  engagementSchema,
+  "engagements"
+);
+
+export default Engagement;
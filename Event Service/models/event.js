@@ -1,7 +1,65 @@
 // Import Mongoose for defining MongoDB schemas and models
 import mongoose from "mongoose";
 
+// Import the supported comment reactions
+import { REACTIONS, REPORT_REASONS } from "../utils/comments.js";
+
+// Import time zone validation and local-time rendering
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "../utils/timeZone.js";
+import { eventScheduleFields } from "../utils/schedule.js";
+
+// Define the Reaction schema for emoji reactions on comments
+const reactionSchema = new mongoose.Schema(
+  {
+    // Reference to the user who reacted
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Links to the User collection
+      required: true, // User ID is mandatory
+    },
+    // Reaction name from the fixed set in utils/comments.js
+    reaction: {
+      type: String,
+      enum: Object.keys(REACTIONS), // Restrict to supported reactions
+      required: true, // Reaction is mandatory
+    },
+  },
+  {
+    // Reactions are identified by user and reaction name
+    _id: false,
+  }
+);
+
+// Define the Report schema for abuse reports on comments
+const reportSchema = new mongoose.Schema(
+  {
+    // Reference to the user who reported the comment
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Links to the User collection
+      required: true, // User ID is mandatory
+    },
+    // Why the comment was reported
+    reason: {
+      type: String,
+      enum: REPORT_REASONS, // Restrict to supported reasons
+      required: true, // Reason is mandatory
+    },
+    // Optional free-text details from the reporter
+    note: {
+      type: String,
+      default: "",
+      trim: true, // Remove leading/trailing whitespace
+    },
+  },
+  {
+    // Record when the report was made
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
 // Define the Comment schema for embedded comments in the Event schema
+// Replies are stored in the same flat array and point to their parent comment
 const commentSchema = new mongoose.Schema(
   {
     // Reference to the user who made the comment
@@ -10,16 +68,133 @@ const commentSchema = new mongoose.Schema(
       ref: "User", // Links to the User collection
       required: true, // User ID is mandatory
     },
-    // Comment text content
+    // Comment text content (emptied when a comment with replies is deleted)
     text: {
       type: String,
-      required: true, // Comment text is mandatory
+      required: function () {
+        return !this.deleted; // Text is mandatory unless the comment was deleted
+      },
       trim: true, // Remove leading/trailing whitespace
     },
+    // Comment this one replies to (null for top-level comments)
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Nesting level (0 for top-level comments)
+    depth: {
+      type: Number,
+      default: 0,
+    },
+    // True when the comment was written by the event organizer
+    fromOrganizer: {
+      type: Boolean,
+      default: false,
+    },
+    // Deleted comments that still have replies are kept as placeholders
+    deleted: {
+      type: Boolean,
+      default: false,
+    },
+    // Emoji reactions, at most one of each kind per user
+    reactions: {
+      type: [reactionSchema],
+      default: [],
+    },
+    // Abuse reports, at most one per user
+    reports: {
+      type: [reportSchema],
+      default: [],
+    },
+    // Hidden comments stay in the thread but their text is not shown
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+    // Who hid the comment
+    hiddenBy: {
+      type: String,
+      enum: ["reports", "organizer", "admin", null], // Automatic, event organizer or admin
+      default: null,
+    },
+    // Moderation state: "pending" comments are waiting in the admin queue
+    moderationStatus: {
+      type: String,
+      enum: ["none", "pending", "reviewed"], // Restrict to specific states
+      default: "none",
+      index: true, // Add index for loading the moderation queue
+    },
+    // Date of the last admin review; only later reports count toward auto-hiding
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     // Automatically add createdAt and updatedAt timestamps for comments
     timestamps: true,
+    toJSON: {
+      // Keep reporters private and the text of hidden comments out of public responses
+      transform: (_doc, ret) => {
+        delete ret.reports;
+        if (ret.hidden) ret.text = "";
+        return ret;
+      },
+    },
+  }
+);
+
+// Define the Image schema for the cover image and gallery of an event
+const imageSchema = new mongoose.Schema(
+  {
+    // Storage key prefix shared by all variants of the image
+    key: {
+      type: String,
+      required: true, // Key is mandatory
+    },
+    // Public URLs of the resized variants
+    urls: {
+      thumbnail: { type: String, required: true },
+      medium: { type: String, required: true },
+      large: { type: String, required: true },
+    },
+    // Dimensions of the uploaded original
+    width: Number,
+    height: Number,
+  },
+  {
+    // Record when the image was uploaded
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Define the GeoJSON Point schema used for geospatial queries
+const pointSchema = new mongoose.Schema(
+  {
+    // GeoJSON geometry type (only points are supported)
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    // Coordinates in GeoJSON order: [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (c) =>
+          c.length === 2 &&
+          c[0] >= -180 &&
+          c[0] <= 180 &&
+          c[1] >= -90 &&
+          c[1] <= 90,
+        message: "coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  {
+    // Points are embedded values and do not need their own IDs
+    _id: false,
   }
 );
 
@@ -37,16 +212,44 @@ const eventSchema = new mongoose.Schema(
       type: String,
       default: "", // Default to empty string if not provided
     },
-    // Event category with predefined options
+    // Slug of the event category (validated against the categories collection)
     category: {
       type: String,
-      enum: ["music", "food", "sports", "tech", "other"], // Restrict to specific categories
       default: "other", // Default category if not specified
+      index: true, // Add index for category filters
+    },
+    // Normalized free-form tags (e.g., ["outdoor", "family-friendly"])
+    tags: {
+      type: [String],
+      default: [],
+      index: true, // Add index for tag filters and tag counts
+    },
+    // Event start
+    startsAt: {
+      type: Date,
+      required: true, // Start is mandatory
     },
-    // Event date
-    date: {
+    // Event end; listings treat events as upcoming until they end
+    endsAt: {
       type: Date,
-      required: true, // Date is mandatory
+      required: true, // End is mandatory
+      index: true, // Add index for upcoming and date-window filters
+      validate: {
+        validator: function (value) {
+          // Only checkable on full documents (not in update queries)
+          return !(this.startsAt instanceof Date) || value > this.startsAt;
+        },
+        message: "endsAt must be after startsAt",
+      },
+    },
+    // IANA time zone the event takes place in (e.g., "Asia/Kolkata")
+    timeZone: {
+      type: String,
+      default: DEFAULT_TIME_ZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: "timeZone must be an IANA time zone",
+      },
     },
     // Event price
     price: {
@@ -71,6 +274,56 @@ const eventSchema = new mongoose.Schema(
         type: String,
         default: "", // Default to empty string if not provided (e.g., Google Maps Place ID)
       },
+      // Geocoded coordinates of the address
+      point: {
+        type: pointSchema,
+        default: undefined, // Left unset when no coordinates are known
+      },
+    },
+    // Venue the event takes place at (null for one-off addresses); its city and
+    // location are copied onto the event
+    venueId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Venue", // Links to the Venue collection
+      default: null,
+      index: true, // Add index for listing the events of a venue
+    },
+    // Lifecycle status; only published events appear in public listings
+    status: {
+      type: String,
+      enum: ["draft", "published", "cancelled", "postponed", "completed"], // Restrict to specific statuses
+      default: "draft", // New events start as drafts
+      index: true, // Add index for filtering listings by status
+    },
+    // Reason given when the event was cancelled or postponed
+    statusReason: {
+      type: String,
+      default: "", // Default to empty string if not provided
+      trim: true, // Remove leading/trailing whitespace
+    },
+    // Date of the last status change
+    statusChangedAt: {
+      type: Date,
+    },
+    // Date the event was first published
+    publishedAt: {
+      type: Date,
+    },
+    // Maximum number of confirmed attendees (null means unlimited)
+    capacity: {
+      type: Number,
+      min: 1, // At least one seat when a capacity is set
+      default: null,
+      validate: {
+        validator: (v) => v === null || Number.isInteger(v),
+        message: "capacity must be a whole number",
+      },
+    },
+    // Number of confirmed attendees, maintained atomically by RSVPs
+    attendeeCount: {
+      type: Number,
+      min: 0,
+      default: 0,
     },
     // Reference to the user who created the event
     userId: {
@@ -78,6 +331,23 @@ const eventSchema = new mongoose.Schema(
       ref: "User", // Links to the User collection
       required: true, // User ID is mandatory
     },
+    // Recurring series this event is an occurrence of (null for one-off events)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EventSeries", // Links to the EventSeries collection
+      default: null,
+      index: true, // Add index for loading all occurrences of a series
+    },
+    // Date the recurrence rule generated this occurrence for (RFC 5545 RECURRENCE-ID)
+    occurrenceDate: {
+      type: Date,
+      default: null,
+    },
+    // True once an occurrence was edited on its own, so series edits leave it alone
+    detached: {
+      type: Boolean,
+      default: false,
+    },
     // List of users who liked the event
     likes: [
       {
@@ -85,15 +355,62 @@ const eventSchema = new mongoose.Schema(
         ref: "User", // Links to the User collection
       },
     ],
+    // Time-decayed engagement score, recomputed periodically by TrendingService
+    trendingScore: {
+      type: Number,
+      default: 0,
+    },
+    // Cover image shown on listings and the event page
+    coverImage: {
+      type: imageSchema,
+      default: null,
+    },
+    // Additional images of the event
+    gallery: {
+      type: [imageSchema],
+      default: [],
+    },
     // Embedded list of comments on the event
     comments: [commentSchema],
   },
   {
     // Automatically add createdAt and updatedAt timestamps for events
     timestamps: true,
+    toJSON: {
+      // Add the duration, local-time renderings and deprecated date to responses
+      transform: (_doc, ret) => Object.assign(ret, eventScheduleFields(ret)),
+    },
+  }
+);
+
+// Compound indexes backing cursor pagination for each sort mode (_id breaks ties)
+eventSchema.index({ startsAt: 1, _id: 1 });
+eventSchema.index({ price: 1, _id: 1 });
+eventSchema.index({ trendingScore: -1, _id: -1 });
+
+// Weighted text index for keyword search (name matches rank highest)
+eventSchema.index(
+  {
+    name: "text",
+    description: "text",
+    city: "text",
+    "location.address": "text",
+  },
+  {
+    name: "event_text_search",
+    weights: { name: 10, city: 5, description: 3, "location.address": 1 },
   }
 );
 
+// One occurrence per series and date, so concurrent expansions cannot duplicate
+eventSchema.index(
+  { seriesId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: "objectId" } } }
+);
+
+// Geospatial index for radius searches on event coordinates
+eventSchema.index({ "location.point": "2dsphere" });
+
 // Create and export the Event model, using the 'events' collection
 const Event = mongoose.model("Event", eventSchema, "events");
 
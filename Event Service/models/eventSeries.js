@@ -0,0 +1,104 @@
+// Import Mongoose for defining MongoDB schemas and models
+import mongoose from "mongoose";
+
+// Define the recurrence rule schema (subset of RFC 5545 RRULE)
+const recurrenceSchema = new mongoose.Schema(
+  {
+    // How often the series repeats
+    frequency: {
+      type: String,
+      enum: ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"], // Restrict to supported frequencies
+      required: true, // Frequency is mandatory
+    },
+    // Number of frequency units between occurrences (e.g., 2 = every other week)
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Weekdays the series occurs on (e.g., ["MO", "WE"] or ["-1FR"] for monthly rules)
+    byDay: {
+      type: [String],
+      default: [],
+    },
+    // Last date an occurrence may start on (mutually exclusive with count)
+    until: {
+      type: Date,
+      default: null,
+    },
+    // Total number of occurrences (mutually exclusive with until)
+    count: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+  },
+  {
+    // Rules are embedded values and do not need their own IDs
+    _id: false,
+  }
+);
+
+// Define the EventSeries schema for recurring events
+// Occurrences are stored as regular Event documents linked through seriesId
+const eventSeriesSchema = new mongoose.Schema(
+  {
+    // Reference to the organizer who owns the series
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Links to the User collection
+      required: true, // User ID is mandatory
+    },
+    // Start of the first occurrence (RFC 5545 DTSTART)
+    start: {
+      type: Date,
+      required: true, // Start is mandatory
+    },
+    // Length of every occurrence; occurrences end this long after they start
+    durationMinutes: {
+      type: Number,
+      min: 1,
+      required: true, // Duration is mandatory
+    },
+    // Recurrence rule
+    recurrence: {
+      type: recurrenceSchema,
+      required: true, // Rule is mandatory
+    },
+    // Occurrence dates removed from the series (RFC 5545 EXDATE)
+    exceptionDates: {
+      type: [Date],
+      default: [],
+    },
+    // Event fields copied onto every occurrence (name, price, location, timeZone, ...)
+    // The rule is evaluated in the template's time zone
+    template: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true, // Template is mandatory
+    },
+    // Occurrences have been created up to this date
+    materializedUntil: {
+      type: Date,
+      required: true,
+      index: true, // Add index for finding series that need extending
+    },
+    // The rule produces no occurrences after materializedUntil (UNTIL passed or COUNT used up)
+    exhausted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt timestamps
+    timestamps: true,
+  }
+);
+
+// Create and export the EventSeries model, using the 'eventSeries' collection
+const EventSeries = mongoose.model(
+  "EventSeries",
+  eventSeriesSchema,
+  "eventSeries"
+);
+
+export default EventSeries;
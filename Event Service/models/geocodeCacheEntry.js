@@ -0,0 +1,71 @@
+// Import Mongoose for defining MongoDB schemas and models
+import mongoose from "mongoose";
+
+// Define the GeocodeCacheEntry schema: one cached geocoder answer per normalized address
+const geocodeCacheEntrySchema = new mongoose.Schema(
+  {
+    // Normalized address (see addressKey in geocoding/normalize.js)
+    key: {
+      type: String,
+      required: true, // Key is mandatory
+      unique: true, // One entry per address
+    },
+    // Address as it was first requested
+    query: {
+      type: String,
+      default: "",
+    },
+    // Whether a provider found the address; unresolved entries are negative cache entries
+    status: {
+      type: String,
+      enum: ["resolved", "unresolved"], // Restrict to specific outcomes
+      required: true, // Status is mandatory
+      index: true, // Add index for filtering and counting entries by status
+    },
+    // Normalized geocoder result ({ provider, placeId, displayName, lat, lng, address, city? }); null when unresolved
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // True once an admin corrected the entry; corrected entries never expire
+    corrected: {
+      type: Boolean,
+      default: false,
+    },
+    // Admin who corrected the entry
+    correctedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Links to the User collection
+      default: null,
+    },
+    // Number of lookups answered from this entry
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    // Date of the last lookup answered from this entry
+    lastHitAt: {
+      type: Date,
+    },
+    // When the entry expires (left unset for corrected entries)
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt timestamps
+    timestamps: true,
+  }
+);
+
+// Let MongoDB delete entries once they expire
+geocodeCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the GeocodeCacheEntry model, using the 'geocodecache' collection
+const GeocodeCacheEntry = mongoose.model(
+  "GeocodeCacheEntry",
+  geocodeCacheEntrySchema,
+  "geocodecache"
+);
+
+export default GeocodeCacheEntry;
@@ -0,0 +1,47 @@
+// Import Mongoose for defining MongoDB schemas and models
+import mongoose from "mongoose";
+
+// Define the GeocodeCacheStat schema: geocode cache counters for one UTC day
+const geocodeCacheStatSchema = new mongoose.Schema(
+  {
+    // UTC day the counters belong to ("YYYY-MM-DD")
+    day: {
+      type: String,
+      required: true, // Day is mandatory
+      unique: true, // One document per day
+    },
+    // Lookups answered with a cached location
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    // Lookups answered with a cached "not found"
+    negativeHits: {
+      type: Number,
+      default: 0,
+    },
+    // Lookups that had to ask a geocoding provider
+    misses: {
+      type: Number,
+      default: 0,
+    },
+    // Provider lookups that failed (rate limits, outages) and were not cached
+    failures: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    // Counters are only ever incremented, so no timestamps are needed
+    versionKey: false,
+  }
+);
+
+// Create and export the GeocodeCacheStat model, using the 'geocodecachestats' collection
+const GeocodeCacheStat = mongoose.model(
+  "GeocodeCacheStat",
+  geocodeCacheStatSchema,
+  "geocodecachestats"
+);
+
+export default GeocodeCacheStat;
@@ -0,0 +1,112 @@
+// Import Mongoose for defining MongoDB schemas and models
+import mongoose from "mongoose";
+
+// Define the ImportRow schema for the outcome of one row of an import file
+const importRowSchema = new mongoose.Schema(
+  {
+    // Position of the row in the file (1 is the first event)
+    row: {
+      type: Number,
+      required: true, // Row number is mandatory
+    },
+    // Event name from the row, to recognize it in the report
+    name: {
+      type: String,
+      default: "",
+    },
+    // Outcome of the row
+    status: {
+      type: String,
+      enum: ["pending", "created", "failed", "invalid"], // Restrict to specific outcomes
+      default: "pending", // Rows wait until the job reaches them
+    },
+    // Event created from the row
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event", // Links to the Event collection
+      default: null,
+    },
+    // Validation or geocoding errors of the row
+    errors: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    // Rows are addressed by position and do not need their own IDs
+    _id: false,
+    // Allow a field named "errors"
+    suppressReservedKeysWarning: true,
+  }
+);
+
+// Define the ImportJob schema for bulk event imports
+const importJobSchema = new mongoose.Schema(
+  {
+    // Reference to the organizer who uploaded the file
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Links to the User collection
+      required: true, // User ID is mandatory
+      index: true, // Add index for listing an organizer's imports
+    },
+    // Format of the uploaded file
+    format: {
+      type: String,
+      enum: ["csv", "json"], // Restrict to supported formats
+      required: true, // Format is mandatory
+    },
+    // Progress of the job
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"], // Restrict to specific states
+      default: "queued", // Jobs wait until the importer picks them up
+    },
+    // Number of rows in the file
+    total: {
+      type: Number,
+      default: 0,
+    },
+    // Number of events created so far
+    created: {
+      type: Number,
+      default: 0,
+    },
+    // Number of rows rejected by validation
+    invalid: {
+      type: Number,
+      default: 0,
+    },
+    // Number of valid rows that could not be geocoded or created
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    // Outcome of every row
+    rows: {
+      type: [importRowSchema],
+      default: [],
+    },
+    // Reason the job stopped early
+    error: {
+      type: String,
+      default: "",
+    },
+    // When the importer started and finished the job
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt timestamps
+    timestamps: true,
+  }
+);
+
+// Create and export the ImportJob model, using the 'importjobs' collection
+const ImportJob = mongoose.model("ImportJob", importJobSchema, "importjobs");
+
+export default ImportJob;
@@ -0,0 +1,58 @@
+// Import Mongoose for defining MongoDB schemas and models
+import mongoose from "mongoose";
+
+// Define the Registration schema for event RSVPs and waitlist entries
+const registrationSchema = new mongoose.Schema(
+  {
+    // Reference to the event the user registered for
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event", // Links to the Event collection
+      required: true, // Event ID is mandatory
+    },
+    // Reference to the registered user
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Links to the User collection
+      required: true, // User ID is mandatory
+    },
+    // Registration status
+    status: {
+      type: String,
+      enum: ["confirmed", "waitlisted", "cancelled"], // Restrict to specific statuses
+      required: true, // Status is mandatory
+    },
+    // Date the user (re-)registered, used to order the waitlist
+    registeredAt: {
+      type: Date,
+      default: Date.now, // Set to current date/time on creation
+    },
+    // Date the user was promoted from the waitlist (optional)
+    promotedAt: {
+      type: Date,
+    },
+    // Date the registration was cancelled (optional)
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt timestamps
+    timestamps: true,
+  }
+);
+
+// One registration per user and event, so concurrent RSVPs cannot duplicate
+registrationSchema.index({ eventId: 1, userId: 1 }, { unique: true });
+
+// Index for listing attendees and promoting the waitlist in order
+registrationSchema.index({ eventId: 1, status: 1, registeredAt: 1 });
+
+// Create and export the Registration model, using the 'registrations' collection
+const Registration = mongoose.model(
+  "Registration",
+  registrationSchema,
+  "registrations"
+);
+
+export default Registration;
@@ -0,0 +1,103 @@
+// Import Mongoose for defining MongoDB schemas and models
+import mongoose from "mongoose";
+
+// Define the Speaker schema for people presenting a session
+const speakerSchema = new mongoose.Schema(
+  {
+    // Speaker name
+    name: {
+      type: String,
+      required: true, // Name is mandatory
+      trim: true, // Remove leading/trailing whitespace
+      maxlength: 100,
+    },
+    // Company, organization or job title shown next to the name (optional)
+    affiliation: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "",
+    },
+  },
+  {
+    // Speakers are embedded values and do not need their own IDs
+    _id: false,
+  }
+);
+
+// Define the Session schema for agenda entries of an event (talks, workshops, sets)
+const sessionSchema = new mongoose.Schema(
+  {
+    // Reference to the event the session belongs to
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event", // Links to the Event collection
+      required: true, // Event ID is mandatory
+    },
+    // Session title
+    title: {
+      type: String,
+      required: true, // Title is mandatory
+      trim: true, // Remove leading/trailing whitespace
+      maxlength: 200,
+    },
+    // Session description (optional)
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+      default: "",
+    },
+    // Session start
+    startsAt: {
+      type: Date,
+      required: true, // Start is mandatory
+    },
+    // Session end
+    endsAt: {
+      type: Date,
+      required: true, // End is mandatory
+    },
+    // Room or stage (optional); sessions in the same room cannot overlap
+    room: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "",
+    },
+    // People presenting the session
+    speakers: {
+      type: [speakerSchema],
+      default: [],
+    },
+    // Users who bookmarked the session for their personal schedule
+    bookmarks: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // Links to the User collection
+      },
+    ],
+  },
+  {
+    // Automatically add createdAt and updatedAt timestamps
+    timestamps: true,
+    toJSON: {
+      // Keep who bookmarked a session private
+      transform: (_doc, ret) => {
+        delete ret.bookmarks;
+        return ret;
+      },
+    },
+  }
+);
+
+// Index for listing the agenda of an event in time order and checking room overlaps
+sessionSchema.index({ eventId: 1, startsAt: 1 });
+
+// Index for listing the sessions a user bookmarked
+sessionSchema.index({ bookmarks: 1 });
+
+// Create and export the Session model, using the 'sessions' collection
+const Session = mongoose.model("Session", sessionSchema, "sessions");
+
+export default Session;
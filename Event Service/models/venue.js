@@ -0,0 +1,129 @@
+// Import Mongoose for defining MongoDB schemas and models
+import mongoose from "mongoose";
+
+// Define the GeoJSON Point schema for the venue's coordinates
+const pointSchema = new mongoose.Schema(
+  {
+    // GeoJSON geometry type (only points are supported)
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    // Coordinates in GeoJSON order: [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (c) =>
+          c.length === 2 &&
+          c[0] >= -180 &&
+          c[0] <= 180 &&
+          c[1] >= -90 &&
+          c[1] <= 90,
+        message: "coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  {
+    // Points are embedded values and do not need their own IDs
+    _id: false,
+  }
+);
+
+// Define the Venue schema for places shared by many events
+const venueSchema = new mongoose.Schema(
+  {
+    // Display name (e.g., "Wankhede Stadium")
+    name: {
+      type: String,
+      required: true, // Name is mandatory
+      trim: true, // Remove leading/trailing whitespace
+      maxlength: 200,
+    },
+    // City the venue is in, copied onto linked events
+    city: {
+      type: String,
+      required: true, // City is mandatory
+      trim: true, // Remove leading/trailing whitespace
+      index: true, // Add index for listing venues by city
+    },
+    // Geocoded location, copied onto linked events
+    location: {
+      address: {
+        type: String,
+        default: "", // Default to empty string if not provided
+      },
+      placeId: {
+        type: String,
+        default: "", // Default to empty string if the geocoder returned none
+      },
+      // Coordinates of the venue
+      point: {
+        type: pointSchema,
+        default: undefined, // Left unset when no coordinates are known
+      },
+    },
+    // Maximum number of people the venue holds (null when unknown)
+    capacity: {
+      type: Number,
+      min: 1, // At least one seat when a capacity is set
+      default: null,
+      validate: {
+        validator: (v) => v === null || Number.isInteger(v),
+        message: "capacity must be a whole number",
+      },
+    },
+    // Accessibility information shown to attendees
+    accessibility: {
+      wheelchairAccessible: { type: Boolean, default: false },
+      stepFreeEntrance: { type: Boolean, default: false },
+      accessibleRestrooms: { type: Boolean, default: false },
+      hearingLoop: { type: Boolean, default: false },
+      // Free-form details (e.g., "Ramp at gate 3")
+      notes: { type: String, default: "", trim: true, maxlength: 1000 },
+    },
+    // Contact details of the venue
+    contact: {
+      name: { type: String, default: "", trim: true },
+      email: {
+        type: String,
+        default: "",
+        trim: true,
+        lowercase: true,
+        match: /^$|^[^\s@]+@[^\s@]+\.[^\s@]+$/, // Empty or a plausible address
+      },
+      phone: { type: String, default: "", trim: true },
+      website: {
+        type: String,
+        default: "",
+        trim: true,
+        match: /^$|^https?:\/\/\S+$/, // Empty or an http(s) URL
+      },
+    },
+    // Reference to the organizer who created the venue
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Links to the User collection
+      required: true, // Creator is mandatory
+    },
+  },
+  {
+    // Automatically add createdAt and updatedAt timestamps
+    timestamps: true,
+  }
+);
+
+// One venue per geocoder place, so the same stadium is not registered twice
+venueSchema.index(
+  { "location.placeId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "location.placeId": { $gt: "" } },
+  }
+);
+
+// Create and export the Venue model, using the 'venues' collection
+const Venue = mongoose.model("Venue", venueSchema, "venues");
+
+export default Venue;
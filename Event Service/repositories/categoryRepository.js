@@ -0,0 +1,79 @@
+// Import the Category model for MongoDB operations
+import Category from "../models/category.js";
+
+// Repository class for handling database operations related to categories
+export class CategoryRepository {
+  /**
+   * Creates a new category in the database
+   * @param {Object} categoryData - Data for the new category
+   * @returns {Promise<Object>} The created category document
+   */
+  async create(categoryData) {
+    return await Category.create(categoryData);
+  }
+
+  /**
+   * Creates several categories at once
+   * @param {Array} categories - Data for the new categories
+   * @returns {Promise<Array>} The created category documents
+   */
+  async createMany(categories) {
+    return await Category.insertMany(categories);
+  }
+
+  /**
+   * Finds a category by its slug
+   * @param {string} slug - The slug of the category
+   * @returns {Promise<Object|null>} The category document or null if not found
+   */
+  async findBySlug(slug) {
+    return await Category.findOne({ slug });
+  }
+
+  /**
+   * Finds all categories sorted by name
+   * @returns {Promise<Array>} List of category documents
+   */
+  async findAll() {
+    return await Category.find().sort({ name: 1 });
+  }
+
+  /**
+   * Finds the direct subcategories of one or more categories
+   * @param {string[]} slugs - Slugs of the parent categories
+   * @returns {Promise<Array>} List of category documents
+   */
+  async findChildren(slugs) {
+    return await Category.find({ parent: { $in: slugs } });
+  }
+
+  /**
+   * Counts all categories
+   * @returns {Promise<number>} Number of categories
+   */
+  async count() {
+    return await Category.countDocuments();
+  }
+
+  /**
+   * Updates a category by its slug
+   * @param {string} slug - The slug of the category to update
+   * @param {Object} updateData - Data to update the category
+   * @returns {Promise<Object|null>} The updated category document or null if not found
+   */
+  async update(slug, updateData) {
+    return await Category.findOneAndUpdate({ slug }, updateData, {
+      new: true,
+      runValidators: true,
+    });
+  }
+
+  /**
+   * Deletes a category by its slug
+   * @param {string} slug - The slug of the category to delete
+   * @returns {Promise<Object|null>} The deleted category document or null if not found
+   */
+  async delete(slug) {
+    return await Category.findOneAndDelete({ slug });
+  }
+}
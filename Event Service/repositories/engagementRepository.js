@@ -0,0 +1,115 @@
+// Import the Engagement model for MongoDB operations
+import Engagement from "../models/engagement.js";
+
+// Repository class for handling database operations related to engagement records
+export class EngagementRepository {
+  /**
+   * Records an engagement
+   * @param {Object} engagementData - Data for the engagement ({ eventId, organizerId, type, userId })
+   * @returns {Promise<Object>} The created engagement document
+   */
+  async create(engagementData) {
+    return await Engagement.create(engagementData);
+  }
+
+  /**
+   * Records a view unless the same viewer already viewed the event since a date
+   * @param {Object} viewData - Data for the view ({ eventId, organizerId, userId, viewerKey })
+   * @param {Date} since - Start of the window repeat views are ignored in
+   * @returns {Promise<Object>} Update result (upsertedCount is 1 if the view was recorded)
+   */
+  async recordView({ eventId, organizerId, userId, viewerKey }, since) {
+    // A single upsert, so concurrent views of the same viewer rarely count twice
+    return await Engagement.updateOne(
+      { eventId, type: "view", viewerKey, occurredAt: { $gte: since } },
+      { $setOnInsert: { organizerId, userId, occurredAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Computes a time-decayed engagement score per event
+   * Each engagement contributes its weight halved for every half-life of age
+   * @param {Object} options - Scoring options
+   * @param {Date} options.since - Only engagements after this date count
+   * @param {Date} options.now - Reference time for the decay
+   * @param {Object} options.weights - Weight per engagement type
+   * @param {number} options.halfLifeHours - Hours after which a contribution is halved
+   * @returns {Promise<Array>} Scores ({ eventId, score })
+   */
+  async scoreSince({ since, now, weights, halfLifeHours }) {
+    return await Engagement.aggregate([
+      { $match: { occurredAt: { $gte: since } } },
+      {
+        $group: {
+          _id: "$eventId",
+          score: {
+            $sum: {
+              $multiply: [
+                {
+                  $switch: {
+                    branches: Object.entries(weights).map(([type, w]) => ({
+                      case: { $eq: ["$type", type] },
+                      then: w,
+                    })),
+                    default: 0,
+                  },
+                },
+                // 0.5 ^ (age in hours / half-life)
+                {
+                  $pow: [
+                    0.5,
+                    {
+                      $divide: [
+                        { $subtract: [now, "$occurredAt"] },
+                        halfLifeHours * 60 * 60 * 1000,
+                      ],
+                    },
+                  ],
+                },
+              ],
+            },
+          },
+        },
+      },
+      { $project: { _id: 0, eventId: "$_id", score: 1 } },
+    ]);
+  }
+
+  /**
+   * Counts engagements per event, day and type
+   * @param {Object} filters - Query filters (organizerId, eventId, occurredAt range)
+   * @param {string} timeZone - IANA time zone the days are computed in
+   * @returns {Promise<Array>} Counts ({ eventId, day: "YYYY-MM-DD", type, count })
+   */
+  async countDaily(filters, timeZone) {
+    return await Engagement.aggregate([
+      { $match: filters },
+      {
+        $group: {
+          _id: {
+            eventId: "$eventId",
+            day: {
+              $dateToString: {
+                format: "%Y-%m-%d",
+                date: "$occurredAt",
+                timezone: timeZone,
+              },
+            },
+            type: "$type",
+          },
+          count: { $sum: 1 },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          eventId: "$_id.eventId",
+          day: "$_id.day",
+          type: "$_id.type",
+          count: 1,
+        },
+      },
+    ]);
+  }
+}
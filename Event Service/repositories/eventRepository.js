@@ -1,6 +1,12 @@
 // Import the Event model for MongoDB operations
 import Event from "../models/event.js";
 
+// Mean Earth radius in meters, used to convert distances to radians
+const EARTH_RADIUS_METERS = 6378100;
+
+// MongoDB error code raised when a unique index is violated
+const DUPLICATE_KEY_ERROR = 11000;
+
 // Repository class for handling database operations related to events
 export class EventRepository {
   /**
@@ -13,6 +19,26 @@ export class EventRepository {
     return await Event.create(eventData);
   }
 
+  /**
+   * Creates several events at once
+   * Documents that would duplicate an existing series occurrence are skipped
+   * @param {Array} eventsData - Data for the new events
+   * @returns {Promise<Array>} The created event documents
+   */
+  async createMany(eventsData) {
+    try {
+      // Keep inserting after a duplicate so one race does not drop the rest
+      return await Event.insertMany(eventsData, { ordered: false });
+    } catch (err) {
+      // Ignore duplicate key errors only; anything else is a real failure
+      const duplicatesOnly = err.writeErrors?.every(
+        (e) => (e.err?.code ?? e.code) === DUPLICATE_KEY_ERROR
+      );
+      if (duplicatesOnly && err.insertedDocs) return err.insertedDocs;
+      throw err;
+    }
+  }
+
   /**
    * Finds an event by its ID
    * @param {string} id - The ID of the event
@@ -26,42 +52,377 @@ export class EventRepository {
   /**
    * Finds events based on filters and sorting options
    * @param {Object} filters - Query filters for events (e.g., { city: "New York" })
-   * @param {Object} sort - Sorting options (e.g., { date: 1 })
-   * @returns {Promise<Array>} List of event documents (up to 100)
+   * @param {Object} sort - Sorting options (e.g., { startsAt: 1 })
+   * @param {number} [limit] - Maximum number of events to return
+   * @returns {Promise<Array>} List of event documents
    */
-  async findAll(filters, sort) {
-    // Build query to find events with provided filters, limited to 100 results
-    let query = Event.find(filters).limit(100);
+  async findAll(filters, sort, limit) {
+    // Build query to find events with provided filters
+    let query = Event.find(filters);
 
     // Apply sorting if provided
     if (sort) {
       query = query.sort(sort);
     }
 
+    // Apply limit if provided
+    if (limit) {
+      query = query.limit(limit);
+    }
+
     // Execute the query and return results
     return await query.exec();
   }
 
   /**
-   * Finds events near a specified location (currently disabled)
+   * Finds events matching a $text filter, ordered by relevance
+   * @param {Object} filters - Query filters for events, including a $text clause
+   * @param {Object} [options] - Additional query options
+   * @param {Object} [options.after] - Keyset filter on score/_id used for pagination
+   * @param {number} [options.limit] - Maximum number of events to return
+   * @returns {Promise<Array>} List of plain event objects with a score field
+   */
+  async search(filters, { after, limit } = {}) {
+    const pipeline = [
+      // $text must be part of the first $match stage
+      { $match: filters },
+      { $addFields: { score: { $meta: "textScore" } } },
+    ];
+
+    // Skip events up to the cursor position when paginating
+    if (after) pipeline.push({ $match: after });
+
+    // Break score ties by _id so pages are stable
+    pipeline.push({ $sort: { score: -1, _id: -1 } });
+    if (limit) pipeline.push({ $limit: limit });
+
+    return await Event.aggregate(pipeline);
+  }
+
+  /**
+   * Counts events matching the given filters
+   * @param {Object} filters - Query filters for events
+   * @returns {Promise<number>} Number of matching events
+   */
+  async count(filters) {
+    // Count matching documents without loading them
+    return await Event.countDocuments(filters);
+  }
+
+  /**
+   * Counts matching events per category, city, price band and month in one aggregation
+   * @param {Object} filters - Query filters for events
+   * @param {Object} options - Facet options
+   * @param {Object} options.priceBucket - Expression labelling an event with its price band
+   * @param {number} options.maxCities - Maximum number of cities to return
+   * @returns {Promise<Object>} Raw facet counts ({ categories, cities, prices, months } of { _id, count })
+   */
+  async countFacets(filters, { priceBucket, maxCities }) {
+    const countBy = (key) => [
+      { $group: { _id: key, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ];
+
+    const [facets] = await Event.aggregate([
+      { $match: filters },
+      {
+        $facet: {
+          categories: countBy("$category"),
+          cities: [...countBy("$city"), { $limit: maxCities }],
+          prices: [{ $group: { _id: priceBucket, count: { $sum: 1 } } }],
+          // Months are listed chronologically rather than by count and
+          // use the month the event starts in, in its own time zone
+          months: [
+            {
+              $group: {
+                _id: {
+                  $dateToString: {
+                    format: "%Y-%m",
+                    date: "$startsAt",
+                    timezone: { $ifNull: ["$timeZone", "UTC"] },
+                  },
+                },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ]);
+    return facets;
+  }
+
+  /**
+   * Counts how often each tag is used by matching events
+   * @param {Object} filters - Query filters for events
+   * @param {Object} [options] - Aggregation options
+   * @param {RegExp} [options.prefix] - Only count tags matching this expression
+   * @param {number} options.limit - Maximum number of tags to return
+   * @returns {Promise<Array>} Tags with counts ({ tag, count }), most used first
+   */
+  async countTags(filters, { prefix, limit }) {
+    const pipeline = [{ $match: filters }, { $unwind: "$tags" }];
+
+    // Drop the event's other tags when only tags with a prefix are wanted
+    if (prefix) pipeline.push({ $match: { tags: prefix } });
+
+    pipeline.push(
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, tag: "$_id", count: 1 } }
+    );
+    return await Event.aggregate(pipeline);
+  }
+
+  /**
+   * Counts the categories, cities and organizers of events a user liked or commented on
+   * @param {Object} userId - ObjectId of the user
+   * @param {Object} options - Aggregation options
+   * @param {number} options.historySize - Number of most recently updated events to look at
+   * @param {number} options.limit - Maximum number of values to return per dimension
+   * @returns {Promise<Object>} Raw counts ({ total, categories, cities, organizers } of { _id, count })
+   */
+  async countInterests(userId, { historySize, limit }) {
+    const countBy = (key) => [
+      { $group: { _id: key, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+    ];
+
+    const [interests] = await Event.aggregate([
+      { $match: { $or: [{ likes: userId }, { "comments.userId": userId }] } },
+      { $sort: { updatedAt: -1 } },
+      { $limit: historySize },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          categories: countBy("$category"),
+          cities: countBy({ $toLower: "$city" }),
+          organizers: countBy("$userId"),
+        },
+      },
+    ]);
+    return { ...interests, total: interests.total[0]?.count || 0 };
+  }
+
+  /**
+   * Finds the events scoring highest on a recommendation score
+   * Ties are broken by trending score, then by the soonest start
+   * @param {Object} filters - Query filters for candidate events
+   * @param {Object} score - Aggregation expression evaluating to an event's score
+   * @param {number} limit - Maximum number of events to return
+   * @returns {Promise<Array>} List of event documents, best match first
+   */
+  async findRecommended(filters, score, limit) {
+    const ranked = await Event.aggregate([
+      { $match: filters },
+      { $addFields: { recommendationScore: score } },
+      // Events that match none of the interests are not recommendations
+      { $match: { recommendationScore: { $gt: 0 } } },
+      {
+        $sort: {
+          recommendationScore: -1,
+          trendingScore: -1,
+          startsAt: 1,
+          _id: 1,
+        },
+      },
+      { $limit: limit },
+      { $project: { _id: 1 } },
+    ]);
+
+    // Load full documents so schema transforms apply, then restore the ranking
+    const ids = ranked.map((r) => r._id);
+    const events = await Event.find({ _id: { $in: ids } });
+    const byId = new Map(events.map((e) => [e._id.toString(), e]));
+    return ids.map((id) => byId.get(id.toString())).filter(Boolean);
+  }
+
+  /**
+   * Stores precomputed trending scores and resets events that are no longer trending
+   * @param {Array} scores - Scores to store ({ eventId, score })
+   * @returns {Promise<void>}
+   */
+  async setTrendingScores(scores) {
+    if (scores.length > 0) {
+      await Event.bulkWrite(
+        scores.map(({ eventId, score }) => ({
+          updateOne: {
+            filter: { _id: eventId },
+            update: { $set: { trendingScore: score } },
+            // Scores are internal; do not bump updatedAt (calendar SEQUENCE relies on it)
+            timestamps: false,
+          },
+        }))
+      );
+    }
+
+    // Events without recent engagement drop back to zero
+    await Event.updateMany(
+      {
+        trendingScore: { $ne: 0 },
+        _id: { $nin: scores.map((s) => s.eventId) },
+      },
+      { $set: { trendingScore: 0 } },
+      { timestamps: false }
+    );
+  }
+
+  /**
+   * Atomically changes the status of an event if its current status allows it
+   * @param {string} id - The ID of the event
+   * @param {string[]} fromStatuses - Statuses the event may currently have
+   * @param {Object} updateData - Status fields to set
+   * @returns {Promise<Object|null>} The updated event document or null if the transition is not allowed
+   */
+  async updateStatus(id, fromStatuses, updateData) {
+    // The status check is part of the filter, so concurrent transitions cannot both win
+    return await Event.findOneAndUpdate(
+      { _id: id, status: { $in: fromStatuses } },
+      updateData,
+      { new: true }
+    );
+  }
+
+  /**
+   * Replaces the cover image of an event
+   * @param {string} id - The ID of the event
+   * @param {Object|null} image - New cover image, or null to remove it
+   * @returns {Promise<Object|null>} The event document before the update, or null if not found
+   */
+  async setCoverImage(id, image) {
+    // Return the previous document so the replaced files can be deleted
+    return await Event.findByIdAndUpdate(
+      id,
+      { coverImage: image },
+      { new: false }
+    );
+  }
+
+  /**
+   * Appends images to the gallery of an event without exceeding a maximum size
+   * @param {string} id - The ID of the event
+   * @param {Array} images - Images to append
+   * @param {number} maxImages - Maximum gallery size
+   * @returns {Promise<Object|null>} The updated event document or null if the gallery would be too large
+   */
+  async addGalleryImages(id, images, maxImages) {
+    // The size check is part of the filter, so concurrent uploads cannot overfill the gallery
+    return await Event.findOneAndUpdate(
+      {
+        _id: id,
+        $expr: { $lte: [{ $size: "$gallery" }, maxImages - images.length] },
+      },
+      { $push: { gallery: { $each: images } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Removes an image from the gallery of an event
+   * @param {string} id - The ID of the event
+   * @param {string} imageId - The ID of the gallery image
+   * @returns {Promise<Object|null>} The updated event document or null if not found
+   */
+  async removeGalleryImage(id, imageId) {
+    return await Event.findOneAndUpdate(
+      { _id: id, "gallery._id": imageId },
+      { $pull: { gallery: { _id: imageId } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Finds comments waiting for moderation across all events
+   * Placeholders of deleted comments have nothing left to review and are skipped
+   * @param {number} limit - Maximum number of comments to return
+   * @returns {Promise<Array>} Queue entries ({ eventId, eventName, organizerId, comment, reportCount, lastReportedAt })
+   */
+  async findReportedComments(limit) {
+    return await Event.aggregate([
+      { $match: { "comments.moderationStatus": "pending" } },
+      { $unwind: "$comments" },
+      {
+        $match: {
+          "comments.moderationStatus": "pending",
+          "comments.deleted": { $ne: true },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          eventId: "$_id",
+          eventName: "$name",
+          organizerId: "$userId",
+          comment: "$comments",
+          reportCount: { $size: "$comments.reports" },
+          lastReportedAt: { $max: "$comments.reports.createdAt" },
+        },
+      },
+      // Most reported first, then the longest waiting
+      { $sort: { reportCount: -1, lastReportedAt: 1 } },
+      { $limit: limit },
+    ]);
+  }
+
+  /**
+   * Finds events within a radius of a point, ordered by distance
    * @param {number} lng - Longitude of the center point
    * @param {number} lat - Latitude of the center point
    * @param {number} maxDistance - Maximum distance in meters
-   * @param {number} limit - Maximum number of events to return
-   * @returns {Promise<Array>} List of nearby event documents
-   */
-  // async findNearby(lng, lat, maxDistance, limit) {
-  //   return await Event.find({
-  //     location: {
-  //       $near: {
-  //         $geometry: { type: "Point", coordinates: [lng, lat] },
-  //         $maxDistance: maxDistance,
-  //       },
-  //     },
-  //   })
-  //     .sort({ date: 1 }) // Sort by date in ascending order
-  //     .limit(limit); // Limit the number of results
-  // }
+   * @param {Object} [options] - Additional query options
+   * @param {Object} [options.filters] - Extra filters applied to candidate events
+   * @param {Object} [options.after] - Keyset filter on distanceKm/_id used for pagination
+   * @param {number} [options.limit] - Maximum number of events to return
+   * @returns {Promise<Array>} List of plain event objects with a distanceKm field
+   */
+  async findNearby(lng, lat, maxDistance, { filters = {}, after, limit } = {}) {
+    const pipeline = [
+      {
+        // $geoNear must be the first stage; it sorts by distance from the point
+        $geoNear: {
+          near: { type: "Point", coordinates: [lng, lat] },
+          key: "location.point",
+          distanceField: "distanceKm",
+          distanceMultiplier: 0.001, // Convert meters to kilometers
+          maxDistance,
+          spherical: true,
+          query: filters,
+        },
+      },
+    ];
+
+    // Skip events up to the cursor position when paginating
+    if (after) pipeline.push({ $match: after });
+
+    // Break distance ties by _id so pages are stable
+    pipeline.push({ $sort: { distanceKm: 1, _id: 1 } });
+    if (limit) pipeline.push({ $limit: limit });
+
+    return await Event.aggregate(pipeline);
+  }
+
+  /**
+   * Counts events within a radius of a point
+   * @param {number} lng - Longitude of the center point
+   * @param {number} lat - Latitude of the center point
+   * @param {number} maxDistance - Maximum distance in meters
+   * @param {Object} [filters] - Extra filters applied to candidate events
+   * @returns {Promise<number>} Number of events within the radius
+   */
+  async countNearby(lng, lat, maxDistance, filters = {}) {
+    // $near cannot be used for counting, so use the equivalent $geoWithin sphere
+    return await Event.countDocuments({
+      ...filters,
+      "location.point": {
+        $geoWithin: {
+          $centerSphere: [[lng, lat], maxDistance / EARTH_RADIUS_METERS],
+        },
+      },
+    });
+  }
 
   /**
    * Updates an event by its ID
@@ -74,6 +435,100 @@ export class EventRepository {
     return await Event.findByIdAndUpdate(id, updateData, { new: true });
   }
 
+  /**
+   * Atomically takes one seat of an event if capacity allows
+   * @param {string} id - The ID of the event
+   * @returns {Promise<Object|null>} The updated event document or null if the event is full or missing
+   */
+  async reserveSeat(id) {
+    // The capacity check and increment happen in one update, so concurrent
+    // requests can never push attendeeCount past capacity
+    return await Event.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { capacity: null }, // Unlimited capacity
+          { $expr: { $lt: ["$attendeeCount", "$capacity"] } },
+        ],
+      },
+      { $inc: { attendeeCount: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Atomically gives back one seat of an event
+   * @param {string} id - The ID of the event
+   * @returns {Promise<Object|null>} The updated event document or null if not found
+   */
+  async releaseSeat(id) {
+    // Never let attendeeCount drop below zero
+    return await Event.findOneAndUpdate(
+      { _id: id, attendeeCount: { $gt: 0 } },
+      { $inc: { attendeeCount: -1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Finds the occurrences of a recurring series
+   * @param {string} seriesId - The ID of the series
+   * @param {Object} [filters] - Extra filters (e.g., { occurrenceDate: { $gte: now } })
+   * @returns {Promise<Array>} Occurrences ordered by date
+   */
+  async findBySeries(seriesId, filters = {}) {
+    return await Event.find({ ...filters, seriesId }).sort({ startsAt: 1 });
+  }
+
+  /**
+   * Updates several occurrences of a recurring series
+   * @param {string} seriesId - The ID of the series
+   * @param {Object} filters - Extra filters selecting the occurrences
+   * @param {Object} updateData - Data to update the occurrences
+   * @returns {Promise<Object>} Update result
+   */
+  async updateBySeries(seriesId, filters, updateData) {
+    return await Event.updateMany({ ...filters, seriesId }, updateData);
+  }
+
+  /**
+   * Sets the end of several occurrences of a recurring series from their start
+   * @param {string} seriesId - The ID of the series
+   * @param {Object} filters - Extra filters selecting the occurrences
+   * @param {number} durationMinutes - New duration of the occurrences
+   * @returns {Promise<Object>} Update result
+   */
+  async setDurationBySeries(seriesId, filters, durationMinutes) {
+    // Pipeline update so each end is computed from the occurrence's own start
+    return await Event.updateMany({ ...filters, seriesId }, [
+      {
+        $set: {
+          endsAt: { $add: ["$startsAt", durationMinutes * 60 * 1000] },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Updates several events linked to a venue
+   * @param {string} venueId - The ID of the venue
+   * @param {Object} filters - Extra filters selecting the events
+   * @param {Object} updateData - Data to update the events
+   * @returns {Promise<Object>} Update result
+   */
+  async updateByVenue(venueId, filters, updateData) {
+    return await Event.updateMany({ ...filters, venueId }, updateData);
+  }
+
+  /**
+   * Deletes several events by their IDs
+   * @param {Array} ids - The IDs of the events to delete
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteMany(ids) {
+    return await Event.deleteMany({ _id: { $in: ids } });
+  }
+
   /**
    * Deletes an event by its ID
    * @param {string} id - The ID of the event to delete
@@ -0,0 +1,151 @@
+// Import the geocode cache models for MongoDB operations
+import GeocodeCacheEntry from "../models/geocodeCacheEntry.js";
+import GeocodeCacheStat from "../models/geocodeCacheStat.js";
+
+// Repository class for handling database operations related to the geocode cache
+export class GeocodeCacheRepository {
+  /**
+   * Finds the unexpired entry of a normalized address
+   * MongoDB removes expired entries in the background, so they are filtered out here too
+   * @param {string} key - Normalized address
+   * @returns {Promise<Object|null>} The entry document or null if not cached
+   */
+  async findByKey(key) {
+    return await GeocodeCacheEntry.findOne({
+      key,
+      $or: [
+        { expiresAt: { $exists: false } },
+        { expiresAt: null },
+        { expiresAt: { $gt: new Date() } },
+      ],
+    });
+  }
+
+  /**
+   * Finds an entry by its ID
+   * @param {string} id - The ID of the entry
+   * @returns {Promise<Object|null>} The entry document or null if not found
+   */
+  async findById(id) {
+    return await GeocodeCacheEntry.findById(id);
+  }
+
+  /**
+   * Lists entries, most recently updated first
+   * @param {Object} filter - MongoDB filter
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Entry documents
+   */
+  async findAll(filter, limit) {
+    return await GeocodeCacheEntry.find(filter)
+      .sort({ updatedAt: -1, _id: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Stores a provider answer, replacing an expired entry of the same address
+   * Corrected entries are never replaced
+   * @param {string} key - Normalized address
+   * @param {Object} entryData - Entry fields ({ query, status, result, expiresAt })
+   * @returns {Promise<Object|null>} The stored entry document
+   */
+  async store(key, entryData) {
+    return await GeocodeCacheEntry.findOneAndUpdate(
+      { key, corrected: false },
+      { $set: { ...entryData, hits: 0 }, $unset: { lastHitAt: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Counts a lookup answered from an entry
+   * @param {string} id - The ID of the entry
+   * @returns {Promise<Object>} Update result
+   */
+  async recordHit(id) {
+    return await GeocodeCacheEntry.updateOne(
+      { _id: id },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } }
+    );
+  }
+
+  /**
+   * Updates an entry by its ID
+   * @param {string} id - The ID of the entry
+   * @param {Object} updateData - Data to update the entry
+   * @returns {Promise<Object|null>} The updated entry document or null if not found
+   */
+  async update(id, updateData) {
+    return await GeocodeCacheEntry.findByIdAndUpdate(id, updateData, {
+      new: true,
+      runValidators: true,
+    });
+  }
+
+  /**
+   * Deletes an entry by its ID
+   * @param {string} id - The ID of the entry
+   * @returns {Promise<Object|null>} The deleted entry document or null if not found
+   */
+  async delete(id) {
+    return await GeocodeCacheEntry.findByIdAndDelete(id);
+  }
+
+  /**
+   * Counts unexpired entries by status and corrected entries
+   * @returns {Promise<Object>} Counts ({ resolved, unresolved, corrected })
+   */
+  async countEntries() {
+    const now = new Date();
+    const [counts] = await GeocodeCacheEntry.aggregate([
+      {
+        $match: {
+          $or: [
+            { expiresAt: { $exists: false } },
+            { expiresAt: null },
+            { expiresAt: { $gt: now } },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          resolved: {
+            $sum: { $cond: [{ $eq: ["$status", "resolved"] }, 1, 0] },
+          },
+          unresolved: {
+            $sum: { $cond: [{ $eq: ["$status", "unresolved"] }, 1, 0] },
+          },
+          corrected: { $sum: { $cond: ["$corrected", 1, 0] } },
+        },
+      },
+    ]);
+    return counts || { resolved: 0, unresolved: 0, corrected: 0 };
+  }
+
+  /**
+   * Increments a counter of the current UTC day
+   * @param {string} counter - Counter name (hits, negativeHits, misses or failures)
+   * @returns {Promise<Object>} Update result
+   */
+  async incrementStat(counter) {
+    const day = new Date().toISOString().slice(0, 10);
+    return await GeocodeCacheStat.updateOne(
+      { day },
+      { $inc: { [counter]: 1 } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Finds the daily counters since a day
+   * @param {string} since - First UTC day ("YYYY-MM-DD")
+   * @returns {Promise<Array>} Daily counters in day order
+   */
+  async findStatsSince(since) {
+    return await GeocodeCacheStat.find({ day: { $gte: since } })
+      .sort({ day: 1 })
+      .select("-_id")
+      .lean();
+  }
+}
@@ -0,0 +1,69 @@
+// Import the ImportJob model for MongoDB operations
+import ImportJob from "../models/importJob.js";
+
+// Repository class for handling database operations related to import jobs
+export class ImportJobRepository {
+  /**
+   * Creates a new import job in the database
+   * @param {Object} jobData - Data for the new job
+   * @returns {Promise<Object>} The created job document
+   */
+  async create(jobData) {
+    return await ImportJob.create(jobData);
+  }
+
+  /**
+   * Finds an import job by its ID
+   * @param {string} id - The ID of the job
+   * @returns {Promise<Object|null>} The job document or null if not found
+   */
+  async findById(id) {
+    return await ImportJob.findById(id);
+  }
+
+  /**
+   * Updates an import job by its ID
+   * @param {string} id - The ID of the job
+   * @param {Object} updateData - Data to update the job
+   * @returns {Promise<Object|null>} The updated job document or null if not found
+   */
+  async update(id, updateData) {
+    return await ImportJob.findByIdAndUpdate(id, updateData, { new: true });
+  }
+
+  /**
+   * Records the outcome of one processed row and updates the job counters
+   * @param {string} id - The ID of the job
+   * @param {number} index - Position of the row in the rows array
+   * @param {Object} outcome - Row fields to set ({ status: "created" | "failed", eventId?, errors? })
+   * @returns {Promise<Object>} Update result
+   */
+  async setRowOutcome(id, index, outcome) {
+    const set = {};
+    for (const [field, value] of Object.entries(outcome)) {
+      set[`rows.${index}.${field}`] = value;
+    }
+    return await ImportJob.updateOne(
+      { _id: id },
+      {
+        $set: set,
+        $inc: outcome.status === "created" ? { created: 1 } : { failed: 1 },
+      }
+    );
+  }
+
+  /**
+   * Marks jobs that were still running when the service stopped as failed
+   * @returns {Promise<Object>} Update result
+   */
+  async failInterrupted() {
+    return await ImportJob.updateMany(
+      { status: { $in: ["queued", "running"] } },
+      {
+        status: "failed",
+        error: "The import was interrupted by a service restart",
+        finishedAt: new Date(),
+      }
+    );
+  }
+}
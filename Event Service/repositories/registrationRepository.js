@@ -0,0 +1,115 @@
+// Import the Registration model for MongoDB operations
+import Registration from "../models/registration.js";
+
+// Repository class for handling database operations related to registrations
+export class RegistrationRepository {
+  /**
+   * Finds a user's registration for an event
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} The registration document or null if not found
+   */
+  async findByEventAndUser(eventId, userId) {
+    return await Registration.findOne({ eventId, userId });
+  }
+
+  /**
+   * Creates an active registration, or reactivates a cancelled one
+   * Fails with a duplicate key error if the user already has an active registration
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the user
+   * @param {string} status - Initial status ('confirmed' or 'waitlisted')
+   * @returns {Promise<Object>} The registration document
+   */
+  async activate(eventId, userId, status) {
+    // Only cancelled registrations match; otherwise the upsert inserts and the
+    // unique (eventId, userId) index rejects active duplicates
+    return await Registration.findOneAndUpdate(
+      { eventId, userId, status: "cancelled" },
+      {
+        status,
+        registeredAt: new Date(),
+        $unset: { promotedAt: 1, cancelledAt: 1 },
+      },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * Cancels a user's active registration
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} The registration as it was before cancelling, or null if none was active
+   */
+  async cancel(eventId, userId) {
+    return await Registration.findOneAndUpdate(
+      { eventId, userId, status: { $in: ["confirmed", "waitlisted"] } },
+      { status: "cancelled", cancelledAt: new Date() },
+      { new: false } // Return the previous status to know if a seat was freed
+    );
+  }
+
+  /**
+   * Promotes the longest-waiting waitlisted user to confirmed
+   * @param {string} eventId - ID of the event
+   * @returns {Promise<Object|null>} The promoted registration or null if the waitlist is empty
+   */
+  async promoteNext(eventId) {
+    return await Registration.findOneAndUpdate(
+      { eventId, status: "waitlisted" },
+      { status: "confirmed", promotedAt: new Date() },
+      { sort: { registeredAt: 1, _id: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Counts waitlisted registrations ahead of a given registration
+   * @param {string} eventId - ID of the event
+   * @param {Object} registration - Waitlisted registration document
+   * @returns {Promise<number>} Number of users ahead in the waitlist
+   */
+  async countWaitlistedBefore(eventId, registration) {
+    return await Registration.countDocuments({
+      eventId,
+      status: "waitlisted",
+      $or: [
+        { registeredAt: { $lt: registration.registeredAt } },
+        {
+          registeredAt: registration.registeredAt,
+          _id: { $lt: registration._id },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Lists registrations of an event with a given status
+   * @param {string} eventId - ID of the event
+   * @param {string} status - Registration status to list
+   * @returns {Promise<Array>} Registrations ordered by registration time
+   */
+  async findByEvent(eventId, status) {
+    return await Registration.find({ eventId, status }).sort({
+      registeredAt: 1,
+      _id: 1,
+    });
+  }
+
+  /**
+   * Deletes all registrations of an event
+   * @param {string} eventId - ID of the event
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteByEvent(eventId) {
+    return await Registration.deleteMany({ eventId });
+  }
+
+  /**
+   * Deletes all registrations of several events
+   * @param {Array} eventIds - IDs of the events
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteByEvents(eventIds) {
+    return await Registration.deleteMany({ eventId: { $in: eventIds } });
+  }
+}
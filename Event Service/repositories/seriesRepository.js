@@ -0,0 +1,120 @@
+// Import the EventSeries model for MongoDB operations
+import EventSeries from "../models/eventSeries.js";
+
+// Repository class for handling database operations related to recurring series
+export class SeriesRepository {
+  /**
+   * Creates a new series in the database
+   * @param {Object} seriesData - Data for the new series
+   * @returns {Promise<Object>} The created series document
+   */
+  async create(seriesData) {
+    return await EventSeries.create(seriesData);
+  }
+
+  /**
+   * Finds a series by its ID
+   * @param {string} id - The ID of the series
+   * @returns {Promise<Object|null>} The series document or null if not found
+   */
+  async findById(id) {
+    return await EventSeries.findById(id);
+  }
+
+  /**
+   * Finds series whose occurrences have not been created up to a date yet
+   * @param {Date} date - Date occurrences should exist until
+   * @returns {Promise<Array>} List of series documents
+   */
+  async findMaterializedBefore(date) {
+    return await EventSeries.find({
+      materializedUntil: { $lt: date },
+      // Cancelled series do not get new occurrences
+      "template.status": { $ne: "cancelled" },
+      // Series whose rule produced its last occurrence need no work
+      exhausted: { $ne: true },
+    });
+  }
+
+  /**
+   * Atomically moves the materialized horizon of a series forward
+   * Only succeeds for the caller that still sees the previous horizon, so
+   * concurrent expansions do not create the same occurrences twice
+   * @param {string} id - The ID of the series
+   * @param {Date} from - Horizon the caller expanded from
+   * @param {Date} to - New horizon
+   * @param {boolean} exhausted - Whether the rule produces no occurrences after the new horizon
+   * @returns {Promise<Object|null>} The updated series or null if another caller won
+   */
+  async advanceMaterialized(id, from, to, exhausted) {
+    return await EventSeries.findOneAndUpdate(
+      { _id: id, materializedUntil: from },
+      { materializedUntil: to, exhausted },
+      { new: true }
+    );
+  }
+
+  /**
+   * Adds occurrence dates to the exception dates of a series
+   * @param {string} id - The ID of the series
+   * @param {Date[]} dates - Occurrence dates to exclude
+   * @returns {Promise<Object|null>} The updated series document or null if not found
+   */
+  async addExceptionDates(id, dates) {
+    return await EventSeries.findByIdAndUpdate(
+      id,
+      { $addToSet: { exceptionDates: { $each: dates } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Updates a series by its ID
+   * @param {string} id - The ID of the series to update
+   * @param {Object} updateData - Data to update the series
+   * @returns {Promise<Object|null>} The updated series document or null if not found
+   */
+  async update(id, updateData) {
+    return await EventSeries.findByIdAndUpdate(id, updateData, { new: true });
+  }
+
+  /**
+   * Counts the series whose occurrences take place at a venue
+   * @param {string} venueId - The ID of the venue
+   * @param {Object} [filters] - Extra filters (e.g., { userId: { $ne: organizerId } })
+   * @returns {Promise<number>} Number of series
+   */
+  async countByVenue(venueId, filters = {}) {
+    return await EventSeries.countDocuments({
+      ...filters,
+      "template.venueId": venueId,
+    });
+  }
+
+  /**
+   * Updates the templates of the series whose occurrences take place at a venue
+   * @param {string} venueId - The ID of the venue
+   * @param {Object} filters - Extra filters selecting the series
+   * @param {Object} templateData - Template fields to set (e.g., { city, location })
+   * @returns {Promise<Object>} Update result
+   */
+  async updateTemplatesByVenue(venueId, filters, templateData) {
+    const update = {};
+    for (const [field, value] of Object.entries(templateData)) {
+      update[`template.${field}`] = value;
+    }
+    return await EventSeries.updateMany(
+      { ...filters, "template.venueId": venueId },
+      { $set: update }
+    );
+  }
+
+  /**
+   * Deletes a series by its ID
+   * @param {string} id - The ID of the series to delete
+   * @returns {Promise<Object|null>} The deleted series document or null if not found
+   */
+  async delete(id) {
+    return await EventSeries.findByIdAndDelete(id);
+  }
+}
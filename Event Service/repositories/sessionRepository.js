@@ -0,0 +1,168 @@
+// Import the Session model for MongoDB operations
+import Session from "../models/session.js";
+
+// Room names are compared case-insensitively ("Hall A" and "hall a" are the same room)
+const ROOM_COLLATION = { locale: "en", strength: 2 };
+
+// Repository class for handling database operations related to agenda sessions
+export class SessionRepository {
+  /**
+   * Creates a new session in the database
+   * @param {Object} sessionData - Data for the new session
+   * @returns {Promise<Object>} The created session document
+   */
+  async create(sessionData) {
+    return await Session.create(sessionData);
+  }
+
+  /**
+   * Finds a session of an event by its ID
+   * @param {string} eventId - The ID of the event
+   * @param {string} id - The ID of the session
+   * @returns {Promise<Object|null>} The session document or null if not found
+   */
+  async findByEventAndId(eventId, id) {
+    return await Session.findOne({ _id: id, eventId });
+  }
+
+  /**
+   * Finds all sessions of an event in time order
+   * @param {string} eventId - The ID of the event
+   * @returns {Promise<Array>} Session documents sorted by start, then room
+   */
+  async findByEvent(eventId) {
+    return await Session.find({ eventId }).sort({
+      startsAt: 1,
+      room: 1,
+      _id: 1,
+    });
+  }
+
+  /**
+   * Finds all sessions of several events
+   * @param {Array} eventIds - The IDs of the events
+   * @returns {Promise<Array>} Session documents
+   */
+  async findByEvents(eventIds) {
+    return await Session.find({ eventId: { $in: eventIds } });
+  }
+
+  /**
+   * Finds a session in the same room that overlaps a time slot
+   * Sessions that end exactly when another starts do not overlap
+   * @param {string} eventId - The ID of the event
+   * @param {string} room - Room name
+   * @param {Date} startsAt - Slot start
+   * @param {Date} endsAt - Slot end
+   * @param {string} [excludeId] - Session to ignore (the one being updated)
+   * @returns {Promise<Object|null>} An overlapping session or null if the room is free
+   */
+  async findOverlapping(eventId, room, startsAt, endsAt, excludeId) {
+    const filter = {
+      eventId,
+      room,
+      startsAt: { $lt: endsAt },
+      endsAt: { $gt: startsAt },
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return await Session.findOne(filter).collation(ROOM_COLLATION);
+  }
+
+  /**
+   * Finds the sessions a user bookmarked, in time order
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Array>} Session documents sorted by start
+   */
+  async findBookmarkedBy(userId) {
+    return await Session.find({ bookmarks: userId }).sort({
+      startsAt: 1,
+      _id: 1,
+    });
+  }
+
+  /**
+   * Updates a session by its ID
+   * @param {string} id - The ID of the session
+   * @param {Object} updateData - Data to update the session
+   * @returns {Promise<Object|null>} The updated session document or null if not found
+   */
+  async update(id, updateData) {
+    return await Session.findByIdAndUpdate(id, updateData, {
+      new: true,
+      runValidators: true,
+    });
+  }
+
+  /**
+   * Adds a user to the bookmarks of a session (no-op if already bookmarked)
+   * @param {string} id - The ID of the session
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Object|null>} The updated session document or null if not found
+   */
+  async addBookmark(id, userId) {
+    return await Session.findByIdAndUpdate(
+      id,
+      { $addToSet: { bookmarks: userId } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Removes a user from the bookmarks of a session
+   * @param {string} id - The ID of the session
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Object|null>} The updated session document or null if not found
+   */
+  async removeBookmark(id, userId) {
+    return await Session.findByIdAndUpdate(
+      id,
+      { $pull: { bookmarks: userId } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Deletes a session by its ID
+   * @param {string} id - The ID of the session
+   * @returns {Promise<Object|null>} The deleted session document or null if not found
+   */
+  async delete(id) {
+    return await Session.findByIdAndDelete(id);
+  }
+
+  /**
+   * Moves all sessions of an event by the same amount of time
+   * @param {string} eventId - The ID of the event
+   * @param {number} ms - Milliseconds to move the sessions by (negative moves them earlier)
+   * @returns {Promise<Object>} Update result
+   */
+  async shiftByEvent(eventId, ms) {
+    // Pipeline update so each session keeps its own start and length
+    return await Session.updateMany({ eventId }, [
+      {
+        $set: {
+          startsAt: { $add: ["$startsAt", ms] },
+          endsAt: { $add: ["$endsAt", ms] },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Deletes all sessions of an event
+   * @param {string} eventId - The ID of the event
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteByEvent(eventId) {
+    return await Session.deleteMany({ eventId });
+  }
+
+  /**
+   * Deletes all sessions of several events
+   * @param {Array} eventIds - The IDs of the events
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteByEvents(eventIds) {
+    return await Session.deleteMany({ eventId: { $in: eventIds } });
+  }
+}
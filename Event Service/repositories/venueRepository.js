@@ -0,0 +1,64 @@
+// Import the Venue model for MongoDB operations
+import Venue from "../models/venue.js";
+
+// Repository class for handling database operations related to venues
+export class VenueRepository {
+  /**
+   * Creates a new venue in the database
+   * @param {Object} venueData - Data for the new venue
+   * @returns {Promise<Object>} The created venue document
+   */
+  async create(venueData) {
+    return await Venue.create(venueData);
+  }
+
+  /**
+   * Finds a venue by its ID
+   * @param {string} id - The ID of the venue
+   * @returns {Promise<Object|null>} The venue document or null if not found
+   */
+  async findById(id) {
+    return await Venue.findById(id);
+  }
+
+  /**
+   * Finds the venue registered for a geocoder place
+   * @param {string} placeId - The provider's place ID
+   * @returns {Promise<Object|null>} The venue document or null if not found
+   */
+  async findByPlaceId(placeId) {
+    return await Venue.findOne({ "location.placeId": placeId });
+  }
+
+  /**
+   * Finds venues sorted by name
+   * @param {Object} filters - Query filters (e.g., { city: /^pune$/i })
+   * @param {number} limit - Maximum number of venues to return
+   * @returns {Promise<Array>} List of venue documents
+   */
+  async findAll(filters, limit) {
+    return await Venue.find(filters).sort({ name: 1, _id: 1 }).limit(limit);
+  }
+
+  /**
+   * Updates a venue by its ID
+   * @param {string} id - The ID of the venue to update
+   * @param {Object} updateData - Data to update the venue
+   * @returns {Promise<Object|null>} The updated venue document or null if not found
+   */
+  async update(id, updateData) {
+    return await Venue.findByIdAndUpdate(id, updateData, {
+      new: true,
+      runValidators: true,
+    });
+  }
+
+  /**
+   * Deletes a venue by its ID
+   * @param {string} id - The ID of the venue to delete
+   * @returns {Promise<Object|null>} The deleted venue document or null if not found
+   */
+  async delete(id) {
+    return await Venue.findByIdAndDelete(id);
+  }
+}
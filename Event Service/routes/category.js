@@ -0,0 +1,71 @@
+// Import Express for creating the router
+import express from "express";
+
+// Import CategoryController for handling category-related requests
+import { CategoryController } from "../controllers/categoryController.js";
+
+// Import middleware to verify JWT tokens
+import { authenticateToken } from "../middlewares/auth.js";
+
+// Import middleware to restrict access to specific roles
+import { authorizeRoles } from "../middlewares/authorizeRoles.js";
+
+// Initialize Express router for category routes
+const router = express.Router();
+
+// Create an instance of CategoryController
+const categoryController = new CategoryController();
+
+/**
+ * GET /api/categories
+ * Lists all categories (use ?tree=true to nest subcategories)
+ */
+router.get(
+  "/",
+  categoryController.listCategories.bind(categoryController) // Handle listing categories
+);
+
+/**
+ * GET /api/categories/:slug
+ * Retrieves a single category
+ */
+router.get(
+  "/:slug",
+  categoryController.getCategory.bind(categoryController) // Handle fetching a category
+);
+
+/**
+ * POST /api/categories
+ * Creates a category (requires admin role)
+ */
+router.post(
+  "/",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["admin"]), // Restrict to admin role
+  categoryController.createCategory.bind(categoryController) // Handle category creation
+);
+
+/**
+ * PUT /api/categories/:slug
+ * Updates the name or parent of a category (requires admin role)
+ */
+router.put(
+  "/:slug",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["admin"]), // Restrict to admin role
+  categoryController.updateCategory.bind(categoryController) // Handle category update
+);
+
+/**
+ * DELETE /api/categories/:slug
+ * Deletes a category without subcategories or events (requires admin role)
+ */
+router.delete(
+  "/:slug",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["admin"]), // Restrict to admin role
+  categoryController.deleteCategory.bind(categoryController) // Handle category deletion
+);
+
+// Export the router for use in the main server file
+export default router;
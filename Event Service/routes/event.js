@@ -4,8 +4,26 @@ import express from "express";
 // Import EventController for handling event-related requests
 import { EventController } from "../controllers/eventController.js";
 
+// Import RegistrationController for handling RSVP-related requests
+import { RegistrationController } from "../controllers/registrationController.js";
+
+// Import ModerationController for handling comment reports and moderation
+import { ModerationController } from "../controllers/moderationController.js";
+
+// Import MediaController for handling event image uploads
+import { MediaController } from "../controllers/mediaController.js";
+
+// Import AgendaController for handling agenda sessions and bookmarks
+import { AgendaController } from "../controllers/agendaController.js";
+
+// Import ImportController for handling bulk event imports
+import { ImportController } from "../controllers/importController.js";
+
 // Import middleware to verify JWT tokens
-import { authenticateToken } from "../middlewares/auth.js";
+import {
+  authenticateToken,
+  optionalAuthenticateToken,
+} from "../middlewares/auth.js";
 
 // Import middleware to restrict access to specific roles
 import { authorizeRoles } from "../middlewares/authorizeRoles.js";
@@ -14,12 +32,36 @@ import { authorizeRoles } from "../middlewares/authorizeRoles.js";
 // import { validateLatLng } from "../middlewares/validateCoords.js"; // Disabled middleware for coordinate validation
 import { geocodeAddress } from "../middlewares/geocodeAddress.js";
 
+// Import middlewares to parse multipart image uploads
+import {
+  uploadSingleImage,
+  uploadImageList,
+} from "../middlewares/uploadImages.js";
+
+// Import middleware to parse CSV or JSON import files
+import { uploadImportFile } from "../middlewares/uploadImportFile.js";
+
 // Initialize Express router for event routes
 const router = express.Router();
 
 // Create an instance of EventController
 const eventController = new EventController();
 
+// Create an instance of RegistrationController
+const registrationController = new RegistrationController();
+
+// Create an instance of ModerationController
+const moderationController = new ModerationController();
+
+// Create an instance of MediaController
+const mediaController = new MediaController();
+
+// Create an instance of AgendaController
+const agendaController = new AgendaController();
+
+// Create an instance of ImportController
+const importController = new ImportController();
+
 /**
  * POST /api/events
  * Creates a new event (requires organizer role and geocoded address)
@@ -32,6 +74,41 @@ router.post(
   eventController.createEvent.bind(eventController) // Handle event creation
 );
 
+/**
+ * POST /api/events/import
+ * Imports events from a CSV or JSON file (or an events array); ?dryRun=true only validates
+ */
+router.post(
+  "/import",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  uploadImportFile, // Parse the optional import file (req.file)
+  importController.importEvents.bind(importController) // Handle validating or starting the import
+);
+
+/**
+ * GET /api/events/import/:jobId
+ * Retrieves the progress of an import job with the outcome of every row
+ */
+router.get(
+  "/import/:jobId",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  importController.getImportJob.bind(importController) // Handle fetching the import job
+);
+
+/**
+ * GET /api/events/moderation/comments
+ * Retrieves reported comments waiting for review (admin only)
+ * Registered before the /:id routes so "moderation" is not taken for an event ID
+ */
+router.get(
+  "/moderation/comments",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["admin"]), // Restrict to admin role
+  moderationController.getQueue.bind(moderationController) // Handle fetching the moderation queue
+);
+
 /**
  * POST /api/events/:id/like
  * Likes an event for the authenticated user
@@ -62,9 +139,91 @@ router.post(
   eventController.commentOnEvent.bind(eventController) // Handle adding comment
 );
 
+/**
+ * GET /api/events/:id/comments
+ * Retrieves the comments of an event as threads with reaction counts
+ */
+router.get(
+  "/:id/comments",
+  eventController.getComments.bind(eventController) // Handle fetching comments
+);
+
+/**
+ * POST /api/events/:id/comments/:commentId/replies
+ * Replies to a comment on an event
+ */
+router.post(
+  "/:id/comments/:commentId/replies",
+  authenticateToken, // Verify JWT token
+  eventController.replyToComment.bind(eventController) // Handle adding reply
+);
+
+/**
+ * POST /api/events/:id/comments/:commentId/reactions
+ * Adds a reaction to a comment
+ */
+router.post(
+  "/:id/comments/:commentId/reactions",
+  authenticateToken, // Verify JWT token
+  eventController.reactToComment.bind(eventController) // Handle adding reaction
+);
+
+/**
+ * DELETE /api/events/:id/comments/:commentId/reactions/:reaction
+ * Removes a reaction from a comment
+ */
+router.delete(
+  "/:id/comments/:commentId/reactions/:reaction",
+  authenticateToken, // Verify JWT token
+  eventController.removeReaction.bind(eventController) // Handle removing reaction
+);
+
+/**
+ * POST /api/events/:id/comments/:commentId/report
+ * Reports a comment for moderation
+ */
+router.post(
+  "/:id/comments/:commentId/report",
+  authenticateToken, // Verify JWT token
+  moderationController.reportComment.bind(moderationController) // Handle reporting comment
+);
+
+/**
+ * POST /api/events/:id/comments/:commentId/hide
+ * Hides a comment (event organizer or admin)
+ */
+router.post(
+  "/:id/comments/:commentId/hide",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer", "admin"]), // Restrict to organizer and admin roles
+  moderationController.hideComment.bind(moderationController) // Handle hiding comment
+);
+
+/**
+ * POST /api/events/:id/comments/:commentId/restore
+ * Restores a hidden comment (admin, or the organizer who hid it)
+ */
+router.post(
+  "/:id/comments/:commentId/restore",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer", "admin"]), // Restrict to organizer and admin roles
+  moderationController.restoreComment.bind(moderationController) // Handle restoring comment
+);
+
+/**
+ * DELETE /api/events/:id/comments/:commentId/moderation
+ * Deletes a reported comment as a moderation decision (admin only)
+ */
+router.delete(
+  "/:id/comments/:commentId/moderation",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["admin"]), // Restrict to admin role
+  moderationController.deleteComment.bind(moderationController) // Handle deleting comment
+);
+
 /**
  * PUT /api/events/:id/comments/:commentId
- * Updates a comment on an event
+ * Updates a comment or reply on an event
  */
 router.put(
   "/:id/comments/:commentId",
@@ -82,9 +241,208 @@ router.delete(
   eventController.deleteComment.bind(eventController) // Handle deleting comment
 );
 
+/**
+ * POST /api/events/:id/rsvp
+ * RSVPs the authenticated user to an event, or adds them to the waitlist if full
+ */
+router.post(
+  "/:id/rsvp",
+  authenticateToken, // Verify JWT token
+  registrationController.rsvp.bind(registrationController) // Handle RSVP
+);
+
+/**
+ * GET /api/events/:id/rsvp
+ * Retrieves the authenticated user's RSVP status for an event
+ */
+router.get(
+  "/:id/rsvp",
+  authenticateToken, // Verify JWT token
+  registrationController.getRsvpStatus.bind(registrationController) // Handle fetching RSVP status
+);
+
+/**
+ * DELETE /api/events/:id/rsvp
+ * Cancels the authenticated user's RSVP and promotes the waitlist
+ */
+router.delete(
+  "/:id/rsvp",
+  authenticateToken, // Verify JWT token
+  registrationController.cancelRsvp.bind(registrationController) // Handle RSVP cancellation
+);
+
+/**
+ * GET /api/events/:id/attendees
+ * Lists confirmed attendees and the waitlist (requires organizer role, event owner only)
+ */
+router.get(
+  "/:id/attendees",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  registrationController.getAttendees.bind(registrationController) // Handle fetching attendees
+);
+
+/**
+ * GET /api/events/:id/sessions
+ * Retrieves the agenda of an event sorted by time (authentication optional; adds bookmark flags)
+ */
+router.get(
+  "/:id/sessions",
+  optionalAuthenticateToken, // Identify the user when a token is sent
+  agendaController.getAgenda.bind(agendaController) // Handle fetching the agenda
+);
+
+/**
+ * POST /api/events/:id/sessions
+ * Adds a session to the agenda (requires organizer role, event owner only)
+ */
+router.post(
+  "/:id/sessions",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  agendaController.createSession.bind(agendaController) // Handle adding a session
+);
+
+/**
+ * PUT /api/events/:id/sessions/:sessionId
+ * Updates a session (requires organizer role, event owner only)
+ */
+router.put(
+  "/:id/sessions/:sessionId",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  agendaController.updateSession.bind(agendaController) // Handle updating a session
+);
+
+/**
+ * DELETE /api/events/:id/sessions/:sessionId
+ * Removes a session from the agenda (requires organizer role, event owner only)
+ */
+router.delete(
+  "/:id/sessions/:sessionId",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  agendaController.deleteSession.bind(agendaController) // Handle deleting a session
+);
+
+/**
+ * POST /api/events/:id/sessions/:sessionId/bookmark
+ * Bookmarks a session for the authenticated user
+ */
+router.post(
+  "/:id/sessions/:sessionId/bookmark",
+  authenticateToken, // Verify JWT token
+  agendaController.bookmarkSession.bind(agendaController) // Handle bookmarking a session
+);
+
+/**
+ * DELETE /api/events/:id/sessions/:sessionId/bookmark
+ * Removes the authenticated user's bookmark from a session
+ */
+router.delete(
+  "/:id/sessions/:sessionId/bookmark",
+  authenticateToken, // Verify JWT token
+  agendaController.removeBookmark.bind(agendaController) // Handle removing a bookmark
+);
+
+/**
+ * POST /api/events/:id/publish
+ * Publishes a draft or postponed event (requires organizer role, event owner only)
+ * Use ?scope=series to publish every upcoming occurrence of a recurring event
+ */
+router.post(
+  "/:id/publish",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  eventController.publishEvent.bind(eventController) // Handle publishing the event
+);
+
+/**
+ * POST /api/events/:id/cancel
+ * Cancels an event with a reason (requires organizer role, event owner only)
+ * Use ?scope=series to cancel every upcoming occurrence of a recurring event
+ */
+router.post(
+  "/:id/cancel",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  eventController.cancelEvent.bind(eventController) // Handle cancelling the event
+);
+
+/**
+ * POST /api/events/:id/postpone
+ * Postpones a published event (requires organizer role, event owner only)
+ * Use ?scope=series to postpone every upcoming occurrence of a recurring event
+ */
+router.post(
+  "/:id/postpone",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  eventController.postponeEvent.bind(eventController) // Handle postponing the event
+);
+
+/**
+ * POST /api/events/:id/complete
+ * Marks a published event as completed (requires organizer role, event owner only)
+ */
+router.post(
+  "/:id/complete",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  eventController.completeEvent.bind(eventController) // Handle completing the event
+);
+
+/**
+ * PUT /api/events/:id/cover
+ * Uploads or replaces the cover image (multipart field "image"; organizer role, event owner only)
+ */
+router.put(
+  "/:id/cover",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  mediaController.authorizeUpload.bind(mediaController), // Check event ownership before parsing the upload
+  uploadSingleImage, // Parse the uploaded image into req.file
+  mediaController.setCoverImage.bind(mediaController) // Handle cover upload
+);
+
+/**
+ * DELETE /api/events/:id/cover
+ * Removes the cover image (requires organizer role, event owner only)
+ */
+router.delete(
+  "/:id/cover",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  mediaController.removeCoverImage.bind(mediaController) // Handle cover removal
+);
+
+/**
+ * POST /api/events/:id/gallery
+ * Adds images to the gallery (multipart field "images"; organizer role, event owner only)
+ */
+router.post(
+  "/:id/gallery",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  mediaController.authorizeUpload.bind(mediaController), // Check event ownership before parsing the uploads
+  uploadImageList, // Parse the uploaded images into req.files
+  mediaController.addGalleryImages.bind(mediaController) // Handle gallery upload
+);
+
+/**
+ * DELETE /api/events/:id/gallery/:imageId
+ * Removes an image from the gallery (requires organizer role, event owner only)
+ */
+router.delete(
+  "/:id/gallery/:imageId",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  mediaController.removeGalleryImage.bind(mediaController) // Handle gallery image removal
+);
+
 /**
  * GET /api/events
- * Retrieves events based on query parameters
+ * Retrieves published events based on query parameters
  */
 router.get(
   "/",
@@ -100,18 +458,130 @@ router.get(
   eventController.getNearbyEvents.bind(eventController) // Handle fetching nearby events
 );
 
+/**
+ * GET /api/events/trending
+ * Retrieves upcoming events ranked by recent engagement (optional query params: city, limit, cursor, includeTotal)
+ */
+router.get(
+  "/trending",
+  eventController.getTrendingEvents.bind(eventController) // Handle fetching trending events
+);
+
+/**
+ * GET /api/events/recommended
+ * Retrieves upcoming events recommended to the authenticated user (optional query params: city, limit)
+ */
+router.get(
+  "/recommended",
+  authenticateToken, // Verify JWT token
+  eventController.getRecommendedEvents.bind(eventController) // Handle fetching recommendations
+);
+
+/**
+ * GET /api/events/tags/popular
+ * Retrieves the most used tags of upcoming events (optional query params: city, limit)
+ */
+router.get(
+  "/tags/popular",
+  eventController.getPopularTags.bind(eventController) // Handle fetching popular tags
+);
+
+/**
+ * GET /api/events/tags/suggest
+ * Suggests tags starting with a prefix (query params: prefix, limit)
+ */
+router.get(
+  "/tags/suggest",
+  eventController.suggestTags.bind(eventController) // Handle tag autocomplete
+);
+
+/**
+ * GET /api/events/analytics
+ * Reports views, likes, unlikes and comments of the organizer's events per day
+ * (requires organizer role; optional query params: from, to, timeZone)
+ */
+router.get(
+  "/analytics",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  eventController.getAnalytics.bind(eventController) // Handle fetching analytics
+);
+
+/**
+ * GET /api/events/:id/analytics
+ * Reports views, likes, unlikes and comments of one event per day
+ * (requires organizer role, event owner only; optional query params: from, to, timeZone)
+ */
+router.get(
+  "/:id/analytics",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  eventController.getAnalytics.bind(eventController) // Handle fetching event analytics
+);
+
+/**
+ * GET /api/events/sessions/bookmarked
+ * Lists the sessions the authenticated user bookmarked, across events
+ */
+router.get(
+  "/sessions/bookmarked",
+  authenticateToken, // Verify JWT token
+  agendaController.getBookmarkedSessions.bind(agendaController) // Handle fetching bookmarked sessions
+);
+
+/**
+ * GET /api/events/mine
+ * Retrieves the authenticated organizer's events in every status, including drafts
+ */
+router.get(
+  "/mine",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  eventController.getMyEvents.bind(eventController) // Handle fetching the organizer's events
+);
+
+/**
+ * GET /api/events/feed.ics
+ * Exports a subscribable iCalendar feed (accepts the same filters as GET /api/events)
+ */
+router.get(
+  "/feed.ics",
+  eventController.exportFeed.bind(eventController) // Handle calendar feed export
+);
+
+/**
+ * GET /api/events/:id.ics
+ * Exports a single event as an iCalendar file
+ */
+router.get(
+  "/:id.ics",
+  optionalAuthenticateToken, // Identify the organizer so drafts can be exported
+  eventController.exportEvent.bind(eventController) // Handle single event export
+);
+
+/**
+ * GET /api/events/series/:seriesId
+ * Retrieves a recurring series with its upcoming occurrences
+ */
+router.get(
+  "/series/:seriesId",
+  eventController.getSeries.bind(eventController) // Handle fetching a series
+);
+
 /**
  * GET /api/events/:id
  * Retrieves a single event by ID
  */
 router.get(
   "/:id",
+  optionalAuthenticateToken, // Identify the organizer so drafts can be viewed
   eventController.getEventById.bind(eventController) // Handle fetching event by ID
 );
 
 /**
  * PUT /api/events/:id
  * Updates an existing event (requires organizer role and geocoded address)
+ * Use ?scope=series to update every upcoming occurrence of a recurring event
  */
 router.put(
   "/:id",
@@ -124,6 +594,7 @@ router.put(
 /**
  * DELETE /api/events/:id
  * Deletes an event (requires organizer role)
+ * Use ?scope=series to delete every occurrence of a recurring event
  */
 router.delete(
   "/:id",
@@ -0,0 +1,64 @@
+// Import Express for creating the router
+import express from "express";
+
+// Import GeocodeCacheController for handling geocode cache requests
+import { GeocodeCacheController } from "../controllers/geocodeCacheController.js";
+
+// Import middleware to verify JWT tokens
+import { authenticateToken } from "../middlewares/auth.js";
+
+// Import middleware to restrict access to specific roles
+import { authorizeRoles } from "../middlewares/authorizeRoles.js";
+
+// Initialize Express router for geocoding routes
+const router = express.Router();
+
+// Create an instance of GeocodeCacheController
+const geocodeCacheController = new GeocodeCacheController();
+
+/**
+ * GET /api/geocoding/cache
+ * Lists geocode cache entries (requires admin role)
+ */
+router.get(
+  "/cache",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["admin"]), // Restrict to admin role
+  geocodeCacheController.listEntries.bind(geocodeCacheController) // Handle listing cache entries
+);
+
+/**
+ * GET /api/geocoding/cache/stats
+ * Retrieves geocode cache hit/miss stats (requires admin role)
+ */
+router.get(
+  "/cache/stats",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["admin"]), // Restrict to admin role
+  geocodeCacheController.getStats.bind(geocodeCacheController) // Handle fetching cache stats
+);
+
+/**
+ * PUT /api/geocoding/cache/:id
+ * Corrects a geocode cache entry (requires admin role)
+ */
+router.put(
+  "/cache/:id",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["admin"]), // Restrict to admin role
+  geocodeCacheController.correctEntry.bind(geocodeCacheController) // Handle correcting a cache entry
+);
+
+/**
+ * DELETE /api/geocoding/cache/:id
+ * Purges a geocode cache entry (requires admin role)
+ */
+router.delete(
+  "/cache/:id",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["admin"]), // Restrict to admin role
+  geocodeCacheController.deleteEntry.bind(geocodeCacheController) // Handle purging a cache entry
+);
+
+// Export the router for use in the main server file
+export default router;
@@ -0,0 +1,90 @@
+// Import Express for creating the router
+import express from "express";
+
+// Import VenueController for handling venue-related requests
+import { VenueController } from "../controllers/venueController.js";
+
+// Import middleware to verify JWT tokens
+import { authenticateToken } from "../middlewares/auth.js";
+
+// Import middleware to restrict access to specific roles
+import { authorizeRoles } from "../middlewares/authorizeRoles.js";
+
+// Import middleware to geocode addresses and map pins (adds req.geocodedLocation)
+import {
+  geocodeAddress,
+  geocodeAddressIfProvided,
+} from "../middlewares/geocodeAddress.js";
+
+// Initialize Express router for venue routes
+const router = express.Router();
+
+// Create an instance of VenueController
+const venueController = new VenueController();
+
+/**
+ * GET /api/venues
+ * Lists venues sorted by name (optional ?q=, ?city=, ?limit=)
+ */
+router.get(
+  "/",
+  venueController.listVenues.bind(venueController) // Handle listing venues
+);
+
+/**
+ * POST /api/venues
+ * Creates a venue (requires organizer role and geocoded address)
+ * Returns the existing venue when the place is already registered
+ */
+router.post(
+  "/",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  geocodeAddress, // Add geocoded location data to request
+  venueController.createVenue.bind(venueController) // Handle venue creation
+);
+
+/**
+ * GET /api/venues/:id
+ * Retrieves a single venue
+ */
+router.get(
+  "/:id",
+  venueController.getVenue.bind(venueController) // Handle fetching a venue
+);
+
+/**
+ * GET /api/venues/:id/events
+ * Lists the published events at a venue (optional ?futureOnly=, ?limit=, ?cursor=, ?includeTotal=)
+ */
+router.get(
+  "/:id/events",
+  venueController.getVenueEvents.bind(venueController) // Handle listing the venue's events
+);
+
+/**
+ * PUT /api/venues/:id
+ * Updates a venue (requires organizer role; only its creator may update it)
+ * A new location is geocoded and applied to every event at the venue
+ */
+router.put(
+  "/:id",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  geocodeAddressIfProvided, // Geocode the location if it changes
+  venueController.updateVenue.bind(venueController) // Handle venue update
+);
+
+/**
+ * DELETE /api/venues/:id
+ * Deletes a venue without events (requires organizer role; only its creator may delete it)
+ */
+router.delete(
+  "/:id",
+  authenticateToken, // Verify JWT token
+  authorizeRoles(["organizer"]), // Restrict to organizer role
+  venueController.deleteVenue.bind(venueController) // Handle venue deletion
+);
+
+// Export the router for use in the main server file
+export default router;
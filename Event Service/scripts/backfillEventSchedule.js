@@ -0,0 +1,70 @@
+// Import Mongoose for MongoDB database interactions
+import mongoose from "mongoose";
+
+// Import dotenv to load environment variables from .env file
+import dotenv from "dotenv";
+
+// Import models whose documents predate start/end times and time zones
+import Event from "../models/event.js";
+import EventSeries from "../models/eventSeries.js";
+
+// Import the defaults applied to events created without an end or time zone
+import { DEFAULT_DURATION_MINUTES } from "../utils/schedule.js";
+import { DEFAULT_TIME_ZONE } from "../utils/timeZone.js";
+
+// Load environment variables from .env file into process.env
+dotenv.config();
+
+/**
+ * Moves events created with a single date to startsAt/endsAt/timeZone
+ * The old date becomes the start, events last DEFAULT_DURATION_MINUTES and take
+ * place in DEFAULT_TIME_ZONE; series get the same duration and time zone
+ * Exits the process on success (0) or failure (1)
+ */
+const backfillEventSchedule = async () => {
+  try {
+    // Connect to MongoDB using the same URI as the service
+    await mongoose.connect(
+      process.env.MONGO_URI || "mongodb://localhost:27017/event-service"
+    );
+
+    // Convert events that still have a date and no start (pipeline update)
+    const events = await Event.updateMany(
+      { date: { $exists: true }, startsAt: { $exists: false } },
+      [
+        {
+          $set: {
+            startsAt: "$date",
+            endsAt: {
+              $add: ["$date", DEFAULT_DURATION_MINUTES * 60 * 1000],
+            },
+            timeZone: { $ifNull: ["$timeZone", DEFAULT_TIME_ZONE] },
+          },
+        },
+        { $unset: "date" },
+      ],
+      { timestamps: false }
+    );
+    console.log("Events converted:", events.modifiedCount);
+
+    // Give series a duration and a time zone for future occurrences
+    const series = await EventSeries.updateMany(
+      { durationMinutes: { $exists: false } },
+      {
+        durationMinutes: DEFAULT_DURATION_MINUTES,
+        "template.timeZone": DEFAULT_TIME_ZONE,
+      }
+    );
+    console.log("Series converted:", series.modifiedCount);
+
+    // Exit with success status
+    process.exit(0);
+  } catch (err) {
+    // Log errors and exit with failure status
+    console.error("Error backfilling event schedules:", err.message);
+    process.exit(1);
+  }
+};
+
+// Run the backfill script
+backfillEventSchedule();
@@ -0,0 +1,50 @@
+// Import Mongoose for MongoDB database interactions
+import mongoose from "mongoose";
+
+// Import dotenv to load environment variables from .env file
+import dotenv from "dotenv";
+
+// Import models whose documents predate lifecycle statuses
+import Event from "../models/event.js";
+import EventSeries from "../models/eventSeries.js";
+
+// Load environment variables from .env file into process.env
+dotenv.config();
+
+/**
+ * Marks events and series created before lifecycle statuses existed as published,
+ * so they stay visible in public listings
+ * Exits the process on success (0) or failure (1)
+ */
+const backfillEventStatus = async () => {
+  try {
+    // Connect to MongoDB using the same URI as the service
+    await mongoose.connect(
+      process.env.MONGO_URI || "mongodb://localhost:27017/event-service"
+    );
+
+    // Publish events without a status
+    const events = await Event.updateMany(
+      { status: { $exists: false } },
+      { status: "published", publishedAt: new Date() }
+    );
+    console.log("Events published:", events.modifiedCount);
+
+    // Publish series templates so future occurrences are published too
+    const series = await EventSeries.updateMany(
+      { "template.status": { $exists: false } },
+      { "template.status": "published" }
+    );
+    console.log("Series published:", series.modifiedCount);
+
+    // Exit with success status
+    process.exit(0);
+  } catch (err) {
+    // Log errors and exit with failure status
+    console.error("Error backfilling event statuses:", err.message);
+    process.exit(1);
+  }
+};
+
+// Run the backfill script
+backfillEventStatus();
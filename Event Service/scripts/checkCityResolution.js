@@ -0,0 +1,51 @@
+// Import the bundled fixtures and the helpers that read them
+import { DEFAULT_FIXTURES } from "../geocoding/index.js";
+import { readFixtureFiles } from "../geocoding/fixtureGeocoder.js";
+
+// Import the result format and the city rules under test
+import { normalizeOsmResult } from "../geocoding/normalize.js";
+import { resolveCity } from "../geocoding/resolveCity.js";
+
+/**
+ * Runs every geocoder response of the fixtures through the city rules and compares
+ * the city with the fixture's expectedCity; entries without expectedCity are skipped
+ * Usage: node scripts/checkCityResolution.js [fixture file or directory]
+ * Exits the process when every city matches (0) or on mismatches and errors (1)
+ */
+const checkCityResolution = async () => {
+  try {
+    const fixturePath = process.argv[2] || DEFAULT_FIXTURES;
+    const mismatches = [];
+    let checked = 0;
+
+    for (const { file, entries } of await readFixtureFiles(fixturePath)) {
+      for (const [address, raw] of Object.entries(entries)) {
+        if (raw.expectedCity === undefined) continue;
+        checked++;
+
+        const city = resolveCity(normalizeOsmResult(raw, "fixture"));
+        if (city !== raw.expectedCity) {
+          mismatches.push({ file, address, expected: raw.expectedCity, city });
+        }
+      }
+    }
+
+    // Report every mismatch before failing
+    for (const { file, address, expected, city } of mismatches) {
+      console.error(
+        `Mismatch in ${file}: "${address}" resolved to "${city}", expected "${expected}"`
+      );
+    }
+    console.log(`Cities checked: ${checked}, mismatches: ${mismatches.length}`);
+
+    // Exit with success status only when every city matched
+    process.exit(mismatches.length === 0 ? 0 : 1);
+  } catch (err) {
+    // Log errors and exit with failure status
+    console.error("Error checking city resolution:", err.message);
+    process.exit(1);
+  }
+};
+
+// Run the check script
+checkCityResolution();
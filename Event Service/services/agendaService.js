@@ -0,0 +1,307 @@
+// Import repositories for sessions and their events
+import { SessionRepository } from "../repositories/sessionRepository.js";
+import { EventRepository } from "../repositories/eventRepository.js";
+
+// Import schedule resolution and local-time rendering
+import { resolveSchedule, scheduleFields } from "../utils/schedule.js";
+
+// Maximum number of speakers per session
+const MAX_SPEAKERS = 20;
+
+// Session fields organizers can set
+const SESSION_FIELDS = ["title", "description", "room", "speakers"];
+
+/**
+ * Validates the speaker list of a session
+ * @param {Array} speakers - Speakers from the request body ({ name, affiliation })
+ * @returns {Array} Speakers with trimmed values
+ * @throws {Error} If the list or a speaker is invalid
+ */
+function parseSpeakers(speakers) {
+  if (!Array.isArray(speakers)) throw new Error("speakers must be an array");
+  if (speakers.length > MAX_SPEAKERS)
+    throw new Error(`A session can have at most ${MAX_SPEAKERS} speakers`);
+
+  return speakers.map((speaker) => {
+    if (typeof speaker?.name !== "string" || speaker.name.trim() === "")
+      throw new Error("Every speaker needs a name");
+    return {
+      name: speaker.name.trim(),
+      affiliation:
+        typeof speaker.affiliation === "string"
+          ? speaker.affiliation.trim()
+          : "",
+    };
+  });
+}
+
+// Service class for handling business logic related to event agendas
+export class AgendaService {
+  constructor() {
+    // Initialize repositories for database interactions
+    this.sessionRepository = new SessionRepository();
+    this.eventRepository = new EventRepository();
+  }
+
+  /**
+   * Loads an event, hiding drafts from everyone but their organizer
+   * @param {string} eventId - ID of the event
+   * @param {string} [userId] - ID of the requesting user, if authenticated
+   * @returns {Promise<Object>} The event document
+   * @throws {Error} If the event does not exist or is not visible
+   */
+  async getVisibleEvent(eventId, userId) {
+    const event = await this.eventRepository.findById(eventId);
+    if (
+      !event ||
+      (event.status === "draft" && event.userId.toString() !== userId)
+    )
+      throw new Error("Event not found");
+    return event;
+  }
+
+  /**
+   * Loads an event and checks that the user organizes it
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the organizer
+   * @returns {Promise<Object>} The event document
+   * @throws {Error} If the event does not exist or belongs to someone else
+   */
+  async getOwnEvent(eventId, userId) {
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) throw new Error("Event not found");
+    if (event.userId.toString() !== userId) throw new Error("Access denied");
+    return event;
+  }
+
+  /**
+   * Formats a session for responses
+   * @param {Object} session - Session document
+   * @param {Object} event - Event the session belongs to (for its time zone)
+   * @param {string} [userId] - ID of the requesting user, if authenticated
+   * @returns {Object} Session with local times, bookmark count and the user's bookmark flag
+   */
+  formatSession(session, event, userId) {
+    return {
+      ...session.toJSON(),
+      ...scheduleFields({
+        startsAt: session.startsAt,
+        endsAt: session.endsAt,
+        timeZone: event.timeZone,
+      }),
+      bookmarkCount: session.bookmarks.length,
+      bookmarked: userId
+        ? session.bookmarks.some((id) => id.toString() === userId)
+        : false,
+    };
+  }
+
+  /**
+   * Validates session data against its event and the other sessions in its room
+   * @param {Object} event - Event document
+   * @param {Object} data - Session fields from the request body
+   * @param {Object} [current] - Session being updated
+   * @returns {Promise<Object>} Validated session fields
+   * @throws {Error} If a field is invalid, the session lies outside the event or its room is taken
+   */
+  async validateSession(event, data, current) {
+    const session = {};
+    for (const field of SESSION_FIELDS) {
+      if (data[field] !== undefined) session[field] = data[field];
+    }
+
+    // Validate the title (required on create)
+    if (session.title !== undefined || !current) {
+      if (typeof session.title !== "string" || session.title.trim() === "")
+        throw new Error("title is required");
+      session.title = session.title.trim();
+    }
+    if (session.speakers !== undefined)
+      session.speakers = parseSpeakers(session.speakers);
+    if (session.room !== undefined && typeof session.room !== "string")
+      throw new Error("room must be a string");
+
+    // Resolve times; local date-times are read in the event's time zone
+    if (
+      !current &&
+      data.endsAt === undefined &&
+      data.durationMinutes === undefined
+    )
+      throw new Error("endsAt or durationMinutes is required");
+    const { startsAt, endsAt } = resolveSchedule(
+      {
+        startsAt: data.startsAt,
+        endsAt: data.endsAt,
+        durationMinutes: data.durationMinutes,
+        timeZone: event.timeZone,
+      },
+      current && { startsAt: current.startsAt, endsAt: current.endsAt }
+    );
+    if (startsAt < event.startsAt || endsAt > event.endsAt)
+      throw new Error(
+        "Sessions must take place between the event's start and end"
+      );
+    Object.assign(session, { startsAt, endsAt });
+
+    // Sessions in the same room cannot overlap
+    const room = (session.room ?? current?.room ?? "").trim();
+    if (room) {
+      const clash = await this.sessionRepository.findOverlapping(
+        event._id,
+        room,
+        startsAt,
+        endsAt,
+        current?._id
+      );
+      if (clash)
+        throw new Error(
+          `Room "${room}" is already booked for "${clash.title}" at that time`
+        );
+    }
+
+    return session;
+  }
+
+  /**
+   * Retrieves the agenda of an event sorted by time
+   * @param {string} eventId - ID of the event
+   * @param {string} [userId] - ID of the requesting user, if authenticated
+   * @returns {Promise<Object>} The agenda ({ eventId, timeZone, sessions })
+   */
+  async getAgenda(eventId, userId) {
+    const event = await this.getVisibleEvent(eventId, userId);
+    const sessions = await this.sessionRepository.findByEvent(event._id);
+
+    return {
+      eventId: event._id,
+      timeZone: event.timeZone,
+      sessions: sessions.map((s) => this.formatSession(s, event, userId)),
+    };
+  }
+
+  /**
+   * Adds a session to the agenda of an event (organizer only)
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the organizer
+   * @param {Object} data - Session fields (title, description, startsAt, endsAt or durationMinutes, room, speakers)
+   * @returns {Promise<Object>} The created session
+   */
+  async createSession(eventId, userId, data) {
+    const event = await this.getOwnEvent(eventId, userId);
+    const fields = await this.validateSession(event, data);
+
+    const session = await this.sessionRepository.create({
+      ...fields,
+      eventId: event._id,
+    });
+    return this.formatSession(session, event, userId);
+  }
+
+  /**
+   * Updates a session of an event (organizer only)
+   * @param {string} eventId - ID of the event
+   * @param {string} sessionId - ID of the session
+   * @param {string} userId - ID of the organizer
+   * @param {Object} data - Session fields to change
+   * @returns {Promise<Object>} The updated session
+   */
+  async updateSession(eventId, sessionId, userId, data) {
+    const event = await this.getOwnEvent(eventId, userId);
+    const session = await this.sessionRepository.findByEventAndId(
+      eventId,
+      sessionId
+    );
+    if (!session) throw new Error("Session not found");
+
+    const fields = await this.validateSession(event, data, session);
+    const updated = await this.sessionRepository.update(sessionId, fields);
+    return this.formatSession(updated, event, userId);
+  }
+
+  /**
+   * Removes a session from the agenda of an event (organizer only)
+   * @param {string} eventId - ID of the event
+   * @param {string} sessionId - ID of the session
+   * @param {string} userId - ID of the organizer
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteSession(eventId, sessionId, userId) {
+    await this.getOwnEvent(eventId, userId);
+    const session = await this.sessionRepository.findByEventAndId(
+      eventId,
+      sessionId
+    );
+    if (!session) throw new Error("Session not found");
+
+    await this.sessionRepository.delete(sessionId);
+    return { message: "Session deleted" };
+  }
+
+  /**
+   * Bookmarks a session for the user's personal schedule
+   * @param {string} eventId - ID of the event
+   * @param {string} sessionId - ID of the session
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} Bookmark state ({ bookmarked, bookmarkCount })
+   */
+  async bookmarkSession(eventId, sessionId, userId) {
+    await this.getVisibleEvent(eventId, userId);
+    const session = await this.sessionRepository.findByEventAndId(
+      eventId,
+      sessionId
+    );
+    if (!session) throw new Error("Session not found");
+
+    const updated = await this.sessionRepository.addBookmark(sessionId, userId);
+    return { bookmarked: true, bookmarkCount: updated.bookmarks.length };
+  }
+
+  /**
+   * Removes a session from the user's personal schedule
+   * @param {string} eventId - ID of the event
+   * @param {string} sessionId - ID of the session
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} Bookmark state ({ bookmarked, bookmarkCount })
+   */
+  async removeBookmark(eventId, sessionId, userId) {
+    const session = await this.sessionRepository.findByEventAndId(
+      eventId,
+      sessionId
+    );
+    if (!session) throw new Error("Session not found");
+
+    const updated = await this.sessionRepository.removeBookmark(
+      sessionId,
+      userId
+    );
+    return { bookmarked: false, bookmarkCount: updated.bookmarks.length };
+  }
+
+  /**
+   * Lists the sessions a user bookmarked across events, in time order
+   * Sessions of events that are no longer visible are left out
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Array>} Sessions with their event ({ ..., event: { _id, name } })
+   */
+  async getBookmarkedSessions(userId) {
+    const sessions = await this.sessionRepository.findBookmarkedBy(userId);
+
+    // Load the events once for names, time zones and visibility
+    const eventIds = [...new Set(sessions.map((s) => s.eventId.toString()))];
+    const events = await this.eventRepository.findAll({
+      _id: { $in: eventIds },
+      status: { $ne: "draft" },
+    });
+    const byId = new Map(events.map((e) => [e._id.toString(), e]));
+
+    return sessions
+      .filter((s) => byId.has(s.eventId.toString()))
+      .map((s) => {
+        const event = byId.get(s.eventId.toString());
+        return {
+          ...this.formatSession(s, event, userId),
+          event: { _id: event._id, name: event.name, status: event.status },
+        };
+      });
+  }
+}
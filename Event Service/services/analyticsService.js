@@ -0,0 +1,248 @@
+// Import mongoose to build ObjectId filters for aggregations
+import mongoose from "mongoose";
+
+// Import crypto to avoid storing client IP addresses
+import crypto from "crypto";
+
+// Import repositories for engagement records and events
+import { EngagementRepository } from "../repositories/engagementRepository.js";
+import { EventRepository } from "../repositories/eventRepository.js";
+
+// Import time zone validation and the requester's date windows
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "../utils/timeZone.js";
+import { resolveDateRange } from "../utils/dateWindows.js";
+
+// Engagement types reported by the analytics API, with their response keys
+const METRICS = {
+  view: "views",
+  like: "likes",
+  unlike: "unlikes",
+  comment: "comments",
+};
+
+// Repeat views by the same viewer within this many minutes count once
+const DEFAULT_VIEW_DEDUP_MINUTES = 30;
+
+// Default and maximum reporting windows
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns a zeroed counter for every metric
+ * @returns {Object} Counts ({ views, likes, unlikes, comments })
+ */
+function emptyCounts() {
+  return Object.fromEntries(Object.values(METRICS).map((key) => [key, 0]));
+}
+
+/**
+ * Formats the calendar day of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Day as "YYYY-MM-DD"
+ */
+function formatDay(date, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", { timeZone }).format(date);
+}
+
+/**
+ * Lists the calendar days between two instants in a time zone
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string} timeZone - IANA time zone
+ * @returns {string[]} Days as "YYYY-MM-DD", ascending
+ */
+function listDays(from, to, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  const format = new Intl.DateTimeFormat("en-CA", { timeZone });
+  const days = new Set();
+
+  // Step in half days so DST changes never skip a calendar day
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS / 2) {
+    days.add(format.format(new Date(t)));
+  }
+  days.add(format.format(to));
+
+  return [...days];
+}
+
+/**
+ * Validates an IANA time zone name
+ * @param {string} timeZone - Time zone from the query string
+ * @returns {string} The time zone
+ * @throws {Error} If the time zone is unknown
+ */
+function parseTimeZone(timeZone) {
+  if (!isValidTimeZone(timeZone))
+    throw new Error(`Unknown timeZone: ${timeZone}`);
+  return timeZone;
+}
+
+// Service class for recording engagement and reporting it to organizers
+export class AnalyticsService {
+  constructor() {
+    // Initialize repositories for database interactions
+    this.engagementRepository = new EngagementRepository();
+    this.eventRepository = new EventRepository();
+  }
+
+  /**
+   * Records an engagement on an event
+   * Failures are logged and never break the user's request
+   * @param {Object} event - Event document
+   * @param {string} type - Engagement type (like, unlike, comment; views use recordView)
+   * @param {string} userId - ID of the engaging user
+   * @returns {Promise<void>}
+   */
+  async record(event, type, userId) {
+    try {
+      await this.engagementRepository.create({
+        eventId: event._id,
+        organizerId: event.userId,
+        type,
+        userId: userId || null,
+      });
+    } catch (err) {
+      console.error("Failed to record engagement:", err.message);
+    }
+  }
+
+  /**
+   * Records a view of an event, once per viewer within VIEW_DEDUP_MINUTES (default 30)
+   * Signed-in viewers are told apart by user ID, anonymous ones by a hash of their IP,
+   * so reloading a page does not inflate views or the trending score
+   * Failures are logged and never break the user's request
+   * @param {Object} event - Event document
+   * @param {Object} viewer - Who viewed the event
+   * @param {string} [viewer.userId] - ID of the viewing user, if authenticated
+   * @param {string} [viewer.ip] - Client IP address of the request
+   * @returns {Promise<void>}
+   */
+  async recordView(event, { userId, ip }) {
+    const minutes =
+      Number(process.env.VIEW_DEDUP_MINUTES) || DEFAULT_VIEW_DEDUP_MINUTES;
+    const viewer = userId ? `user:${userId}` : `ip:${ip || "unknown"}`;
+
+    try {
+      await this.engagementRepository.recordView(
+        {
+          eventId: event._id,
+          organizerId: event.userId,
+          userId: userId || null,
+          viewerKey: crypto.createHash("sha256").update(viewer).digest("hex"),
+        },
+        new Date(Date.now() - minutes * 60 * 1000)
+      );
+    } catch (err) {
+      console.error("Failed to record view:", err.message);
+    }
+  }
+
+  /**
+   * Reports engagement of an organizer's events in daily buckets
+   * @param {string} organizerId - ID of the organizer
+   * @param {Object} options - Query parameters
+   * @param {string} [options.eventId] - Restrict the report to one event
+   * @param {string} [options.from] - Range start; plain dates start at local midnight
+   * (default: the start of the day 29 days before `to`)
+   * @param {string} [options.to] - Range end; plain dates include the whole day (default: now)
+   * @param {string} [options.timeZone=DEFAULT_TIME_ZONE] - IANA time zone for dates and day boundaries
+   * @returns {Promise<Object>} Report ({ from, to, timeZone, totals, daily, events }); to is exclusive
+   */
+  async getOrganizerAnalytics(
+    organizerId,
+    { eventId, from, to, timeZone = DEFAULT_TIME_ZONE } = {}
+  ) {
+    const zone = parseTimeZone(timeZone);
+
+    // Resolve the reporting window with the same local-day rules as event listings
+    const window = resolveDateRange({ from, to }, zone);
+    const end = window.to ?? new Date();
+    const start =
+      window.from ??
+      resolveDateRange(
+        {
+          from: formatDay(
+            new Date(end.getTime() - 1 - (DEFAULT_RANGE_DAYS - 1) * DAY_MS),
+            zone
+          ),
+        },
+        zone
+      ).from;
+    if (start >= end) throw new Error("to must be after from");
+
+    // Count calendar days, so daylight saving changes do not matter
+    const days =
+      end - start > (MAX_RANGE_DAYS + 1) * DAY_MS
+        ? []
+        : listDays(start, new Date(end.getTime() - 1), zone);
+    if (days.length === 0 || days.length > MAX_RANGE_DAYS)
+      throw new Error(`The range cannot exceed ${MAX_RANGE_DAYS} days`);
+
+    // Restrict to one event the organizer owns, if requested
+    const filters = {
+      organizerId: new mongoose.Types.ObjectId(organizerId),
+      occurredAt: { $gte: start, $lt: end },
+    };
+    if (eventId) {
+      const event = await this.eventRepository.findById(eventId);
+      if (!event) throw new Error("Event not found");
+      if (event.userId.toString() !== organizerId)
+        throw new Error("Access denied");
+      filters.eventId = event._id;
+    }
+
+    const rows = await this.engagementRepository.countDaily(filters, zone);
+
+    // Zero-filled daily series for the whole range
+    const series = () =>
+      new Map(days.map((day) => [day, { date: day, ...emptyCounts() }]));
+
+    const totals = emptyCounts();
+    const daily = series();
+    const perEvent = new Map();
+    for (const { eventId: id, day, type, count } of rows) {
+      const key = METRICS[type];
+      if (!daily.has(day)) continue;
+
+      if (!perEvent.has(id.toString())) {
+        perEvent.set(id.toString(), {
+          eventId: id,
+          totals: emptyCounts(),
+          daily: series(),
+        });
+      }
+      const entry = perEvent.get(id.toString());
+
+      totals[key] += count;
+      daily.get(day)[key] += count;
+      entry.totals[key] += count;
+      entry.daily.get(day)[key] += count;
+    }
+
+    // Attach event names for display
+    const events = await this.eventRepository.findAll({
+      _id: { $in: [...perEvent.values()].map((e) => e.eventId) },
+    });
+    const names = new Map(events.map((e) => [e._id.toString(), e.name]));
+
+    return {
+      from: start,
+      to: end,
+      timeZone: zone,
+      totals,
+      daily: [...daily.values()],
+      events: [...perEvent.values()]
+        .map((entry) => ({
+          eventId: entry.eventId,
+          name: names.get(entry.eventId.toString()) ?? null,
+          totals: entry.totals,
+          daily: [...entry.daily.values()],
+        }))
+        .sort((a, b) => b.totals.views - a.totals.views),
+    };
+  }
+}
@@ -0,0 +1,192 @@
+// Import repositories for categories and the events that use them
+import { CategoryRepository } from "../repositories/categoryRepository.js";
+import { EventRepository } from "../repositories/eventRepository.js";
+
+// Categories created on first start, matching the former hardcoded list
+const DEFAULT_CATEGORIES = [
+  { slug: "music", name: "Music" },
+  { slug: "food", name: "Food" },
+  { slug: "sports", name: "Sports" },
+  { slug: "tech", name: "Tech" },
+  { slug: "other", name: "Other" },
+];
+
+// Lowercase words separated by hyphens (e.g., "stand-up-comedy")
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Maximum nesting depth of the taxonomy, to keep subcategory lookups cheap
+const MAX_DEPTH = 5;
+
+// Service class for handling business logic related to categories
+export class CategoryService {
+  constructor() {
+    // Initialize repositories for database interactions
+    this.categoryRepository = new CategoryRepository();
+    this.eventRepository = new EventRepository();
+  }
+
+  /**
+   * Creates the default categories when the taxonomy is empty
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultCategories() {
+    if ((await this.categoryRepository.count()) === 0) {
+      await this.categoryRepository.createMany(DEFAULT_CATEGORIES);
+    }
+  }
+
+  /**
+   * Lists all categories, either flat or as a tree
+   * @param {Object} [options] - Query parameters
+   * @param {string} [options.tree] - "true" to nest subcategories under their parents
+   * @returns {Promise<Array>} Categories (tree nodes carry a `children` array)
+   */
+  async listCategories({ tree } = {}) {
+    const categories = await this.categoryRepository.findAll();
+    if (tree !== "true") return categories;
+
+    // Attach every category to its parent
+    const nodes = new Map(
+      categories.map((c) => [c.slug, { ...c.toJSON(), children: [] }])
+    );
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.parent && nodes.get(node.parent);
+      if (parent) parent.children.push(node);
+      else roots.push(node);
+    }
+    return roots;
+  }
+
+  /**
+   * Retrieves a category by slug
+   * @param {string} slug - Slug of the category
+   * @returns {Promise<Object>} The category document
+   */
+  async getCategory(slug) {
+    const category = await this.categoryRepository.findBySlug(slug);
+    if (!category) throw new Error("Category not found");
+    return category;
+  }
+
+  /**
+   * Checks that a category exists; used to validate event data
+   * @param {string} slug - Slug of the category
+   * @returns {Promise<void>}
+   * @throws {Error} If the category does not exist
+   */
+  async assertCategoryExists(slug) {
+    if (
+      typeof slug !== "string" ||
+      !(await this.categoryRepository.findBySlug(slug))
+    )
+      throw new Error(`Unknown category: ${slug}`);
+  }
+
+  /**
+   * Expands a category into itself and all of its subcategories
+   * @param {string} slug - Slug of the category
+   * @returns {Promise<string[]>} Slugs to filter events by
+   */
+  async expandCategory(slug) {
+    const slugs = [slug];
+    let level = [slug];
+
+    // Walk down the taxonomy one level at a time
+    for (let depth = 0; depth < MAX_DEPTH && level.length > 0; depth++) {
+      const children = await this.categoryRepository.findChildren(level);
+      level = children.map((c) => c.slug).filter((s) => !slugs.includes(s));
+      slugs.push(...level);
+    }
+
+    return slugs;
+  }
+
+  /**
+   * Validates a parent slug and makes sure the taxonomy stays a shallow tree
+   * @param {string|null} parent - Slug of the parent category
+   * @param {string} [slug] - Slug of the category being updated (to prevent cycles)
+   * @returns {Promise<void>}
+   */
+  async validateParent(parent, slug) {
+    if (parent === null) return;
+    if (typeof parent !== "string") throw new Error("parent must be a slug");
+
+    // Walk up from the parent to the root, rejecting cycles and deep nesting
+    let current = await this.categoryRepository.findBySlug(parent);
+    if (!current) throw new Error(`Unknown parent category: ${parent}`);
+    for (let depth = 1; current; depth++) {
+      if (current.slug === slug)
+        throw new Error("A category cannot be nested below itself");
+      if (depth >= MAX_DEPTH)
+        throw new Error(
+          `Categories cannot be nested more than ${MAX_DEPTH} levels deep`
+        );
+      current =
+        current.parent &&
+        (await this.categoryRepository.findBySlug(current.parent));
+    }
+  }
+
+  /**
+   * Creates a category
+   * @param {Object} data - Category data ({ slug, name, parent })
+   * @returns {Promise<Object>} The created category document
+   */
+  async createCategory({ slug, name, parent = null }) {
+    // Validate slug and name
+    if (typeof slug !== "string" || !SLUG_PATTERN.test(slug))
+      throw new Error(
+        "slug must contain lowercase letters, digits and single hyphens"
+      );
+    if (typeof name !== "string" || name.trim() === "")
+      throw new Error("name is required");
+    if (await this.categoryRepository.findBySlug(slug))
+      throw new Error(`Category ${slug} already exists`);
+
+    await this.validateParent(parent);
+    return await this.categoryRepository.create({ slug, name, parent });
+  }
+
+  /**
+   * Updates the name or parent of a category; slugs cannot change because events store them
+   * @param {string} slug - Slug of the category
+   * @param {Object} data - Fields to update ({ name, parent })
+   * @returns {Promise<Object>} The updated category document
+   */
+  async updateCategory(slug, { name, parent }) {
+    await this.getCategory(slug);
+
+    const updateData = {};
+    if (name !== undefined) {
+      if (typeof name !== "string" || name.trim() === "")
+        throw new Error("name cannot be empty");
+      updateData.name = name;
+    }
+    if (parent !== undefined) {
+      await this.validateParent(parent, slug);
+      updateData.parent = parent;
+    }
+
+    return await this.categoryRepository.update(slug, updateData);
+  }
+
+  /**
+   * Deletes a category that has no subcategories and is not used by any event
+   * @param {string} slug - Slug of the category
+   * @returns {Promise<Object>} Success response
+   */
+  async deleteCategory(slug) {
+    await this.getCategory(slug);
+
+    // Keep the taxonomy and existing events consistent
+    if ((await this.categoryRepository.findChildren([slug])).length > 0)
+      throw new Error("Delete or move the subcategories first");
+    const eventCount = await this.eventRepository.count({ category: slug });
+    if (eventCount > 0)
+      throw new Error(`Category is used by ${eventCount} events`);
+
+    await this.categoryRepository.delete(slug);
+    return { ok: true };
+  }
+}
@@ -1,20 +1,218 @@
+// Import mongoose to build ObjectId filters for aggregations
+import mongoose from "mongoose";
+
 // Import EventRepository for database operations
-import { EventRepository } from "../repository/eventRepository.js";
+import { EventRepository } from "../repositories/eventRepository.js";
+
+// Import SessionRepository to remove agendas of deleted events
+import { SessionRepository } from "../repositories/sessionRepository.js";
+
+// Import RegistrationService to keep RSVPs in sync with event changes
+import { RegistrationService } from "./registrationService.js";
+
+// Import SeriesService for recurring events
+import { SeriesService } from "./seriesService.js";
+
+// Import MediaService to clean up images of deleted events
+import { MediaService } from "./mediaService.js";
+
+// Import AnalyticsService to record engagement for organizer analytics
+import { AnalyticsService } from "./analyticsService.js";
+
+// Import CategoryService to validate and expand categories
+import { CategoryService } from "./categoryService.js";
+
+// Import VenueService to copy venue locations onto events
+import { VenueService } from "./venueService.js";
+
+// Import facet definitions and formatting
+import {
+  MAX_CITY_FACETS,
+  priceBucketExpression,
+  formatFacets,
+} from "../utils/facets.js";
+
+// Import interest profile scoring for recommendations
+import {
+  MAX_HISTORY_EVENTS,
+  MAX_INTERESTS,
+  buildInterestProfile,
+  interestScoreExpression,
+} from "../utils/recommendations.js";
+
+// Import schedule resolution and time zone helpers
+import { resolveSchedule, eventScheduleFields } from "../utils/schedule.js";
+import {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  zonedTime,
+} from "../utils/timeZone.js";
+
+// Import named and explicit date windows
+import { resolveTimeRange, resolveDateRange } from "../utils/dateWindows.js";
+
+// Import tag normalization helpers
+import { normalizeTags, normalizeTag, escapeRegExp } from "../utils/tags.js";
+
+// Import cursor pagination helpers
+import {
+  parseLimit,
+  decodeCursor,
+  buildCursorFilter,
+  buildStableSort,
+  buildPage,
+} from "../utils/pagination.js";
+
+// Import lifecycle status rules
+import {
+  STATUSES,
+  STATUS_TRANSITIONS,
+  buildStatusUpdate,
+} from "../utils/eventStatus.js";
+
+// Import comment thread and reaction helpers
+import {
+  REACTIONS,
+  MAX_COMMENT_DEPTH,
+  buildCommentTree,
+  countReactions,
+  removeComment,
+} from "../utils/comments.js";
+
+// Supported sort modes mapped to the field and direction they order by
+const SORT_OPTIONS = {
+  dateAsc: { field: "startsAt", direction: 1 },
+  dateDesc: { field: "startsAt", direction: -1 },
+  priceAsc: { field: "price", direction: 1 },
+  priceDesc: { field: "price", direction: -1 },
+  relevance: { field: "score", direction: -1 },
+  trending: { field: "trendingScore", direction: -1 },
+};
+
+// Maximum length of a keyword search query
+const MAX_QUERY_LENGTH = 200;
+
+// Statuses visible in calendar feeds, so subscribers also see cancellations
+const FEED_STATUSES = ["published", "postponed", "cancelled"];
+
+// Default and maximum number of tags returned by tag discovery endpoints
+const DEFAULT_TAG_LIMIT = 20;
+const MAX_TAG_LIMIT = 100;
+
+// Maximum number of events in a calendar feed
+const MAX_FEED_EVENTS = 500;
+
+// Default and maximum search radius for coordinate-based nearby searches
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 500;
+
+// Request fields that change the schedule of an event
+const SCHEDULE_FIELDS = ["startsAt", "endsAt", "durationMinutes", "timeZone"];
+
+/**
+ * Restricts a filter to events overlapping a time window
+ * Events overlap when they end at or after the window start and start before
+ * its end, so events in progress at the window start are included
+ * @param {Object} filter - MongoDB filter to narrow (modified in place)
+ * @param {Date} [from] - Window start (inclusive)
+ * @param {Date} [to] - Window end (exclusive)
+ */
+function restrictToWindow(filter, from, to) {
+  if (from) {
+    const current = filter.endsAt?.$gte;
+    filter.endsAt = { $gte: current && current > from ? current : from };
+  }
+  if (to) {
+    const current = filter.startsAt?.$lt;
+    filter.startsAt = { $lt: current && current < to ? current : to };
+  }
+}
+
+/**
+ * Adds the duration, local-time renderings and deprecated date to a plain event
+ * object from an aggregation (documents get them from the schema's toJSON transform)
+ * @param {Object} event - Plain event object
+ * @returns {Object} The event with date, durationMinutes and local
+ */
+function withSchedule(event) {
+  return { ...event, ...eventScheduleFields(event) };
+}
+
+/**
+ * Parses and clamps the number of tags requested from a discovery endpoint
+ * @param {string} [limit] - Requested number of tags
+ * @returns {number} Number of tags between 1 and MAX_TAG_LIMIT
+ */
+function parseTagLimit(limit) {
+  if (limit === undefined) return DEFAULT_TAG_LIMIT;
+  const parsed = Number(limit);
+  if (!Number.isInteger(parsed) || parsed < 1)
+    throw new Error("limit must be a positive integer");
+  return Math.min(parsed, MAX_TAG_LIMIT);
+}
 
 // Service class for handling business logic related to events
 export class EventService {
   constructor() {
     // Initialize EventRepository instance for database interactions
     this.eventRepository = new EventRepository();
+
+    // Initialize SessionRepository instance for agenda cleanup
+    this.sessionRepository = new SessionRepository();
+
+    // Initialize RegistrationService instance for RSVP bookkeeping
+    this.registrationService = new RegistrationService();
+
+    // Initialize SeriesService instance for recurring events
+    this.seriesService = new SeriesService();
+
+    // Initialize MediaService instance for image cleanup
+    this.mediaService = new MediaService();
+
+    // Initialize CategoryService instance for the category taxonomy
+    this.categoryService = new CategoryService();
+
+    // Initialize AnalyticsService instance for engagement tracking
+    this.analyticsService = new AnalyticsService();
+
+    // Initialize VenueService instance for events held at venues
+    this.venueService = new VenueService();
   }
 
   /**
    * Creates a new event with provided data and user ID
+   * Events with a recurrence rule are created as a series of occurrences
    * @param {Object} eventData - Data for the new event
    * @param {string} userId - ID of the user creating the event
-   * @returns {Promise<Object>} The created event document
+   * @returns {Promise<Object>} The created event document, or the series and its occurrences
    */
   async createEvent(eventData, userId) {
+    // Validate the category against the live taxonomy
+    await this.categoryService.assertCategoryExists(eventData.category);
+
+    // Resolve start, end (default duration when missing) and time zone
+    Object.assign(eventData, resolveSchedule(eventData));
+    delete eventData.durationMinutes;
+
+    // Normalize tags (lowercase, de-duplicated, length-limited)
+    if (eventData.tags !== undefined)
+      eventData.tags = normalizeTags(eventData.tags);
+
+    // Events at a venue take its city and location
+    if (eventData.venueId)
+      Object.assign(
+        eventData,
+        await this.venueService.getEventPlace(eventData.venueId)
+      );
+
+    // Delegate recurring events to SeriesService
+    if (eventData.recurrence) {
+      return await this.seriesService.createSeries(eventData, userId);
+    }
+    if (eventData.exceptionDates) {
+      throw new Error("exceptionDates requires a recurrence rule");
+    }
+
     // Combine event data with user ID
     const locDoc = {
       ...eventData,
@@ -42,6 +240,7 @@ export class EventService {
     // Add user ID to likes array
     event.likes.push(userId);
     await event.save();
+    await this.analyticsService.record(event, "like", userId);
 
     // Return success message and updated likes count
     return { message: "Event liked", likesCount: event.likes.length };
@@ -67,19 +266,21 @@ export class EventService {
       (id) => id.toString() !== userId.toString()
     );
     await event.save();
+    await this.analyticsService.record(event, "unlike", userId);
 
     // Return success message and updated likes count
     return { message: "Event unliked", likesCount: event.likes.length };
   }
 
   /**
-   * Adds a comment to an event
+   * Adds a comment, or a reply to an existing comment, to an event
    * @param {string} eventId - ID of the event
    * @param {string} userId - ID of the user commenting
    * @param {string} text - Comment text
-   * @returns {Promise<Object>} Response with success message and updated comments
+   * @param {string} [parentId] - ID of the comment being replied to
+   * @returns {Promise<Object>} Response with success message, the new comment and updated comments
    */
-  async commentOnEvent(eventId, userId, text) {
+  async commentOnEvent(eventId, userId, text, parentId) {
     // Validate comment text
     if (!text || text.trim() === "")
       throw new Error("Comment text is required");
@@ -88,12 +289,129 @@ export class EventService {
     const event = await this.eventRepository.findById(eventId);
     if (!event) throw new Error("Event not found");
 
-    // Add new comment to event's comments array
-    event.comments.push({ userId, text });
+    // Replies nest one level below their parent, up to MAX_COMMENT_DEPTH
+    let depth = 0;
+    if (parentId) {
+      const parent = event.comments.id(parentId);
+      if (!parent) throw new Error("Comment not found");
+      if (parent.deleted || parent.hidden)
+        throw new Error("You cannot reply to a deleted or hidden comment");
+      if (parent.depth >= MAX_COMMENT_DEPTH)
+        throw new Error(
+          `Replies cannot be nested more than ${MAX_COMMENT_DEPTH} levels deep`
+        );
+      depth = parent.depth + 1;
+    }
+
+    // Add new comment to event's comments array, flagging the organizer's comments
+    event.comments.push({
+      userId,
+      text,
+      parentId: parentId || null,
+      depth,
+      fromOrganizer: event.userId.toString() === userId,
+    });
     await event.save();
 
-    // Return success message and updated comments
-    return { message: "Comment added", comments: event.comments };
+    await this.analyticsService.record(event, "comment", userId);
+
+    // Return success message, the new comment and updated comments
+    return {
+      message: parentId ? "Reply added" : "Comment added",
+      comment: event.comments[event.comments.length - 1],
+      comments: event.comments,
+    };
+  }
+
+  /**
+   * Retrieves the comments of an event arranged into threads
+   * @param {string} eventId - ID of the event
+   * @returns {Promise<Array>} Top-level comments with nested replies and reaction counts
+   */
+  async getComments(eventId) {
+    // Fetch event by ID
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) throw new Error("Event not found");
+
+    return buildCommentTree(event.comments);
+  }
+
+  /**
+   * Adds an emoji reaction from a user to a comment
+   * @param {string} eventId - ID of the event
+   * @param {string} commentId - ID of the comment
+   * @param {string} userId - ID of the user reacting
+   * @param {string} reaction - Reaction name (see REACTIONS)
+   * @returns {Promise<Object>} Response with success message and reaction counts
+   */
+  async reactToComment(eventId, commentId, userId, reaction) {
+    // Validate the reaction against the fixed set
+    if (!REACTIONS[reaction])
+      throw new Error(
+        `reaction must be one of ${Object.keys(REACTIONS).join(", ")}`
+      );
+
+    // Fetch event by ID
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) throw new Error("Event not found");
+
+    // Find comment by ID within event's comments array
+    const comment = event.comments.id(commentId);
+    if (!comment || comment.deleted) throw new Error("Comment not found");
+    if (comment.hidden) throw new Error("You cannot react to a hidden comment");
+
+    // Check if user already reacted with this reaction
+    if (
+      comment.reactions.some(
+        (r) => r.userId.toString() === userId && r.reaction === reaction
+      )
+    )
+      throw new Error("You already reacted with this reaction");
+
+    // Add the reaction
+    comment.reactions.push({ userId, reaction });
+    await event.save();
+
+    // Return success message and updated reaction counts
+    return {
+      message: "Reaction added",
+      reactionCounts: countReactions(comment.reactions),
+    };
+  }
+
+  /**
+   * Removes an emoji reaction of a user from a comment
+   * @param {string} eventId - ID of the event
+   * @param {string} commentId - ID of the comment
+   * @param {string} userId - ID of the user removing the reaction
+   * @param {string} reaction - Reaction name (see REACTIONS)
+   * @returns {Promise<Object>} Response with success message and reaction counts
+   */
+  async removeReaction(eventId, commentId, userId, reaction) {
+    // Fetch event by ID
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) throw new Error("Event not found");
+
+    // Find comment by ID within event's comments array
+    const comment = event.comments.id(commentId);
+    if (!comment) throw new Error("Comment not found");
+
+    // Check if user has reacted with this reaction
+    const remaining = comment.reactions.filter(
+      (r) => !(r.userId.toString() === userId && r.reaction === reaction)
+    );
+    if (remaining.length === comment.reactions.length)
+      throw new Error("You have not reacted with this reaction");
+
+    // Remove the reaction
+    comment.reactions = remaining;
+    await event.save();
+
+    // Return success message and updated reaction counts
+    return {
+      message: "Reaction removed",
+      reactionCounts: countReactions(comment.reactions),
+    };
   }
 
   /**
@@ -113,13 +431,16 @@ export class EventService {
     const event = await this.eventRepository.findById(eventId);
     if (!event) throw new Error("Event not found");
 
-    // Find comment by ID within event's comments array
+    // Find comment or reply by ID within event's comments array
     const comment = event.comments.id(commentId);
-    if (!comment) throw new Error("Comment not found");
+    if (!comment || comment.deleted) throw new Error("Comment not found");
 
     // Check if user owns the comment
     if (comment.userId.toString() !== userId) throw new Error("Access denied");
 
+    // Hidden comments cannot be edited until a moderator restores them
+    if (comment.hidden) throw new Error("Hidden comments cannot be edited");
+
     // Update comment text and timestamp
     comment.text = text;
     comment.updatedAt = new Date();
@@ -141,16 +462,16 @@ export class EventService {
     const event = await this.eventRepository.findById(eventId);
     if (!event) throw new Error("Event not found");
 
-    // Find comment by ID within event's comments array
+    // Find comment or reply by ID within event's comments array
     const comment = event.comments.id(commentId);
-    if (!comment) throw new Error("Comment not found");
+    if (!comment || comment.deleted) throw new Error("Comment not found");
 
     // Check if user owns the comment
     if (comment.userId.toString() !== userId)
       throw new Error("You can only delete your own comments");
 
-    // Remove the comment from the array
-    comment.deleteOne();
+    // Remove the comment, keeping a placeholder if it has replies
+    removeComment(event.comments, comment);
     await event.save();
 
     // Return success message and updated comments
@@ -159,69 +480,238 @@ export class EventService {
 
   /**
    * Retrieves events based on query filters and sorting
-   * @param {Object} options - Query parameters (category, futureOnly, timeRange, year, priceMin, priceMax, city, sortBy)
-   * @returns {Promise<Array>} List of event documents
+   * @param {Object} options - Query parameters (filters accepted by buildEventFilter, plus sortBy, limit, cursor, includeTotal, includeFacets)
+   * @returns {Promise<Object>} Page of events ({ events, nextCursor, hasMore, total?, facets? })
    */
   async getEvents({
+    sortBy,
+    limit,
+    cursor,
+    includeTotal,
+    includeFacets,
+    ...filters
+  }) {
+    // Build the MongoDB filter from the query parameters
+    const filter = await this.buildEventFilter(filters);
+
+    // Make sure recurring series are expanded up to the end of the requested window
+    await this.seriesService.extendSeries(filter.startsAt?.$lt);
+
+    // Resolve sorting options (relevance for keyword searches, otherwise date ascending)
+    const sortKey = sortBy || (filter.$text ? "relevance" : "dateAsc");
+    if (!SORT_OPTIONS[sortKey]) throw new Error("Invalid sortBy value");
+    if (sortKey === "relevance" && !filter.$text)
+      throw new Error("sortBy=relevance requires a search query q");
+
+    // Fetch a page of events using the cursor pagination helper
+    const page = await this.paginate(filter, sortKey, {
+      limit,
+      cursor,
+      includeTotal,
+    });
+
+    // Add facet counts for the filter sidebar when requested
+    if (includeFacets === "true") page.facets = await this.getFacets(filter);
+
+    return page;
+  }
+
+  /**
+   * Retrieves upcoming published events ranked by their trending score
+   * @param {Object} options - Query parameters (city, limit, cursor, includeTotal)
+   * @returns {Promise<Object>} Page of events ({ events, nextCursor, hasMore, total? })
+   */
+  async getTrendingEvents({ city, limit, cursor, includeTotal }) {
+    return await this.getEvents({
+      city,
+      futureOnly: "true",
+      sortBy: "trending",
+      limit,
+      cursor,
+      includeTotal,
+    });
+  }
+
+  /**
+   * Recommends upcoming events based on the events a user liked or commented on
+   * Events are ranked by how well their organizer, category and city match the
+   * user's history; events the user already liked or organizes are left out.
+   * Users without history (or without matches) get trending events instead.
+   * @param {string} userId - ID of the user to recommend events to
+   * @param {Object} options - Query parameters
+   * @param {string} [options.city] - City used for the trending fallback
+   * @param {string} [options.limit] - Maximum number of events to return
+   * @returns {Promise<Object>} Recommended events ({ events, source: "personalized" | "trending" })
+   */
+  async getRecommendedEvents(userId, { city, limit }) {
+    const pageSize = parseLimit(limit);
+    const user = new mongoose.Types.ObjectId(userId);
+
+    // Build the interest profile from the user's recent likes and comments
+    const interests = await this.eventRepository.countInterests(user, {
+      historySize: MAX_HISTORY_EVENTS,
+      limit: MAX_INTERESTS,
+    });
+
+    if (interests.total > 0) {
+      // Make sure upcoming occurrences of recurring series exist
+      await this.seriesService.extendSeries();
+
+      const profile = buildInterestProfile(interests, interests.total);
+      const events = await this.eventRepository.findRecommended(
+        {
+          status: "published",
+          endsAt: { $gte: new Date() },
+          likes: { $ne: user },
+          userId: { $ne: user },
+        },
+        interestScoreExpression(profile),
+        pageSize
+      );
+      if (events.length > 0) return { events, source: "personalized" };
+    }
+
+    // Fall back to what is trending, in the user's city when known
+    const page = await this.getTrendingEvents({ city, limit: pageSize });
+    return { events: page.events, source: "trending" };
+  }
+
+  /**
+   * Counts events matching a filter per category, city, price band and month
+   * @param {Object} filter - MongoDB filter built by buildEventFilter
+   * @returns {Promise<Object>} Facets ({ categories, cities, priceBuckets, months } of { value, count })
+   */
+  async getFacets(filter) {
+    // One aggregation computes every facet
+    const raw = await this.eventRepository.countFacets(filter, {
+      priceBucket: priceBucketExpression(),
+      maxCities: MAX_CITY_FACETS,
+    });
+
+    // Show category display names next to the slugs
+    const categories = await this.categoryService.listCategories();
+    const names = new Map(categories.map((c) => [c.slug, c.name]));
+
+    return formatFacets(raw, names);
+  }
+
+  /**
+   * Retrieves events for a calendar feed, using the same filters as getEvents
+   * @param {Object} options - Query parameters accepted by buildEventFilter
+   * @returns {Promise<Array>} Up to MAX_FEED_EVENTS event documents sorted by start
+   */
+  async getCalendarFeed(options) {
+    // Build the MongoDB filter from the query parameters
+    const filter = await this.buildEventFilter(options);
+
+    // Include postponed and cancelled events so subscribed calendars update them
+    filter.status = { $in: FEED_STATUSES };
+
+    // Make sure recurring series are expanded up to the end of the requested window
+    await this.seriesService.extendSeries(filter.startsAt?.$lt);
+
+    // Fetch events sorted by start; feeds are not paginated
+    return await this.eventRepository.findAll(
+      filter,
+      { startsAt: 1, _id: 1 },
+      MAX_FEED_EVENTS
+    );
+  }
+
+  /**
+   * Builds the MongoDB filter for event listings from query parameters
+   * Date filters match events by overlap, so events that already started but
+   * have not ended yet still count as upcoming; calendar boundaries (days,
+   * weeks, months, years) are taken in the requester's timeZone
+   * @param {Object} options - Query parameters (q, category, tags, tagMatch, futureOnly, timeRange, year, from, to, timeZone, priceMin, priceMax, city)
+   * @returns {Promise<Object>} MongoDB filter
+   * @throws {Error} If a parameter is invalid
+   */
+  async buildEventFilter({
+    q,
     category,
+    tags,
+    tagMatch = "any",
     futureOnly,
     timeRange,
     year,
+    from,
+    to,
+    timeZone = DEFAULT_TIME_ZONE,
     priceMin,
     priceMax,
     city,
-    sortBy,
   }) {
-    // Initialize filter object
-    const filter = {};
+    // Initialize filter object; public listings only show published events
+    const filter = { status: "published" };
+
+    // Apply keyword search against the text index if provided
+    if (q !== undefined) {
+      if (typeof q !== "string" || q.trim() === "")
+        throw new Error("Search query q cannot be empty");
+      if (q.length > MAX_QUERY_LENGTH)
+        throw new Error(
+          `Search query q cannot exceed ${MAX_QUERY_LENGTH} characters`
+        );
+      filter.$text = { $search: q.trim() };
+    }
 
-    // Apply category filter if provided
-    if (category) filter.category = category;
+    // Apply category filter if provided, including its subcategories
+    if (category) {
+      if (typeof category !== "string")
+        throw new Error("category must be a single slug");
+      filter.category = {
+        $in: await this.categoryService.expandCategory(category),
+      };
+    }
+
+    // Apply tag filter if provided: events with any (default) or all of the tags
+    if (tags !== undefined) {
+      const tagList = normalizeTags(tags);
+      if (tagList.length === 0) throw new Error("tags cannot be empty");
+      if (tagMatch !== "any" && tagMatch !== "all")
+        throw new Error("tagMatch must be 'any' or 'all'");
+      filter.tags = tagMatch === "all" ? { $all: tagList } : { $in: tagList };
+    }
 
-    // Filter for future events if specified
-    if (futureOnly === "true") filter.date = { $gte: new Date() };
+    // Calendar boundaries are computed in the requester's time zone
+    if (!isValidTimeZone(timeZone))
+      throw new Error(
+        "timeZone must be an IANA time zone (e.g., Asia/Kolkata)"
+      );
 
-    // Filter by city (case-insensitive)
-    if (city) filter.city = { $regex: new RegExp(`^${city}$`, "i") };
+    // Filter for events that have not ended yet if specified
+    if (futureOnly === "true") restrictToWindow(filter, new Date());
+
+    // Filter by city (case-insensitive, matched literally)
+    if (city) {
+      if (typeof city !== "string") throw new Error("city must be a string");
+      filter.city = { $regex: new RegExp(`^${escapeRegExp(city)}$`, "i") };
+    }
+
+    // Only one way of choosing dates may be used at a time
+    const hasRange = from !== undefined || to !== undefined;
+    if ([year, timeRange, hasRange || undefined].filter(Boolean).length > 1)
+      throw new Error("Use only one of year, timeRange or from/to");
 
-    // Filter by year if provided
     if (year) {
+      // Filter by calendar year
       const y = parseInt(year);
       if (isNaN(y) || y < 1970 || y > 3000)
         throw new Error("Invalid year value");
-      const yearStart = new Date(`${y}-01-01T00:00:00Z`);
-      const yearEnd = new Date(`${y}-12-31T23:59:59Z`);
-      filter.date = { $gte: yearStart, $lte: yearEnd };
+      restrictToWindow(
+        filter,
+        zonedTime({ year: y, month: 0, day: 1 }, timeZone),
+        zonedTime({ year: y + 1, month: 0, day: 1 }, timeZone)
+      );
     } else if (timeRange) {
-      // Filter by time range (last24h, lastWeek, lastMonth, lastYear)
-      const now = new Date();
-      switch (timeRange.toLowerCase()) {
-        case "last24h":
-          filter.date = {
-            ...filter.date,
-            $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000),
-          };
-          break;
-        case "lastWeek":
-          filter.date = {
-            ...filter.date,
-            $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000),
-          };
-          break;
-        case "lastMonth":
-          const lastMonth = new Date();
-          lastMonth.setMonth(lastMonth.getMonth() - 1);
-          filter.date = { ...filter.date, $gte: lastMonth };
-          break;
-        case "lastYear":
-          const ly = now.getFullYear() - 1;
-          const lyStart = new Date(`${ly}-01-01T00:00:00Z`);
-          const lyEnd = new Date(`${ly}-12-31T23:59:59Z`);
-          filter.date = { ...filter.date, $gte: lyStart, $lte: lyEnd };
-          break;
-        default:
-          throw new Error("Invalid timeRange value");
-      }
+      // Filter by a named window (today, thisWeekend, lastWeek, ...)
+      const window = resolveTimeRange(timeRange, timeZone);
+      restrictToWindow(filter, window.from, window.to);
+    } else if (hasRange) {
+      // Filter by an explicit range (plain dates cover whole days)
+      const window = resolveDateRange({ from, to }, timeZone);
+      restrictToWindow(filter, window.from, window.to);
     }
 
     // Filter by price range if provided
@@ -231,64 +721,368 @@ export class EventService {
       if (priceMax) filter.price.$lte = Number(priceMax);
     }
 
-    // Set sorting options (default to date ascending)
-    let sort = null;
-    if (sortBy) {
-      switch (sortBy) {
-        case "dateAsc":
-          sort = { date: 1 };
-          break;
-        case "dateDesc":
-          sort = { date: -1 };
-          break;
-        case "priceAsc":
-          sort = { price: 1 };
-          break;
-        case "priceDesc":
-          sort = { price: -1 };
-          break;
-        default:
-          throw new Error("Invalid sortBy value");
-      }
-    } else {
-      sort = { date: 1 };
+    return filter;
+  }
+
+  /**
+   * Lists the most used tags of upcoming published events, optionally in one city
+   * @param {Object} options - Query parameters
+   * @param {string} [options.city] - City to count tags in (case-insensitive)
+   * @param {string} [options.limit=20] - Maximum number of tags to return
+   * @returns {Promise<Array>} Tags with counts ({ tag, count }), most used first
+   */
+  async getPopularTags({ city, limit }) {
+    const filter = { status: "published", endsAt: { $gte: new Date() } };
+
+    // Restrict to one city if provided
+    if (city) {
+      if (typeof city !== "string") throw new Error("city must be a string");
+      filter.city = { $regex: new RegExp(`^${escapeRegExp(city)}$`, "i") };
     }
 
-    // Fetch events using EventRepository with filters and sorting
-    return await this.eventRepository.findAll(filter, sort);
+    return await this.eventRepository.countTags(filter, {
+      limit: parseTagLimit(limit),
+    });
+  }
+
+  /**
+   * Suggests existing tags starting with a prefix, most used first
+   * @param {Object} options - Query parameters
+   * @param {string} options.prefix - Beginning of the tag typed by the user
+   * @param {string} [options.limit=20] - Maximum number of suggestions
+   * @returns {Promise<Array>} Matching tags with counts ({ tag, count })
+   */
+  async suggestTags({ prefix, limit }) {
+    // Normalize the prefix the same way as stored tags
+    if (typeof prefix !== "string") throw new Error("prefix is required");
+    const normalized = normalizeTag(prefix);
+    if (normalized === "") throw new Error("prefix is required");
+
+    // Anchored prefix expressions can use the tags index
+    const expression = new RegExp(`^${escapeRegExp(normalized)}`);
+    return await this.eventRepository.countTags(
+      { status: "published", tags: expression },
+      { prefix: expression, limit: parseTagLimit(limit) }
+    );
   }
 
   /**
-   * Retrieves events in a specified city
-   * @param {string} city - City name to filter events
-   * @param {number} [limit=20] - Maximum number of events to return
-   * @returns {Promise<Array>} List of event documents
+   * Retrieves events near a location, either by coordinates or by city
+   * When lat and lng are given, events within radiusKm are returned sorted by
+   * distance with a distanceKm field; otherwise events in the city are returned
+   * sorted by start
+   * @param {Object} options - Query parameters
+   * @param {string} [options.city] - City name to filter events
+   * @param {string} [options.lat] - Latitude of the search center
+   * @param {string} [options.lng] - Longitude of the search center
+   * @param {string} [options.radiusKm=10] - Search radius in kilometers
+   * @param {number} [options.limit=20] - Maximum number of events to return
+   * @param {string} [options.cursor] - Cursor returned by the previous page
+   * @param {string} [options.includeTotal] - "true" to include the total match count
+   * @returns {Promise<Object>} Page of events ({ events, nextCursor, hasMore, total? })
    */
-  async getNearbyEvents(city, limit = 20) {
+  async getNearbyEvents({
+    city,
+    lat,
+    lng,
+    radiusKm,
+    limit,
+    cursor,
+    includeTotal,
+  }) {
+    // Make sure recurring series are expanded up to the standard horizon
+    await this.seriesService.extendSeries();
+
+    // Use a radius search when coordinates are provided
+    if (lat !== undefined || lng !== undefined) {
+      return await this.getEventsWithinRadius({
+        lat,
+        lng,
+        radiusKm,
+        limit,
+        cursor,
+        includeTotal,
+      });
+    }
+
     // Validate city parameter
     if (!city || typeof city !== "string" || city.trim() === "") {
       throw new Error("Valid city name is required");
     }
 
-    // Filter events by city (case-insensitive)
-    const filter = { city: { $regex: new RegExp(`^${city}$`, "i") } };
+    // Filter published events by city (case-insensitive, matched literally)
+    const filter = {
+      status: "published",
+      city: { $regex: new RegExp(`^${escapeRegExp(city)}$`, "i") },
+    };
 
-    // Fetch events using EventRepository with city filter and limit
-    return await this.eventRepository.findAll(
-      filter,
-      { date: 1 }, // Sort by date ascending
-      Math.min(parseInt(limit, 10), 100) // Cap limit at 100
+    // Fetch a page of events sorted by start ascending
+    return await this.paginate(filter, "dateAsc", {
+      limit,
+      cursor,
+      includeTotal,
+    });
+  }
+
+  /**
+   * Retrieves events within a radius of a point, sorted by distance
+   * @param {Object} options - Query parameters (lat, lng, radiusKm, limit, cursor, includeTotal)
+   * @returns {Promise<Object>} Page of events ({ events, nextCursor, hasMore, total? })
+   */
+  async getEventsWithinRadius({
+    lat,
+    lng,
+    radiusKm,
+    limit,
+    cursor,
+    includeTotal,
+  }) {
+    // Validate coordinates
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+    if (lat === "" || isNaN(latitude) || latitude < -90 || latitude > 90) {
+      throw new Error("lat must be a number between -90 and 90");
+    }
+    if (lng === "" || isNaN(longitude) || longitude < -180 || longitude > 180) {
+      throw new Error("lng must be a number between -180 and 180");
+    }
+
+    // Validate the radius (default 10 km)
+    const radius =
+      radiusKm === undefined || radiusKm === ""
+        ? DEFAULT_RADIUS_KM
+        : Number(radiusKm);
+    if (isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      throw new Error(`radiusKm must be between 0 and ${MAX_RADIUS_KM}`);
+    }
+    const maxDistance = radius * 1000;
+    const pageSize = parseLimit(limit);
+
+    // Skip events up to the cursor position (distance, then _id)
+    const after = cursor
+      ? buildCursorFilter(decodeCursor(cursor, "distance"), "distanceKm", 1)
+      : undefined;
+
+    // Fetch one extra published event to know whether another page exists
+    const filters = { status: "published" };
+    const docs = await this.eventRepository.findNearby(
+      longitude,
+      latitude,
+      maxDistance,
+      { filters, after, limit: pageSize + 1 }
+    );
+    const page = buildPage(
+      docs.map(withSchedule),
+      pageSize,
+      "distance",
+      "distanceKm"
+    );
+
+    // Count all events in the radius for UI pagers when requested
+    if (includeTotal === "true") {
+      page.total = await this.eventRepository.countNearby(
+        longitude,
+        latitude,
+        maxDistance,
+        filters
+      );
+    }
+
+    return page;
+  }
+
+  /**
+   * Retrieves a single event, hiding drafts from everyone but their organizer
+   * @param {string} eventId - ID of the event
+   * @param {string} [userId] - ID of the requesting user, if authenticated
+   * @returns {Promise<Object|null>} The event document or null if not found or not visible
+   */
+  async getEventById(eventId, userId) {
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) return null;
+
+    // Drafts are private to the organizer who created them
+    if (event.status === "draft" && event.userId.toString() !== userId) {
+      return null;
+    }
+
+    return event;
+  }
+
+  /**
+   * Retrieves an event for display and records the view for organizer analytics
+   * @param {string} eventId - ID of the event
+   * @param {string} [userId] - ID of the requesting user, if authenticated
+   * @param {string} [ip] - Client IP address, used to count anonymous views once
+   * @returns {Promise<Object|null>} The event document or null if not found or not visible
+   */
+  async viewEvent(eventId, userId, ip) {
+    const event = await this.getEventById(eventId, userId);
+
+    // Organizers looking at their own event do not count as views
+    if (event && event.userId.toString() !== userId)
+      await this.analyticsService.recordView(event, { userId, ip });
+
+    return event;
+  }
+
+  /**
+   * Lists the events of an organizer, including drafts
+   * @param {string} userId - ID of the organizer
+   * @param {Object} options - Query parameters (status, limit, cursor, includeTotal)
+   * @returns {Promise<Object>} Page of events ({ events, nextCursor, hasMore, total? })
+   */
+  async getOrganizerEvents(userId, { status, limit, cursor, includeTotal }) {
+    const filter = { userId };
+
+    // Optionally restrict to one lifecycle status
+    if (status) {
+      if (!STATUSES.includes(status))
+        throw new Error(`status must be one of ${STATUSES}`);
+      filter.status = status;
+    }
+
+    return await this.paginate(filter, "dateAsc", {
+      limit,
+      cursor,
+      includeTotal,
+    });
+  }
+
+  /**
+   * Lists the published events at a venue
+   * @param {string} venueId - ID of the venue
+   * @param {Object} options - Query parameters (futureOnly, limit, cursor, includeTotal)
+   * @returns {Promise<Object>} Page of events ({ events, nextCursor, hasMore, total? })
+   * @throws {Error} If the venue does not exist
+   */
+  async getVenueEvents(venueId, { futureOnly, limit, cursor, includeTotal }) {
+    const venue = await this.venueService.getVenue(venueId);
+
+    // Make sure recurring series are expanded up to the standard horizon
+    await this.seriesService.extendSeries();
+
+    const filter = { status: "published", venueId: venue._id };
+    if (futureOnly === "true") restrictToWindow(filter, new Date());
+
+    return await this.paginate(filter, "dateAsc", {
+      limit,
+      cursor,
+      includeTotal,
+    });
+  }
+
+  /**
+   * Moves an event to a new lifecycle status
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the organizer
+   * @param {string} status - Target status (published, cancelled, postponed, completed)
+   * @param {Object} [options] - Transition options
+   * @param {string} [options.reason] - Reason shown to users (required when cancelling)
+   * @param {string} [options.scope="occurrence"] - "series" applies the change to a whole recurring series
+   * @returns {Promise<Object>} The updated event document, or the updated series and its occurrences
+   */
+  async changeStatus(
+    eventId,
+    userId,
+    status,
+    { reason, scope = "occurrence" } = {}
+  ) {
+    // Fetch event by ID
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) throw new Error("Event not found");
+
+    // Check if user is the event creator
+    if (event.userId.toString() !== userId) throw new Error("Access denied");
+
+    // Validate the reason
+    if (reason !== undefined && typeof reason !== "string")
+      throw new Error("reason must be a string");
+    if (status === "cancelled" && (!reason || reason.trim() === ""))
+      throw new Error("A cancellation reason is required");
+
+    // Delegate whole-series transitions to SeriesService
+    if (scope === "series") {
+      if (!event.seriesId)
+        throw new Error("Event is not part of a recurring series");
+      return await this.seriesService.changeSeriesStatus(
+        event.seriesId,
+        userId,
+        status,
+        reason
+      );
+    }
+    if (scope !== "occurrence")
+      throw new Error("scope must be 'occurrence' or 'series'");
+
+    // Apply the transition atomically, guarded by the allowed source statuses
+    const update = buildStatusUpdate(status, reason);
+    if (status === "published" && !event.publishedAt)
+      update.publishedAt = update.statusChangedAt;
+
+    const updated = await this.eventRepository.updateStatus(
+      eventId,
+      STATUS_TRANSITIONS[status],
+      update
     );
+    if (!updated)
+      throw new Error(`Cannot change status from ${event.status} to ${status}`);
+
+    return updated;
+  }
+
+  /**
+   * Fetches one page of events using keyset (cursor) pagination
+   * @param {Object} filter - MongoDB filter for the listing
+   * @param {string} sortKey - Key of SORT_OPTIONS to order by
+   * @param {Object} options - Pagination parameters (limit, cursor, includeTotal)
+   * @returns {Promise<Object>} Page of events ({ events, nextCursor, hasMore, total? })
+   */
+  async paginate(filter, sortKey, { limit, cursor, includeTotal }) {
+    const { field, direction } = SORT_OPTIONS[sortKey];
+    const pageSize = parseLimit(limit);
+
+    // Build the keyset filter selecting documents after the cursor position
+    const after = cursor
+      ? buildCursorFilter(decodeCursor(cursor, sortKey), field, direction)
+      : undefined;
+
+    // Fetch one extra document to know whether another page exists
+    // (the relevance score only exists inside the search aggregation)
+    const docs =
+      sortKey === "relevance"
+        ? (
+            await this.eventRepository.search(filter, {
+              after,
+              limit: pageSize + 1,
+            })
+          ).map(withSchedule)
+        : await this.eventRepository.findAll(
+            after ? { $and: [filter, after] } : filter,
+            buildStableSort(field, direction),
+            pageSize + 1
+          );
+    const page = buildPage(docs, pageSize, sortKey, field);
+
+    // Count all matches (ignoring the cursor) for UI pagers when requested
+    if (includeTotal === "true") {
+      page.total = await this.eventRepository.count(filter);
+    }
+
+    return page;
   }
 
   /**
    * Updates an event if the user is authorized
+   * For occurrences of a recurring series, scope selects whether only this
+   * occurrence or the whole series (rule, template and upcoming occurrences) changes
    * @param {string} eventId - ID of the event to update
    * @param {string} userId - ID of the user updating the event
    * @param {Object} updateData - Data to update the event
-   * @returns {Promise<Object>} The updated event document
+   * @param {string} [scope="occurrence"] - "occurrence" or "series"
+   * @returns {Promise<Object>} The updated event document, or the updated series and its occurrences
    */
-  async updateEvent(eventId, userId, updateData) {
+  async updateEvent(eventId, userId, updateData, scope = "occurrence") {
     // Fetch event by ID
     const event = await this.eventRepository.findById(eventId);
     if (!event) throw new Error("Event not found");
@@ -296,17 +1090,101 @@ export class EventService {
     // Check if user is the event creator
     if (event.userId.toString() !== userId) throw new Error("Access denied");
 
+    // Validate a new category against the live taxonomy
+    if (updateData.category !== undefined)
+      await this.categoryService.assertCategoryExists(updateData.category);
+
+    // Normalize new tags (lowercase, de-duplicated, length-limited)
+    if (updateData.tags !== undefined)
+      updateData.tags = normalizeTags(updateData.tags);
+
+    // Events moved to a venue take its city and location
+    if (updateData.venueId)
+      Object.assign(
+        updateData,
+        await this.venueService.getEventPlace(updateData.venueId)
+      );
+
+    // Delegate whole-series edits to SeriesService
+    if (scope === "series") {
+      if (!event.seriesId)
+        throw new Error("Event is not part of a recurring series");
+      return await this.seriesService.updateSeries(
+        event.seriesId,
+        userId,
+        updateData
+      );
+    }
+    if (scope !== "occurrence")
+      throw new Error("scope must be 'occurrence' or 'series'");
+
+    // Rules belong to the series, not to a single occurrence
+    if (
+      updateData.recurrence !== undefined ||
+      updateData.exceptionDates !== undefined
+    )
+      throw new Error("Recurrence can only be changed with scope=series");
+
+    // Keep individually edited occurrences out of later series edits
+    if (event.seriesId) updateData.detached = true;
+
+    // Resolve schedule changes against the current start, end and time zone
+    let sessionShift = 0;
+    if (SCHEDULE_FIELDS.some((field) => updateData[field] !== undefined)) {
+      Object.assign(updateData, resolveSchedule(updateData, event));
+      delete updateData.durationMinutes;
+
+      // Agenda sessions move with the start and must still fit the new times
+      sessionShift = updateData.startsAt - event.startsAt;
+      const sessions = await this.sessionRepository.findByEvent(eventId);
+      const outside = sessions.find(
+        (s) =>
+          s.startsAt.getTime() + sessionShift < updateData.startsAt ||
+          s.endsAt.getTime() + sessionShift > updateData.endsAt
+      );
+      if (outside)
+        throw new Error(
+          `Session "${outside.title}" would fall outside the new event times; move or delete it first`
+        );
+    }
+
+    // Validate capacity (null removes the limit) against confirmed attendees
+    if (updateData.capacity !== undefined && updateData.capacity !== null) {
+      if (!Number.isInteger(updateData.capacity) || updateData.capacity < 1)
+        throw new Error("capacity must be a positive whole number or null");
+      if (updateData.capacity < event.attendeeCount)
+        throw new Error(
+          `capacity cannot be lower than the ${event.attendeeCount} confirmed attendees`
+        );
+    }
+
     // Update event using EventRepository
-    return await this.eventRepository.update(eventId, updateData);
+    const updated = await this.eventRepository.update(eventId, updateData);
+
+    // Keep the agenda at the same times relative to the start
+    if (sessionShift !== 0)
+      await this.sessionRepository.shiftByEvent(eventId, sessionShift);
+
+    // Promote waitlisted users into any seats a capacity increase opened up
+    if (updateData.capacity !== undefined) {
+      await this.registrationService.fillFreedSeats(eventId);
+      return await this.eventRepository.findById(eventId);
+    }
+
+    return updated;
   }
 
   /**
    * Deletes an event if the user is authorized
+   * For occurrences of a recurring series, scope selects whether only this
+   * occurrence is cancelled or the whole series is deleted
    * @param {string} eventId - ID of the event to delete
    * @param {string} userId - ID of the user deleting the event
+   * @param {string} [scope="occurrence"] - "occurrence" or "series"
+   * @param {string} [reason] - Reason shown on a cancelled occurrence
    * @returns {Promise<Object>} Success response
    */
-  async deleteEvent(eventId, userId) {
+  async deleteEvent(eventId, userId, scope = "occurrence", reason) {
     // Fetch event by ID
     const event = await this.eventRepository.findById(eventId);
     if (!event) throw new Error("Event not found");
@@ -314,8 +1192,25 @@ export class EventService {
     // Check if user is the event creator
     if (event.userId.toString() !== userId) throw new Error("Access denied");
 
-    // Delete event using EventRepository
+    if (scope !== "occurrence" && scope !== "series")
+      throw new Error("scope must be 'occurrence' or 'series'");
+
+    // Recurring occurrences are cancelled through the series
+    if (event.seriesId) {
+      return scope === "series"
+        ? await this.seriesService.deleteSeries(event.seriesId, userId)
+        : await this.seriesService.cancelOccurrence(event, reason);
+    }
+    if (scope === "series")
+      throw new Error("Event is not part of a recurring series");
+
+    // Delete event, its RSVPs, its agenda and its images
     await this.eventRepository.delete(eventId);
+    await this.registrationService.registrationRepository.deleteByEvent(
+      eventId
+    );
+    await this.sessionRepository.deleteByEvent(eventId);
+    await this.mediaService.deleteEventMedia(event);
 
     // Return success response
     return { ok: true };
@@ -0,0 +1,171 @@
+// Import the repository for the MongoDB geocode cache
+import { GeocodeCacheRepository } from "../repositories/geocodeCacheRepository.js";
+
+// Default and maximum number of entries per listing
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+// Default and maximum number of days of daily stats
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 365;
+
+/**
+ * Parses a coordinate of a correction
+ * @param {*} value - Value from the request body
+ * @param {string} name - Field name used in error messages
+ * @param {number} max - Largest allowed absolute value (90 for latitudes, 180 for longitudes)
+ * @returns {number} The coordinate
+ * @throws {Error} If the value is not a number in range
+ */
+function parseCoordinate(value, name, max) {
+  const number = typeof value === "string" ? Number(value) : value;
+  if (typeof number !== "number" || !(Math.abs(number) <= max))
+    throw new Error(`${name} must be a number between -${max} and ${max}`);
+  return number;
+}
+
+// Service class for handling admin operations on the geocode cache
+export class GeocodeCacheService {
+  constructor() {
+    // Initialize the repository for database interactions
+    this.geocodeCacheRepository = new GeocodeCacheRepository();
+  }
+
+  /**
+   * Lists cache entries, most recently updated first
+   * @param {Object} query - Query parameters
+   * @param {string} [query.q] - Only entries whose normalized address contains this text
+   * @param {string} [query.status] - Only "resolved" or "unresolved" entries
+   * @param {number} [query.limit] - Maximum number of entries (default 50, max 200)
+   * @returns {Promise<Array>} Entry documents
+   */
+  async listEntries({ q, status, limit }) {
+    const filter = {};
+    if (q) {
+      // Match literally; addresses often contain regex characters such as "." or "("
+      const escaped = q.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.key = { $regex: escaped };
+    }
+    if (status !== undefined) {
+      if (!["resolved", "unresolved"].includes(status))
+        throw new Error("status must be resolved or unresolved");
+      filter.status = status;
+    }
+
+    const size = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_LIST_LIMIT, 1),
+      MAX_LIST_LIMIT
+    );
+    return await this.geocodeCacheRepository.findAll(filter, size);
+  }
+
+  /**
+   * Summarizes the cache: entry counts, hit/miss totals and daily counters
+   * @param {Object} query - Query parameters
+   * @param {number} [query.days] - Number of days of counters (default 30, max 365)
+   * @returns {Promise<Object>} Stats ({ entries, totals, hitRate, daily })
+   */
+  async getStats({ days }) {
+    const span = Math.min(
+      Math.max(parseInt(days) || DEFAULT_STATS_DAYS, 1),
+      MAX_STATS_DAYS
+    );
+    const since = new Date(Date.now() - (span - 1) * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+
+    const [entries, daily] = await Promise.all([
+      this.geocodeCacheRepository.countEntries(),
+      this.geocodeCacheRepository.findStatsSince(since),
+    ]);
+
+    // Add up the daily counters
+    const totals = { hits: 0, negativeHits: 0, misses: 0, failures: 0 };
+    for (const day of daily) {
+      for (const counter of Object.keys(totals)) {
+        totals[counter] += day[counter] || 0;
+      }
+    }
+    const lookups = totals.hits + totals.negativeHits + totals.misses;
+
+    return {
+      days: span,
+      entries: {
+        total: entries.resolved + entries.unresolved,
+        resolved: entries.resolved,
+        unresolved: entries.unresolved,
+        corrected: entries.corrected,
+      },
+      totals,
+      // Share of lookups answered without asking a provider
+      hitRate:
+        lookups > 0
+          ? Number(((totals.hits + totals.negativeHits) / lookups).toFixed(4))
+          : null,
+      daily,
+    };
+  }
+
+  /**
+   * Corrects a cache entry by hand; corrected entries never expire and are not overwritten by providers
+   * Events created earlier keep their location
+   * @param {string} id - ID of the entry
+   * @param {Object} data - Correction ({ lat, lng, city, displayName, placeId }); fields left out keep their cached value
+   * @param {string} adminId - ID of the admin making the correction
+   * @returns {Promise<Object>} The corrected entry
+   * @throws {Error} If the entry does not exist or a field is invalid
+   */
+  async correctEntry(id, data, adminId) {
+    const entry = await this.geocodeCacheRepository.findById(id);
+    if (!entry) throw new Error("Cache entry not found");
+    const current = entry.result || {};
+
+    // Unresolved entries have nothing to fall back on
+    if (
+      entry.status === "unresolved" &&
+      (data.lat === undefined || data.lng === undefined || !data.city)
+    )
+      throw new Error("lat, lng and city are required to resolve an address");
+
+    const lat = parseCoordinate(data.lat ?? current.lat, "lat", 90);
+    const lng = parseCoordinate(data.lng ?? current.lng, "lng", 180);
+
+    const result = {
+      provider: "manual",
+      placeId: current.placeId || "",
+      displayName: current.displayName || entry.query,
+      lat,
+      lng,
+      address: current.address || {},
+    };
+    for (const field of ["city", "displayName", "placeId"]) {
+      const value = data[field] ?? current[field];
+      if (value === undefined) continue;
+      if (typeof value !== "string")
+        throw new Error(`${field} must be a string`);
+      if (value.trim() !== "") result[field] = value.trim();
+    }
+
+    return await this.geocodeCacheRepository.update(id, {
+      $set: {
+        status: "resolved",
+        result,
+        corrected: true,
+        correctedBy: adminId,
+      },
+      $unset: { expiresAt: 1 },
+    });
+  }
+
+  /**
+   * Purges a cache entry so the next lookup asks the providers again
+   * @param {string} id - ID of the entry
+   * @returns {Promise<Object>} Success message
+   * @throws {Error} If the entry does not exist
+   */
+  async deleteEntry(id) {
+    const entry = await this.geocodeCacheRepository.delete(id);
+    if (!entry) throw new Error("Cache entry not found");
+    return { message: "Cache entry purged" };
+  }
+}
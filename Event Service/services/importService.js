@@ -0,0 +1,542 @@
+// Import repositories for import jobs and categories
+import { ImportJobRepository } from "../repositories/importJobRepository.js";
+import { CategoryRepository } from "../repositories/categoryRepository.js";
+
+// Import EventService to create the imported events
+import { EventService } from "./eventService.js";
+
+// Import the Event model to validate rows against its schema
+import Event from "../models/event.js";
+
+// Import helpers for parsing and validating rows
+import { parseCsv } from "../utils/csv.js";
+import { resolveSchedule } from "../utils/schedule.js";
+import { normalizeTags } from "../utils/tags.js";
+import { INITIAL_STATUSES } from "../utils/eventStatus.js";
+import {
+  buildLocation,
+  geocode,
+  RATE_LIMITED,
+  UNRESOLVED_ADDRESS,
+} from "../utils/geocoder.js";
+
+// Maximum number of events in one import
+export const MAX_IMPORT_ROWS = 500;
+
+// Columns of an import file; "date" is accepted as an alias of startsAt
+const IMPORT_FIELDS = [
+  "name",
+  "description",
+  "category",
+  "startsAt",
+  "date",
+  "endsAt",
+  "durationMinutes",
+  "timeZone",
+  "price",
+  "capacity",
+  "tags",
+  "status",
+  "address",
+];
+
+// Event fields validated by dedicated checks or only known after geocoding
+const SKIPPED_SCHEMA_PATHS = [
+  "name",
+  "userId",
+  "city",
+  "category",
+  "tags",
+  "status",
+  "startsAt",
+  "endsAt",
+  "timeZone",
+];
+
+// Default pause between geocoding requests (LocationIQ free plans and public Nominatim allow about one per second)
+const DEFAULT_GEOCODE_INTERVAL_MS = 1000;
+
+// Rate-limited geocoding requests are retried this many times, waiting longer each time
+const MAX_GEOCODE_ATTEMPTS = 3;
+const RATE_LIMIT_BACKOFF_MS = 5000;
+
+// A dry run geocodes at most this many distinct addresses, so it answers within
+// the gateway's timeout at one request per second; the other rows are "unverified"
+const MAX_DRY_RUN_GEOCODES = 20;
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a function that waits until at least intervalMs passed since its previous call
+ * @param {number} intervalMs - Minimum time between calls
+ * @returns {Function} Async function to await before each request
+ */
+function createThrottle(intervalMs) {
+  let nextAt = 0;
+  return async () => {
+    const wait = nextAt - Date.now();
+    if (wait > 0) await sleep(wait);
+    nextAt = Date.now() + intervalMs;
+  };
+}
+
+/**
+ * Checks whether a geocoding error means the address itself is wrong,
+ * rather than a provider failing
+ * @param {Error} err - Error thrown by the geocoder
+ * @returns {boolean} True if the address cannot be found or has no recognizable city
+ */
+function isAddressError(err) {
+  return (
+    err.message === UNRESOLVED_ADDRESS ||
+    err.message.startsWith("Could not determine city")
+  );
+}
+
+/**
+ * Trims a cell; empty cells count as missing
+ * @param {*} value - Cell from a CSV or JSON row
+ * @returns {*} Trimmed value, or undefined when empty
+ */
+function cellValue(value) {
+  if (typeof value === "string") return value.trim() || undefined;
+  return value ?? undefined;
+}
+
+/**
+ * Reads a numeric cell
+ * @param {*} value - Cell from a CSV or JSON row
+ * @param {string} field - Column name used in error messages
+ * @param {string[]} errors - Row errors to add to
+ * @returns {number|undefined} The number, or undefined when missing or invalid
+ */
+function numberValue(value, field, errors) {
+  const cell = cellValue(value);
+  if (cell === undefined) return undefined;
+  const number = typeof cell === "boolean" ? NaN : Number(cell);
+  if (isNaN(number)) {
+    errors.push(`${field} must be a number`);
+    return undefined;
+  }
+  return number;
+}
+
+/**
+ * Works out the format of an uploaded import file
+ * @param {Object} file - Uploaded file (req.file)
+ * @returns {string} "csv" or "json"
+ */
+function fileFormat(file) {
+  const name = (file.originalname || "").toLowerCase();
+  if (name.endsWith(".json")) return "json";
+  if (name.endsWith(".csv")) return "csv";
+  return file.mimetype === "application/json" ? "json" : "csv";
+}
+
+/**
+ * Reads the rows of a CSV file, mapping its headers to import columns
+ * @param {string} text - CSV contents
+ * @returns {Array} Rows keyed by import column
+ * @throws {Error} If the file cannot be parsed or has unknown columns
+ */
+function readCsvRows(text) {
+  const { headers, records } = parseCsv(text);
+
+  // Headers are matched case-insensitively; unknown columns are usually typos
+  const columns = new Map(IMPORT_FIELDS.map((f) => [f.toLowerCase(), f]));
+  const unknown = headers.filter((h) => !columns.has(h.toLowerCase()));
+  if (unknown.length > 0)
+    throw new Error(
+      `Unknown columns: ${unknown.join(", ")}. Allowed: ${IMPORT_FIELDS.join(
+        ", "
+      )}`
+    );
+
+  return records.map((record) =>
+    Object.fromEntries(
+      Object.entries(record).map(([h, v]) => [columns.get(h.toLowerCase()), v])
+    )
+  );
+}
+
+// Service class for handling bulk event imports
+export class ImportService {
+  constructor() {
+    // Initialize repositories and services used by imports
+    this.importJobRepository = new ImportJobRepository();
+    this.categoryRepository = new CategoryRepository();
+    this.eventService = new EventService();
+  }
+
+  /**
+   * Reads the rows of an import from an uploaded file or a JSON body
+   * @param {Object} input - Import input
+   * @param {Object} [input.file] - Uploaded CSV or JSON file (req.file)
+   * @param {Array} [input.events] - Rows sent directly in a JSON body
+   * @returns {Object} Rows and their format ({ format, rows })
+   * @throws {Error} If the input is missing, cannot be parsed or has too many rows
+   */
+  readRows({ file, events }) {
+    let format = "json";
+    let rows = events;
+
+    if (file) {
+      format = fileFormat(file);
+      const text = file.buffer.toString("utf8");
+      if (format === "csv") rows = readCsvRows(text);
+      else {
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch {
+          throw new Error("The file is not valid JSON");
+        }
+        // Accept a plain array or { "events": [...] }
+        rows = Array.isArray(parsed) ? parsed : parsed?.events;
+      }
+    }
+
+    if (!Array.isArray(rows))
+      throw new Error(
+        "Upload a CSV or JSON file in the file field, or send an events array"
+      );
+    if (rows.length === 0) throw new Error("The import contains no events");
+    if (rows.length > MAX_IMPORT_ROWS)
+      throw new Error(
+        `At most ${MAX_IMPORT_ROWS} events can be imported at once`
+      );
+
+    return { format, rows };
+  }
+
+  /**
+   * Validates one row and converts it into event data
+   * @param {Object} row - Row from the import file
+   * @param {Set<string>} categories - Slugs of existing categories
+   * @returns {Object} Validation result ({ name, address, data, errors })
+   */
+  validateRow(row, categories) {
+    if (!row || typeof row !== "object" || Array.isArray(row))
+      return { name: "", errors: ["Each event must be an object"] };
+
+    const errors = [];
+    const name = cellValue(row.name);
+    if (typeof name !== "string") errors.push("name is required");
+
+    // JSON rows may nest the address like POST /api/events does
+    const address = cellValue(row.address) ?? cellValue(row.location?.address);
+    if (typeof address !== "string") errors.push("address is required");
+
+    const status = cellValue(row.status) ?? "draft";
+    if (!INITIAL_STATUSES.includes(status))
+      errors.push(`status must be one of ${INITIAL_STATUSES}`);
+
+    const category = cellValue(row.category) ?? "other";
+    if (!categories.has(category)) errors.push(`Unknown category: ${category}`);
+
+    if (row.recurrence !== undefined)
+      errors.push("Recurring events cannot be imported");
+
+    const data = {
+      name,
+      description: cellValue(row.description) ?? "",
+      category,
+      status,
+      price: numberValue(row.price, "price", errors),
+      capacity: numberValue(row.capacity, "capacity", errors) ?? null,
+    };
+
+    // Tags may be a list or a comma-separated cell
+    try {
+      data.tags = normalizeTags(cellValue(row.tags) ?? []);
+    } catch (err) {
+      errors.push(err.message);
+    }
+
+    // Resolve start, end (default duration when missing) and time zone
+    try {
+      Object.assign(
+        data,
+        resolveSchedule({
+          startsAt: cellValue(row.startsAt) ?? cellValue(row.date),
+          endsAt: cellValue(row.endsAt),
+          durationMinutes: numberValue(
+            row.durationMinutes,
+            "durationMinutes",
+            errors
+          ),
+          timeZone: cellValue(row.timeZone),
+        })
+      );
+    } catch (err) {
+      errors.push(err.message);
+    }
+
+    // Check the remaining fields (price, capacity, ...) against the Event schema,
+    // leaving out numbers that were already reported as unreadable
+    const unreadable = ["price", "capacity"].filter((field) =>
+      errors.includes(`${field} must be a number`)
+    );
+    const schemaError = new Event(data).validateSync({
+      pathsToSkip: [...SKIPPED_SCHEMA_PATHS, ...unreadable],
+    });
+    if (schemaError) {
+      errors.push(...Object.values(schemaError.errors).map((e) => e.message));
+    }
+
+    return { name: name ?? "", address, data, errors };
+  }
+
+  /**
+   * Validates every row of an import
+   * @param {Array} rows - Rows from the import file
+   * @returns {Promise<Array>} Validation results in row order
+   */
+  async validateRows(rows) {
+    const categories = new Set(
+      (await this.categoryRepository.findAll()).map((c) => c.slug)
+    );
+    return rows.map((row) => this.validateRow(row, categories));
+  }
+
+  /**
+   * Validates an import without creating anything
+   * The addresses of valid rows are geocoded with the import's pacing, up to
+   * MAX_DRY_RUN_GEOCODES distinct addresses; results are cached, so the import
+   * does not ask the providers again. Rate limits are not retried, and no further
+   * addresses are looked up after one, so the request stays short. Rows whose
+   * address was not checked (over the limit, rate-limited or the providers
+   * failed) are reported as "unverified"
+   * @param {Object} input - Import input ({ file?, events? })
+   * @returns {Promise<Object>} Report ({ dryRun, format, total, valid, unverified, invalid, rows })
+   */
+  async dryRun(input) {
+    const { format, rows } = this.readRows(input);
+    const results = await this.validateRows(rows);
+
+    // Space out geocoding requests like the import does
+    const interval =
+      Number(process.env.IMPORT_GEOCODE_INTERVAL_MS) ||
+      DEFAULT_GEOCODE_INTERVAL_MS;
+    const throttle = createThrottle(interval);
+
+    // Rows sharing a venue are geocoded once
+    const locations = new Map();
+    const report = [];
+    let rateLimited = false;
+
+    for (const [i, r] of results.entries()) {
+      const entry = {
+        row: i + 1,
+        name: r.name,
+        status: r.errors.length > 0 ? "invalid" : "unverified",
+        errors: r.errors,
+      };
+      report.push(entry);
+      if (r.errors.length > 0) continue;
+
+      const key = r.address.toLowerCase();
+      if (
+        !locations.has(key) &&
+        !rateLimited &&
+        locations.size < MAX_DRY_RUN_GEOCODES
+      ) {
+        const result = await this.geocodeThrottled(r.address, throttle, 1).then(
+          (location) => ({ location }),
+          (error) => ({ error })
+        );
+        rateLimited = result.error?.message === RATE_LIMITED;
+        locations.set(key, result);
+      }
+      const checked = locations.get(key);
+
+      if (!checked && rateLimited) {
+        entry.warning = RATE_LIMITED;
+      } else if (!checked) {
+        entry.warning = `Only the first ${MAX_DRY_RUN_GEOCODES} addresses are checked in a dry run`;
+      } else if (checked.location) {
+        entry.status = "valid";
+        entry.city = checked.location.city;
+      } else if (isAddressError(checked.error)) {
+        entry.status = "invalid";
+        entry.errors = [checked.error.message];
+      } else {
+        entry.warning = checked.error.message;
+      }
+    }
+
+    const count = (status) => report.filter((e) => e.status === status).length;
+    return {
+      dryRun: true,
+      format,
+      total: report.length,
+      valid: count("valid"),
+      unverified: count("unverified"),
+      invalid: count("invalid"),
+      rows: report,
+    };
+  }
+
+  /**
+   * Starts an import job that geocodes and creates every valid row in the background
+   * @param {string} userId - ID of the organizer
+   * @param {Object} input - Import input ({ file?, events? })
+   * @returns {Promise<Object>} The queued job; poll getJob for progress
+   * @throws {Error} If no row is valid
+   */
+  async startImport(userId, input) {
+    const { format, rows } = this.readRows(input);
+    const results = await this.validateRows(rows);
+
+    const pending = results
+      .map((result, index) => ({ ...result, index }))
+      .filter((r) => r.errors.length === 0);
+    if (pending.length === 0)
+      throw new Error(
+        "No valid events to import; run a dry run to see the errors"
+      );
+
+    const job = await this.importJobRepository.create({
+      userId,
+      format,
+      total: results.length,
+      invalid: results.length - pending.length,
+      rows: results.map((r, i) => ({
+        row: i + 1,
+        name: r.name,
+        status: r.errors.length > 0 ? "invalid" : "pending",
+        errors: r.errors,
+      })),
+    });
+
+    // Process the rows without holding the request open
+    this.runJob(job._id, userId, pending).catch(async (err) => {
+      console.error("Import job failed:", err.message);
+      await this.importJobRepository
+        .update(job._id, {
+          status: "failed",
+          error: err.message,
+          finishedAt: new Date(),
+        })
+        .catch(() => {});
+    });
+
+    return job;
+  }
+
+  /**
+   * Geocodes an address, retrying when the provider reports a rate limit
+   * @param {string} address - Address from the row
+   * @param {Function} throttle - Function to await before each request
+   * @param {number} [maxAttempts=MAX_GEOCODE_ATTEMPTS] - Attempts before a rate limit is reported
+   * @returns {Promise<Object>} Geocoded location ({ city, address, placeId, lat, lng })
+   */
+  async geocodeThrottled(
+    address,
+    throttle,
+    maxAttempts = MAX_GEOCODE_ATTEMPTS
+  ) {
+    for (let attempt = 1; ; attempt++) {
+      await throttle();
+      try {
+        return await geocode(address);
+      } catch (err) {
+        if (err.message !== RATE_LIMITED || attempt >= maxAttempts) throw err;
+        await sleep(RATE_LIMIT_BACKOFF_MS * attempt);
+      }
+    }
+  }
+
+  /**
+   * Geocodes and creates the valid rows of a job one at a time, recording each outcome
+   * @param {string} jobId - ID of the job
+   * @param {string} userId - ID of the organizer
+   * @param {Array} pending - Valid rows ({ index, address, data })
+   * @returns {Promise<void>}
+   */
+  async runJob(jobId, userId, pending) {
+    await this.importJobRepository.update(jobId, {
+      status: "running",
+      startedAt: new Date(),
+    });
+
+    // Space out geocoding requests (IMPORT_GEOCODE_INTERVAL_MS, default 1000)
+    const interval =
+      Number(process.env.IMPORT_GEOCODE_INTERVAL_MS) ||
+      DEFAULT_GEOCODE_INTERVAL_MS;
+    const throttle = createThrottle(interval);
+
+    // Rows sharing a venue are geocoded once
+    const locations = new Map();
+
+    for (const { index, address, data } of pending) {
+      try {
+        const key = address.toLowerCase();
+        if (!locations.has(key))
+          locations.set(
+            key,
+            this.geocodeThrottled(address, throttle).then(
+              (location) => ({ location }),
+              (error) => ({ error })
+            )
+          );
+        const { location, error } = await locations.get(key);
+        if (error) throw error;
+
+        const eventData = {
+          ...data,
+          city: location.city,
+          location: buildLocation(location),
+        };
+        // Record the publication date of events published on import
+        if (eventData.status === "published")
+          eventData.publishedAt = new Date();
+
+        const event = await this.eventService.createEvent(eventData, userId);
+        await this.importJobRepository.setRowOutcome(jobId, index, {
+          status: "created",
+          eventId: event._id,
+        });
+      } catch (err) {
+        await this.importJobRepository.setRowOutcome(jobId, index, {
+          status: "failed",
+          errors: [err.message],
+        });
+      }
+    }
+
+    await this.importJobRepository.update(jobId, {
+      status: "completed",
+      finishedAt: new Date(),
+    });
+  }
+
+  /**
+   * Retrieves an import job with the outcome of every row
+   * @param {string} jobId - ID of the job
+   * @param {string} userId - ID of the organizer
+   * @returns {Promise<Object>} The job document
+   * @throws {Error} If the job does not exist or belongs to someone else
+   */
+  async getJob(jobId, userId) {
+    const job = await this.importJobRepository.findById(jobId);
+    if (!job) throw new Error("Import job not found");
+    if (job.userId.toString() !== userId) throw new Error("Access denied");
+    return job;
+  }
+
+  /**
+   * Marks jobs interrupted by a restart as failed; their remaining rows were not imported
+   * @returns {Promise<void>}
+   */
+  async failInterruptedJobs() {
+    await this.importJobRepository.failInterrupted();
+  }
+}
@@ -0,0 +1,195 @@
+// Import mongoose to generate image IDs before the files are stored
+import mongoose from "mongoose";
+
+// Import EventRepository for database operations
+import { EventRepository } from "../repositories/eventRepository.js";
+
+// Import the configured media storage
+import { getStorage } from "../storage/index.js";
+
+// Import image validation and resizing
+import { IMAGE_VARIANTS, processImage } from "../utils/images.js";
+
+// Maximum number of images in an event gallery
+export const MAX_GALLERY_IMAGES = 10;
+
+// Service class for handling event cover images and galleries
+export class MediaService {
+  constructor() {
+    // Initialize EventRepository instance for database interactions
+    this.eventRepository = new EventRepository();
+  }
+
+  /**
+   * Media storage configured for the service
+   * Resolved on use, after the environment variables have been loaded
+   * @returns {Object} Storage implementation
+   */
+  get storage() {
+    return getStorage();
+  }
+
+  /**
+   * Loads an event and checks that the user organizes it
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the organizer
+   * @returns {Promise<Object>} The event document
+   */
+  async findOwnedEvent(eventId, userId) {
+    // Fetch event by ID
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) throw new Error("Event not found");
+
+    // Check if user is the event creator
+    if (event.userId.toString() !== userId) throw new Error("Access denied");
+
+    return event;
+  }
+
+  /**
+   * Resizes an uploaded file and stores its variants
+   * @param {string} eventId - ID of the event the image belongs to
+   * @param {Object} file - Uploaded file (multer memory storage)
+   * @returns {Promise<Object>} Image data for the event document
+   */
+  async storeImage(eventId, file) {
+    const { width, height, variants } = await processImage(file.buffer);
+
+    // Every variant of an image shares one key prefix
+    const _id = new mongoose.Types.ObjectId();
+    const key = `events/${eventId}/${_id}`;
+    const urls = {};
+    for (const [name, variant] of Object.entries(variants)) {
+      urls[name] = await this.storage.save(
+        `${key}/${name}.webp`,
+        variant.buffer,
+        "image/webp"
+      );
+    }
+
+    return { _id, key, urls, width, height };
+  }
+
+  /**
+   * Deletes the stored variants of an image
+   * @param {Object} image - Image data from the event document
+   * @returns {Promise<void>}
+   */
+  async deleteImage(image) {
+    for (const name of IMAGE_VARIANTS) {
+      await this.storage.delete(`${image.key}/${name}.webp`);
+    }
+  }
+
+  /**
+   * Sets or replaces the cover image of an event
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the organizer
+   * @param {Object} file - Uploaded file
+   * @returns {Promise<Object>} The updated event document
+   */
+  async setCoverImage(eventId, userId, file) {
+    if (!file) throw new Error("An image file is required");
+    await this.findOwnedEvent(eventId, userId);
+
+    // Store the new image, then swap it in and remove the previous one
+    const image = await this.storeImage(eventId, file);
+    const previous = await this.eventRepository.setCoverImage(eventId, image);
+    if (previous?.coverImage) await this.deleteImage(previous.coverImage);
+
+    return await this.eventRepository.findById(eventId);
+  }
+
+  /**
+   * Removes the cover image of an event
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the organizer
+   * @returns {Promise<Object>} The updated event document
+   */
+  async removeCoverImage(eventId, userId) {
+    const event = await this.findOwnedEvent(eventId, userId);
+    if (!event.coverImage) throw new Error("Event has no cover image");
+
+    const previous = await this.eventRepository.setCoverImage(eventId, null);
+    if (previous?.coverImage) await this.deleteImage(previous.coverImage);
+
+    return await this.eventRepository.findById(eventId);
+  }
+
+  /**
+   * Adds images to the gallery of an event
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the organizer
+   * @param {Array} files - Uploaded files
+   * @returns {Promise<Object>} The updated event document
+   */
+  async addGalleryImages(eventId, userId, files) {
+    if (!files || files.length === 0)
+      throw new Error("At least one image file is required");
+    const event = await this.findOwnedEvent(eventId, userId);
+
+    // Check the size limit before doing any image processing
+    if (event.gallery.length + files.length > MAX_GALLERY_IMAGES)
+      throw new Error(
+        `A gallery can hold at most ${MAX_GALLERY_IMAGES} images`
+      );
+
+    // Validate and store every file before touching the event
+    const images = [];
+    try {
+      for (const file of files) {
+        images.push(await this.storeImage(eventId, file));
+      }
+    } catch (err) {
+      for (const image of images) await this.deleteImage(image);
+      throw err;
+    }
+
+    // Append atomically; a concurrent upload may have filled the gallery meanwhile
+    const updated = await this.eventRepository.addGalleryImages(
+      eventId,
+      images,
+      MAX_GALLERY_IMAGES
+    );
+    if (!updated) {
+      for (const image of images) await this.deleteImage(image);
+      throw new Error(
+        `A gallery can hold at most ${MAX_GALLERY_IMAGES} images`
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Removes an image from the gallery of an event
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the organizer
+   * @param {string} imageId - ID of the gallery image
+   * @returns {Promise<Object>} The updated event document
+   */
+  async removeGalleryImage(eventId, userId, imageId) {
+    const event = await this.findOwnedEvent(eventId, userId);
+    const image = event.gallery.id(imageId);
+    if (!image) throw new Error("Image not found");
+
+    const updated = await this.eventRepository.removeGalleryImage(
+      eventId,
+      imageId
+    );
+    if (!updated) throw new Error("Image not found");
+    await this.deleteImage(image);
+
+    return updated;
+  }
+
+  /**
+   * Deletes every stored image of an event, used when the event is deleted
+   * @param {Object} event - Event document
+   * @returns {Promise<void>}
+   */
+  async deleteEventMedia(event) {
+    if (event.coverImage) await this.deleteImage(event.coverImage);
+    for (const image of event.gallery || []) await this.deleteImage(image);
+  }
+}
@@ -0,0 +1,183 @@
+// Import EventRepository for database operations
+import { EventRepository } from "../repositories/eventRepository.js";
+
+// Import comment reporting and removal helpers
+import { REPORT_REASONS, removeComment } from "../utils/comments.js";
+
+// Import the page size helper to bound the queue
+import { parseLimit } from "../utils/pagination.js";
+
+// Number of reports after which a comment is hidden automatically
+const DEFAULT_REPORT_THRESHOLD = 3;
+
+// Maximum length of the free-text note on a report
+const MAX_REPORT_NOTE_LENGTH = 500;
+
+/**
+ * Reads the auto-hide threshold from the environment
+ * @returns {number} Number of reports that hides a comment
+ */
+function reportThreshold() {
+  const value = parseInt(process.env.COMMENT_REPORT_THRESHOLD, 10);
+  return Number.isInteger(value) && value > 0
+    ? value
+    : DEFAULT_REPORT_THRESHOLD;
+}
+
+// Service class for handling comment reports and moderation
+export class ModerationService {
+  constructor() {
+    // Initialize EventRepository instance for database interactions
+    this.eventRepository = new EventRepository();
+  }
+
+  /**
+   * Loads an event and one of its comments
+   * @param {string} eventId - ID of the event
+   * @param {string} commentId - ID of the comment
+   * @returns {Promise<Object>} The event and comment documents
+   */
+  async findComment(eventId, commentId) {
+    // Fetch event by ID
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) throw new Error("Event not found");
+
+    // Find comment or reply by ID within event's comments array
+    const comment = event.comments.id(commentId);
+    if (!comment || comment.deleted) throw new Error("Comment not found");
+
+    return { event, comment };
+  }
+
+  /**
+   * Reports a comment; enough reports hide it until an admin reviews it
+   * @param {string} eventId - ID of the event
+   * @param {string} commentId - ID of the comment
+   * @param {string} userId - ID of the reporting user
+   * @param {string} reason - One of REPORT_REASONS
+   * @param {string} [note] - Optional details
+   * @returns {Promise<Object>} Response with success message and whether the comment is hidden
+   */
+  async reportComment(eventId, commentId, userId, reason, note = "") {
+    // Validate the reason and note
+    if (!REPORT_REASONS.includes(reason))
+      throw new Error(`reason must be one of ${REPORT_REASONS.join(", ")}`);
+    if (typeof note !== "string" || note.length > MAX_REPORT_NOTE_LENGTH)
+      throw new Error(
+        `note must be text of at most ${MAX_REPORT_NOTE_LENGTH} characters`
+      );
+    if (reason === "other" && note.trim() === "")
+      throw new Error("A note is required when the reason is 'other'");
+
+    const { event, comment } = await this.findComment(eventId, commentId);
+
+    // Users cannot report themselves or report the same comment twice
+    if (comment.userId.toString() === userId)
+      throw new Error("You cannot report your own comment");
+    if (comment.reports.some((r) => r.userId.toString() === userId))
+      throw new Error("You already reported this comment");
+
+    // Record the report and queue the comment for review
+    comment.reports.push({ userId, reason, note });
+    comment.moderationStatus = "pending";
+
+    // Hide the comment once enough reports arrived since the last review
+    const openReports = comment.reports.filter(
+      (r) => !comment.reviewedAt || r.createdAt > comment.reviewedAt
+    ).length;
+    if (!comment.hidden && openReports >= reportThreshold()) {
+      comment.hidden = true;
+      comment.hiddenBy = "reports";
+    }
+    await event.save();
+
+    // Return success message without revealing other reporters
+    return { message: "Comment reported", hidden: comment.hidden };
+  }
+
+  /**
+   * Hides a comment; allowed for the event organizer and admins
+   * @param {string} eventId - ID of the event
+   * @param {string} commentId - ID of the comment
+   * @param {Object} user - Authenticated user ({ userId, role })
+   * @returns {Promise<Object>} The updated comment
+   */
+  async hideComment(eventId, commentId, { userId, role }) {
+    const { event, comment } = await this.findComment(eventId, commentId);
+
+    if (role === "admin") {
+      // An admin decision resolves the pending reports
+      comment.hidden = true;
+      comment.hiddenBy = "admin";
+      comment.moderationStatus = "reviewed";
+      comment.reviewedAt = new Date();
+    } else {
+      // Organizers can only hide comments on their own events
+      if (event.userId.toString() !== userId) throw new Error("Access denied");
+      if (comment.hidden) throw new Error("Comment is already hidden");
+      comment.hidden = true;
+      comment.hiddenBy = "organizer";
+    }
+    await event.save();
+
+    return comment;
+  }
+
+  /**
+   * Shows a hidden comment again
+   * Admins can restore any comment; organizers only the ones they hid themselves
+   * @param {string} eventId - ID of the event
+   * @param {string} commentId - ID of the comment
+   * @param {Object} user - Authenticated user ({ userId, role })
+   * @returns {Promise<Object>} The updated comment
+   */
+  async restoreComment(eventId, commentId, { userId, role }) {
+    const { event, comment } = await this.findComment(eventId, commentId);
+
+    if (role === "admin") {
+      // Restoring also dismisses the pending reports
+      comment.moderationStatus = "reviewed";
+      comment.reviewedAt = new Date();
+    } else {
+      // Check if user is the event creator
+      if (event.userId.toString() !== userId) throw new Error("Access denied");
+      if (!comment.hidden) throw new Error("Comment is not hidden");
+      if (comment.hiddenBy !== "organizer")
+        throw new Error("Only an admin can restore this comment");
+    }
+    comment.hidden = false;
+    comment.hiddenBy = null;
+    await event.save();
+
+    return comment;
+  }
+
+  /**
+   * Deletes a reported comment as an admin decision
+   * @param {string} eventId - ID of the event
+   * @param {string} commentId - ID of the comment
+   * @returns {Promise<Object>} Success response
+   */
+  async deleteComment(eventId, commentId) {
+    const { event, comment } = await this.findComment(eventId, commentId);
+
+    // Deleting settles the reports, so a placeholder left for replies leaves the queue
+    comment.moderationStatus = "reviewed";
+    comment.reviewedAt = new Date();
+
+    // Remove the comment, keeping a placeholder if it has replies
+    removeComment(event.comments, comment);
+    await event.save();
+
+    return { message: "Comment deleted" };
+  }
+
+  /**
+   * Lists comments waiting for admin review, most reported first
+   * @param {Object} options - Query parameters (limit)
+   * @returns {Promise<Array>} Queue entries with the comment and its reports
+   */
+  async getQueue({ limit }) {
+    return await this.eventRepository.findReportedComments(parseLimit(limit));
+  }
+}
@@ -0,0 +1,180 @@
+// Import EventRepository for seat accounting on events
+import { EventRepository } from "../repositories/eventRepository.js";
+
+// Import RegistrationRepository for RSVP and waitlist storage
+import { RegistrationRepository } from "../repositories/registrationRepository.js";
+
+// MongoDB error code raised when a unique index is violated
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Service class for handling business logic related to RSVPs and waitlists
+export class RegistrationService {
+  constructor() {
+    // Initialize repositories for database interactions
+    this.eventRepository = new EventRepository();
+    this.registrationRepository = new RegistrationRepository();
+  }
+
+  /**
+   * Registers a user for an event, or adds them to the waitlist if it is full
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the user registering
+   * @returns {Promise<Object>} Response with message, status and waitlist position
+   */
+  async rsvp(eventId, userId) {
+    // Fetch event by ID
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) throw new Error("Event not found");
+
+    // Only published events that have not ended yet accept RSVPs
+    // (events stay published until the organizer marks them completed)
+    if (event.status !== "published" || event.endsAt <= new Date())
+      throw new Error("This event is not open for RSVPs");
+
+    // Check if user already has an active registration
+    const existing = await this.registrationRepository.findByEventAndUser(
+      eventId,
+      userId
+    );
+    if (existing && existing.status !== "cancelled")
+      throw new Error("You have already RSVPed to this event");
+
+    // Try to take a seat atomically; fall back to the waitlist when full
+    const seated = await this.eventRepository.reserveSeat(eventId);
+    const status = seated ? "confirmed" : "waitlisted";
+
+    let registration;
+    try {
+      registration = await this.registrationRepository.activate(
+        eventId,
+        userId,
+        status
+      );
+    } catch (err) {
+      // Give the seat back if the registration could not be stored
+      if (seated) {
+        await this.eventRepository.releaseSeat(eventId);
+        await this.fillFreedSeats(eventId);
+      }
+      if (err.code === DUPLICATE_KEY_ERROR)
+        throw new Error("You have already RSVPed to this event");
+      throw err;
+    }
+
+    if (status === "confirmed") {
+      return { message: "RSVP confirmed", status };
+    }
+
+    // Tell waitlisted users where they stand
+    const ahead = await this.registrationRepository.countWaitlistedBefore(
+      eventId,
+      registration
+    );
+    return {
+      message: "Event is full, you have been added to the waitlist",
+      status,
+      waitlistPosition: ahead + 1,
+    };
+  }
+
+  /**
+   * Cancels a user's RSVP and promotes the waitlist if a seat was freed
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the user cancelling
+   * @returns {Promise<Object>} Response with success message
+   */
+  async cancelRsvp(eventId, userId) {
+    // Cancel the active registration
+    const previous = await this.registrationRepository.cancel(eventId, userId);
+    if (!previous) throw new Error("You have not RSVPed to this event");
+
+    // Free the seat and hand it to the next person on the waitlist
+    if (previous.status === "confirmed") {
+      await this.eventRepository.releaseSeat(eventId);
+      await this.fillFreedSeats(eventId);
+    }
+
+    return { message: "RSVP cancelled" };
+  }
+
+  /**
+   * Retrieves the authenticated user's RSVP status for an event
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} Status and waitlist position (if waitlisted)
+   */
+  async getRsvpStatus(eventId, userId) {
+    const registration = await this.registrationRepository.findByEventAndUser(
+      eventId,
+      userId
+    );
+    if (!registration || registration.status === "cancelled") {
+      return { status: "not registered" };
+    }
+
+    if (registration.status === "waitlisted") {
+      const ahead = await this.registrationRepository.countWaitlistedBefore(
+        eventId,
+        registration
+      );
+      return { status: registration.status, waitlistPosition: ahead + 1 };
+    }
+
+    return { status: registration.status };
+  }
+
+  /**
+   * Promotes waitlisted users while the event has free seats
+   * Seats are reserved before promoting, so promotions can never oversell
+   * @param {string} eventId - ID of the event
+   * @returns {Promise<number>} Number of promoted users
+   */
+  async fillFreedSeats(eventId) {
+    let promoted = 0;
+    while (await this.eventRepository.reserveSeat(eventId)) {
+      const next = await this.registrationRepository.promoteNext(eventId);
+      if (!next) {
+        // Nobody is waiting; return the seat we just took
+        await this.eventRepository.releaseSeat(eventId);
+        break;
+      }
+      promoted++;
+    }
+    return promoted;
+  }
+
+  /**
+   * Lists confirmed attendees and the waitlist (event organizer only)
+   * @param {string} eventId - ID of the event
+   * @param {string} userId - ID of the requesting organizer
+   * @returns {Promise<Object>} Capacity summary, attendees and waitlist
+   */
+  async getAttendees(eventId, userId) {
+    // Fetch event by ID
+    const event = await this.eventRepository.findById(eventId);
+    if (!event) throw new Error("Event not found");
+
+    // Check if user is the event creator
+    if (event.userId.toString() !== userId) throw new Error("Access denied");
+
+    const [confirmed, waitlisted] = await Promise.all([
+      this.registrationRepository.findByEvent(eventId, "confirmed"),
+      this.registrationRepository.findByEvent(eventId, "waitlisted"),
+    ]);
+
+    return {
+      capacity: event.capacity,
+      attendeeCount: event.attendeeCount,
+      attendees: confirmed.map((r) => ({
+        userId: r.userId,
+        registeredAt: r.registeredAt,
+        promotedAt: r.promotedAt,
+      })),
+      waitlist: waitlisted.map((r, i) => ({
+        userId: r.userId,
+        position: i + 1,
+        registeredAt: r.registeredAt,
+      })),
+    };
+  }
+}
@@ -0,0 +1,593 @@
+// Import repositories for series, occurrences and their RSVPs
+import { SeriesRepository } from "../repositories/seriesRepository.js";
+import { EventRepository } from "../repositories/eventRepository.js";
+import { RegistrationRepository } from "../repositories/registrationRepository.js";
+import { SessionRepository } from "../repositories/sessionRepository.js";
+
+// Import RegistrationService to fill seats after capacity changes
+import { RegistrationService } from "./registrationService.js";
+
+// Import MediaService to clean up images of removed occurrences
+import { MediaService } from "./mediaService.js";
+
+// Import recurrence rule helpers
+import { normalizeRecurrence, expandOccurrences } from "../utils/recurrence.js";
+
+// Import lifecycle status rules
+import { STATUS_TRANSITIONS, buildStatusUpdate } from "../utils/eventStatus.js";
+
+// Import schedule resolution for start, end and time zone changes
+import { resolveSchedule } from "../utils/schedule.js";
+import { DEFAULT_TIME_ZONE } from "../utils/timeZone.js";
+
+// Occurrences are kept created this many days ahead of today
+const DEFAULT_HORIZON_DAYS = 90;
+
+// Requested windows never create occurrences further ahead than this
+const MAX_HORIZON_DAYS = 730;
+
+// Series are only extended once their horizon is this many days short of the
+// default, so listing events does not write to every series on every request
+const EXTEND_SLACK_DAYS = 7;
+
+// Statuses a whole series can be moved to; completion is per occurrence
+const SERIES_STATUSES = ["published", "cancelled", "postponed"];
+
+// Event fields that belong to the series rather than to one occurrence
+const SERIES_FIELDS = [
+  "startsAt",
+  "endsAt",
+  "durationMinutes",
+  "recurrence",
+  "exceptionDates",
+];
+
+// Request fields that change the schedule of a series
+const SCHEDULE_FIELDS = ["startsAt", "endsAt", "durationMinutes", "timeZone"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reason shown on occurrences a series edit removed from the schedule
+const RESCHEDULE_REASON = "No longer part of the series schedule";
+
+// Reason shown on occurrences cancelled without one
+const DEFAULT_CANCEL_REASON = "Cancelled by the organizer";
+
+/**
+ * Validates a list of exception dates
+ * @param {Array} dates - Raw exception dates from the request body
+ * @returns {Date[]} Parsed dates
+ * @throws {Error} If the list or any date is invalid
+ */
+function parseExceptionDates(dates) {
+  if (!Array.isArray(dates)) throw new Error("exceptionDates must be an array");
+  return dates.map((value) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime()))
+      throw new Error(`Invalid exception date: ${value}`);
+    return date;
+  });
+}
+
+/**
+ * Returns the time zone a series is evaluated in
+ * @param {Object} series - Series document
+ * @returns {string} IANA time zone
+ */
+function seriesTimeZone(series) {
+  return series.template.timeZone || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Checks whether a rule produces no occurrences after a date
+ * @param {Date} start - Series start (DTSTART)
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Date} date - Date occurrences have been created until
+ * @param {string} timeZone - IANA time zone of the series
+ * @returns {boolean} True if the UNTIL date has passed or COUNT is used up by the date
+ */
+function ruleEndsBy(start, rule, date, timeZone) {
+  if (rule.until) return rule.until <= date;
+  if (rule.count) {
+    // COUNT includes excepted dates, so expand without them
+    const produced = expandOccurrences(start, rule, { to: date, timeZone });
+    return produced.length >= rule.count;
+  }
+  return false;
+}
+
+/**
+ * Splits event data into the per-occurrence template and series-level fields
+ * @param {Object} data - Event data from the controller
+ * @returns {Object} Template fields
+ */
+function toTemplate(data) {
+  const template = { ...data };
+  for (const field of SERIES_FIELDS) delete template[field];
+  return template;
+}
+
+// Service class for handling business logic related to recurring events
+export class SeriesService {
+  constructor() {
+    // Initialize repositories for database interactions
+    this.seriesRepository = new SeriesRepository();
+    this.eventRepository = new EventRepository();
+    this.registrationRepository = new RegistrationRepository();
+    this.sessionRepository = new SessionRepository();
+
+    // Initialize RegistrationService instance for seat bookkeeping
+    this.registrationService = new RegistrationService();
+
+    // Initialize MediaService instance for image cleanup
+    this.mediaService = new MediaService();
+  }
+
+  /**
+   * Creates a recurring series and its upcoming occurrences
+   * @param {Object} eventData - Event data including the resolved schedule of the first occurrence and recurrence
+   * @param {string} userId - ID of the organizer creating the series
+   * @returns {Promise<Object>} The series and its created occurrences
+   */
+  async createSeries(eventData, userId) {
+    // The first occurrence defines the start and the duration of all occurrences
+    const start = eventData.startsAt;
+    const durationMinutes = (eventData.endsAt - start) / 60000;
+
+    // Validate the recurrence rule
+    const recurrence = normalizeRecurrence(eventData.recurrence);
+    const exceptionDates = parseExceptionDates(eventData.exceptionDates || []);
+
+    // Create occurrences from today up to the default horizon
+    const now = new Date();
+    const horizon = new Date(
+      Math.max(now.getTime() + DEFAULT_HORIZON_DAYS * DAY_MS, start.getTime())
+    );
+    const dates = expandOccurrences(start, recurrence, {
+      exceptionDates,
+      from: start > now ? start : now,
+      to: horizon,
+      timeZone: eventData.timeZone,
+    });
+    if (dates.length === 0) {
+      throw new Error(
+        `recurrence does not produce any occurrences in the next ${DEFAULT_HORIZON_DAYS} days`
+      );
+    }
+
+    // Store the series, then its occurrences as regular events
+    const series = await this.seriesRepository.create({
+      userId,
+      start,
+      durationMinutes,
+      recurrence,
+      exceptionDates,
+      template: toTemplate(eventData),
+      materializedUntil: horizon,
+      exhausted: ruleEndsBy(start, recurrence, horizon, eventData.timeZone),
+    });
+    const occurrences = await this.eventRepository.createMany(
+      dates.map((date) => this.buildOccurrence(series, date))
+    );
+
+    return { series, occurrences };
+  }
+
+  /**
+   * Builds the event document for one occurrence of a series
+   * @param {Object} series - Series document
+   * @param {Date} date - Occurrence start
+   * @returns {Object} Event data
+   */
+  buildOccurrence(series, date) {
+    return {
+      ...series.template,
+      userId: series.userId,
+      startsAt: date,
+      endsAt: new Date(date.getTime() + series.durationMinutes * 60000),
+      seriesId: series._id,
+      occurrenceDate: date,
+    };
+  }
+
+  /**
+   * Retrieves a series with its upcoming occurrences
+   * @param {string} seriesId - ID of the series
+   * @returns {Promise<Object>} The series and its upcoming occurrences
+   */
+  async getSeries(seriesId) {
+    const series = await this.seriesRepository.findById(seriesId);
+    if (!series) throw new Error("Series not found");
+
+    const occurrences = await this.eventRepository.findBySeries(seriesId, {
+      endsAt: { $gte: new Date() },
+    });
+    return { series, occurrences };
+  }
+
+  /**
+   * Makes sure occurrences of every series exist up to a date
+   * Called before listing events so that requested windows are fully expanded.
+   * Series are extended in batches: only once their horizon falls EXTEND_SLACK_DAYS
+   * behind the default (or short of a requested window), and then up to the full horizon
+   * @param {Date} [until] - End of the requested window (defaults to the standard horizon)
+   * @returns {Promise<void>}
+   */
+  async extendSeries(until) {
+    const now = Date.now();
+    const requested = until ? until.getTime() : 0;
+    const max = now + MAX_HORIZON_DAYS * DAY_MS;
+    const target = new Date(
+      Math.min(Math.max(now + DEFAULT_HORIZON_DAYS * DAY_MS, requested), max)
+    );
+    const needed = new Date(
+      Math.min(
+        Math.max(
+          now + (DEFAULT_HORIZON_DAYS - EXTEND_SLACK_DAYS) * DAY_MS,
+          requested
+        ),
+        max
+      )
+    );
+
+    const stale = await this.seriesRepository.findMaterializedBefore(needed);
+    for (const series of stale) {
+      // Claim the range first; a concurrent request that lost the race skips it
+      // Rules that end by the target are flagged so they are never extended again
+      const claimed = await this.seriesRepository.advanceMaterialized(
+        series._id,
+        series.materializedUntil,
+        target,
+        ruleEndsBy(
+          series.start,
+          series.recurrence,
+          target,
+          seriesTimeZone(series)
+        )
+      );
+      if (!claimed) continue;
+
+      const dates = expandOccurrences(series.start, series.recurrence, {
+        exceptionDates: series.exceptionDates,
+        from: new Date(series.materializedUntil.getTime() + 1),
+        to: target,
+        timeZone: seriesTimeZone(series),
+      });
+      if (dates.length > 0) {
+        await this.eventRepository.createMany(
+          dates.map((date) => this.buildOccurrence(series, date))
+        );
+      }
+    }
+  }
+
+  /**
+   * Updates a whole series: its rule, its template and all upcoming occurrences
+   * Occurrences that were edited on their own keep their individual changes;
+   * a new rule moves upcoming occurrences with their RSVPs, agendas and images
+   * @param {string} seriesId - ID of the series
+   * @param {string} userId - ID of the organizer updating the series
+   * @param {Object} updateData - Fields to update (event fields, startsAt, endsAt, durationMinutes, timeZone, recurrence, exceptionDates)
+   * @returns {Promise<Object>} The updated series and its upcoming occurrences
+   */
+  async updateSeries(seriesId, userId, updateData) {
+    // Fetch series by ID
+    const series = await this.seriesRepository.findById(seriesId);
+    if (!series) throw new Error("Series not found");
+
+    // Check if user is the series creator
+    if (series.userId.toString() !== userId) throw new Error("Access denied");
+
+    const now = new Date();
+    const templateChanges = toTemplate(updateData);
+    const seriesUpdate = {};
+    let durationMinutes;
+    let timeZone = seriesTimeZone(series);
+    let timeZoneChanged = false;
+
+    // Validate schedule changes against the current first occurrence
+    // (a new time zone is saved with the template changes)
+    if (SCHEDULE_FIELDS.some((field) => updateData[field] !== undefined)) {
+      const schedule = resolveSchedule(updateData, {
+        startsAt: series.start,
+        endsAt: new Date(
+          series.start.getTime() + series.durationMinutes * 60000
+        ),
+        timeZone: seriesTimeZone(series),
+      });
+      if (schedule.startsAt.getTime() !== series.start.getTime())
+        seriesUpdate.start = schedule.startsAt;
+      timeZoneChanged = schedule.timeZone !== timeZone;
+      timeZone = schedule.timeZone;
+      durationMinutes = (schedule.endsAt - schedule.startsAt) / 60000;
+      if (durationMinutes !== series.durationMinutes)
+        seriesUpdate.durationMinutes = durationMinutes;
+    }
+    if (updateData.recurrence !== undefined) {
+      seriesUpdate.recurrence = normalizeRecurrence(updateData.recurrence);
+    }
+    if (updateData.exceptionDates !== undefined) {
+      seriesUpdate.exceptionDates = parseExceptionDates(
+        updateData.exceptionDates
+      );
+    }
+    // A new time zone moves every occurrence, like a new rule
+    const ruleChanged =
+      timeZoneChanged ||
+      seriesUpdate.start !== undefined ||
+      seriesUpdate.recurrence !== undefined ||
+      seriesUpdate.exceptionDates !== undefined;
+
+    // A new rule may end earlier or later than the old one
+    if (ruleChanged) {
+      seriesUpdate.exhausted = ruleEndsBy(
+        seriesUpdate.start || series.start,
+        seriesUpdate.recurrence || series.recurrence,
+        series.materializedUntil,
+        timeZone
+      );
+    }
+
+    // Capacity cannot drop below the confirmed attendees of any upcoming occurrence
+    const upcomingFilter = { occurrenceDate: { $gte: now }, detached: false };
+    if (templateChanges.capacity !== undefined) {
+      const capacity = templateChanges.capacity;
+      if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1))
+        throw new Error("capacity must be a positive whole number or null");
+      const upcoming = await this.eventRepository.findBySeries(
+        seriesId,
+        upcomingFilter
+      );
+      const busiest = Math.max(0, ...upcoming.map((e) => e.attendeeCount));
+      if (capacity !== null && capacity < busiest)
+        throw new Error(
+          `capacity cannot be lower than the ${busiest} confirmed attendees of an upcoming occurrence`
+        );
+    }
+
+    // A shorter duration cannot cut agenda sessions of upcoming occurrences off
+    // (sessions keep their offset from the start, which moves with the rule)
+    if (
+      seriesUpdate.durationMinutes !== undefined &&
+      seriesUpdate.durationMinutes < series.durationMinutes
+    ) {
+      const upcoming = await this.eventRepository.findBySeries(
+        seriesId,
+        upcomingFilter
+      );
+      const starts = new Map(
+        upcoming.map((e) => [e._id.toString(), e.startsAt])
+      );
+      const sessions = await this.sessionRepository.findByEvents(
+        upcoming.map((e) => e._id)
+      );
+      const outside = sessions.find(
+        (s) =>
+          s.endsAt - starts.get(s.eventId.toString()) > durationMinutes * 60000
+      );
+      if (outside)
+        throw new Error(
+          `Session "${outside.title}" would fall outside the new occurrence times; move or delete it first`
+        );
+    }
+
+    // Save the new template and rule
+    for (const [field, value] of Object.entries(templateChanges)) {
+      seriesUpdate[`template.${field}`] = value;
+    }
+    const updated = await this.seriesRepository.update(seriesId, seriesUpdate);
+
+    // Move upcoming occurrences onto the new rule
+    if (ruleChanged) await this.syncOccurrences(updated, now);
+
+    // Move the end of upcoming occurrences when the duration changed
+    if (seriesUpdate.durationMinutes !== undefined) {
+      await this.eventRepository.setDurationBySeries(
+        seriesId,
+        upcomingFilter,
+        durationMinutes
+      );
+    }
+
+    // Apply template changes to upcoming occurrences that were not edited individually
+    if (Object.keys(templateChanges).length > 0) {
+      await this.eventRepository.updateBySeries(
+        seriesId,
+        upcomingFilter,
+        templateChanges
+      );
+    }
+
+    // Promote waitlisted users into seats a capacity increase opened up
+    if (templateChanges.capacity !== undefined) {
+      const upcoming = await this.eventRepository.findBySeries(
+        seriesId,
+        upcomingFilter
+      );
+      for (const occurrence of upcoming) {
+        await this.registrationService.fillFreedSeats(occurrence._id);
+      }
+    }
+
+    return await this.getSeries(seriesId);
+  }
+
+  /**
+   * Moves a whole series and its upcoming occurrences to a new lifecycle status
+   * Occurrences whose current status does not allow the transition are left as they are
+   * @param {string} seriesId - ID of the series
+   * @param {string} userId - ID of the organizer changing the status
+   * @param {string} status - Target status (published, cancelled, postponed)
+   * @param {string} [reason] - Reason shown to users
+   * @returns {Promise<Object>} The updated series and its upcoming occurrences
+   */
+  async changeSeriesStatus(seriesId, userId, status, reason) {
+    // Fetch series by ID
+    const series = await this.seriesRepository.findById(seriesId);
+    if (!series) throw new Error("Series not found");
+
+    // Check if user is the series creator
+    if (series.userId.toString() !== userId) throw new Error("Access denied");
+
+    if (!SERIES_STATUSES.includes(status))
+      throw new Error(`A series can only be moved to ${SERIES_STATUSES}`);
+
+    // Future occurrences are created from the template, so store the status there too
+    const update = buildStatusUpdate(status, reason);
+    await this.seriesRepository.update(seriesId, {
+      "template.status": update.status,
+      "template.statusReason": update.statusReason,
+    });
+
+    // Apply the transition to upcoming occurrences that allow it
+    await this.eventRepository.updateBySeries(
+      seriesId,
+      {
+        occurrenceDate: { $gte: new Date() },
+        status: { $in: STATUS_TRANSITIONS[status] },
+      },
+      update
+    );
+
+    return await this.getSeries(seriesId);
+  }
+
+  /**
+   * Aligns upcoming occurrences with the current rule of a series
+   * Occurrences on dates the rule still produces stay as they are; the others are
+   * shifted in order onto the new dates, keeping their RSVPs, comments and images.
+   * Occurrences left over are cancelled, and dates without an occurrence are created
+   * @param {Object} series - Series document (already updated)
+   * @param {Date} from - Only occurrences from this date on are touched
+   * @returns {Promise<void>}
+   */
+  async syncOccurrences(series, from) {
+    const wanted = expandOccurrences(series.start, series.recurrence, {
+      exceptionDates: series.exceptionDates,
+      from,
+      to: series.materializedUntil,
+      timeZone: seriesTimeZone(series),
+    });
+    const wantedTimes = new Set(wanted.map((d) => d.getTime()));
+
+    const existing = await this.eventRepository.findBySeries(series._id, {
+      occurrenceDate: { $gte: from },
+    });
+    const existingTimes = new Set(
+      existing.map((e) => e.occurrenceDate.getTime())
+    );
+
+    // Pair occurrences on dates the rule dropped with the dates it added, in order
+    const moved = existing
+      .filter((e) => !wantedTimes.has(e.occurrenceDate.getTime()))
+      .sort((a, b) => a.occurrenceDate - b.occurrenceDate);
+    const missing = wanted.filter((d) => !existingTimes.has(d.getTime()));
+    const shifts = Math.min(moved.length, missing.length);
+
+    // Shift paired occurrences and their agendas; individually edited times move
+    // by the same amount (new dates are never held by another occurrence, so the
+    // unique index holds)
+    for (let i = 0; i < shifts; i++) {
+      const occurrence = moved[i];
+      const delta = missing[i] - occurrence.occurrenceDate;
+      await this.eventRepository.update(occurrence._id, {
+        occurrenceDate: missing[i],
+        startsAt: new Date(occurrence.startsAt.getTime() + delta),
+        endsAt: new Date(occurrence.endsAt.getTime() + delta),
+      });
+      await this.sessionRepository.shiftByEvent(occurrence._id, delta);
+    }
+
+    // Cancel occurrences the rule no longer has a date for
+    if (moved.length > shifts) {
+      await this.cancelOccurrences(
+        series._id,
+        moved.slice(shifts),
+        RESCHEDULE_REASON
+      );
+    }
+
+    // Create occurrences for the remaining new dates
+    if (missing.length > shifts) {
+      await this.eventRepository.createMany(
+        missing.slice(shifts).map((date) => this.buildOccurrence(series, date))
+      );
+    }
+  }
+
+  /**
+   * Cancels occurrences of a series and records their dates as exceptions,
+   * so they are never re-created; RSVPs, comments and images are kept
+   * @param {string} seriesId - ID of the series
+   * @param {Array} occurrences - Occurrence event documents
+   * @param {string} reason - Reason shown to users
+   * @returns {Promise<void>}
+   */
+  async cancelOccurrences(seriesId, occurrences, reason) {
+    await this.seriesRepository.addExceptionDates(
+      seriesId,
+      occurrences.map((e) => e.occurrenceDate)
+    );
+
+    // Occurrences that are already cancelled or completed keep their status
+    await this.eventRepository.updateBySeries(
+      seriesId,
+      {
+        _id: { $in: occurrences.map((e) => e._id) },
+        status: { $in: STATUS_TRANSITIONS.cancelled },
+      },
+      buildStatusUpdate("cancelled", reason)
+    );
+  }
+
+  /**
+   * Cancels a single occurrence of a series
+   * The occurrence stays visible as cancelled with its RSVPs, comments and images,
+   * and its date is recorded as an exception so it is never re-created
+   * @param {Object} event - Occurrence event document
+   * @param {string} [reason] - Reason shown to users
+   * @returns {Promise<Object>} Success response
+   * @throws {Error} If the occurrence is already completed
+   */
+  async cancelOccurrence(event, reason) {
+    if (event.status === "completed")
+      throw new Error("Cannot change status from completed to cancelled");
+
+    await this.cancelOccurrences(
+      event.seriesId,
+      [event],
+      typeof reason === "string" && reason.trim() !== ""
+        ? reason
+        : DEFAULT_CANCEL_REASON
+    );
+    return { ok: true };
+  }
+
+  /**
+   * Deletes a series with all of its occurrences
+   * @param {string} seriesId - ID of the series
+   * @param {string} userId - ID of the organizer deleting the series
+   * @returns {Promise<Object>} Success response with the number of deleted occurrences
+   */
+  async deleteSeries(seriesId, userId) {
+    // Fetch series by ID
+    const series = await this.seriesRepository.findById(seriesId);
+    if (!series) throw new Error("Series not found");
+
+    // Check if user is the series creator
+    if (series.userId.toString() !== userId) throw new Error("Access denied");
+
+    // Delete occurrences, their RSVPs and agendas, and the series itself
+    const occurrences = await this.eventRepository.findBySeries(seriesId);
+    const ids = occurrences.map((e) => e._id);
+    await this.eventRepository.deleteMany(ids);
+    await this.registrationRepository.deleteByEvents(ids);
+    await this.sessionRepository.deleteByEvents(ids);
+    await this.seriesRepository.delete(seriesId);
+    for (const occurrence of occurrences) {
+      await this.mediaService.deleteEventMedia(occurrence);
+    }
+
+    return { ok: true, deletedOccurrences: ids.length };
+  }
+}
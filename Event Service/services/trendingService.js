@@ -0,0 +1,61 @@
+// Import repositories for engagement records and events
+import { EngagementRepository } from "../repositories/engagementRepository.js";
+import { EventRepository } from "../repositories/eventRepository.js";
+
+// Contribution of each engagement type to the trending score
+// Unlikes cancel the like they revert
+const WEIGHTS = { view: 1, like: 3, unlike: -3, comment: 5 };
+
+// A contribution is halved every HALF_LIFE_HOURS and ignored after WINDOW_DAYS
+const HALF_LIFE_HOURS = 24;
+const WINDOW_DAYS = 7;
+
+// Default interval between recomputations
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Service class for precomputing trending scores
+export class TrendingService {
+  constructor() {
+    // Initialize repositories for database interactions
+    this.engagementRepository = new EngagementRepository();
+    this.eventRepository = new EventRepository();
+  }
+
+  /**
+   * Recomputes the trending score of every event from recent engagement
+   * @returns {Promise<number>} Number of events with a positive score
+   */
+  async refreshScores() {
+    const now = new Date();
+    const scores = await this.engagementRepository.scoreSince({
+      since: new Date(now.getTime() - WINDOW_DAYS * 24 * 60 * 60 * 1000),
+      now,
+      weights: WEIGHTS,
+      halfLifeHours: HALF_LIFE_HOURS,
+    });
+
+    // Negative totals (more unlikes than engagement) count as not trending
+    const positive = scores
+      .filter((s) => s.score > 0)
+      .map((s) => ({ eventId: s.eventId, score: Number(s.score.toFixed(4)) }));
+    await this.eventRepository.setTrendingScores(positive);
+
+    return positive.length;
+  }
+
+  /**
+   * Recomputes scores now and then every TRENDING_INTERVAL_MINUTES (default 15)
+   * @returns {NodeJS.Timeout} The interval handle
+   */
+  start() {
+    const minutes =
+      Number(process.env.TRENDING_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+    const run = () =>
+      this.refreshScores().catch((err) =>
+        console.error("Failed to refresh trending scores:", err.message)
+      );
+    run();
+    return setInterval(run, minutes * 60 * 1000);
+  }
+}
@@ -0,0 +1,297 @@
+// Import mongoose to validate venue IDs sent with events
+import mongoose from "mongoose";
+
+// Import repositories for venues and the events and series linked to them
+import { VenueRepository } from "../repositories/venueRepository.js";
+import { EventRepository } from "../repositories/eventRepository.js";
+import { SeriesRepository } from "../repositories/seriesRepository.js";
+
+// Import the builder for stored locations
+import { buildLocation } from "../utils/geocoder.js";
+
+// Import helpers for search filters and page sizes
+import { escapeRegExp } from "../utils/tags.js";
+import { parseLimit } from "../utils/pagination.js";
+
+// Yes/no accessibility features of a venue
+const ACCESSIBILITY_FLAGS = [
+  "wheelchairAccessible",
+  "stepFreeEntrance",
+  "accessibleRestrooms",
+  "hearingLoop",
+];
+
+// Contact details of a venue
+const CONTACT_FIELDS = ["name", "email", "phone", "website"];
+
+// Statuses of events that still move with their venue
+const MOVABLE_STATUSES = ["draft", "published", "postponed"];
+
+/**
+ * Checks that a value is a plain object (not an array or null)
+ * @param {*} value - Value from the request body
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Reads the editable fields of a venue from a request body
+ * Nested fields are returned as dotted paths, so updates only change the fields sent
+ * @param {Object} data - Request body ({ name, capacity, accessibility, contact })
+ * @returns {Object} Fields by path (e.g., { name: "Wankhede Stadium", "accessibility.hearingLoop": true })
+ * @throws {Error} If a field has the wrong type
+ */
+function readVenueFields({ name, capacity, accessibility, contact }) {
+  const fields = {};
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || name.trim() === "")
+      throw new Error("name must be a non-empty string");
+    fields.name = name.trim();
+  }
+
+  // null means the capacity is unknown
+  if (capacity !== undefined) {
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1))
+      throw new Error("capacity must be a positive whole number or null");
+    fields.capacity = capacity;
+  }
+
+  if (accessibility !== undefined) {
+    if (!isPlainObject(accessibility))
+      throw new Error("accessibility must be an object");
+    for (const [key, value] of Object.entries(accessibility)) {
+      if (ACCESSIBILITY_FLAGS.includes(key)) {
+        if (typeof value !== "boolean")
+          throw new Error(`accessibility.${key} must be true or false`);
+      } else if (key === "notes") {
+        if (typeof value !== "string")
+          throw new Error("accessibility.notes must be a string");
+      } else {
+        throw new Error(`Unknown accessibility field: ${key}`);
+      }
+      fields[`accessibility.${key}`] = value;
+    }
+  }
+
+  if (contact !== undefined) {
+    if (!isPlainObject(contact)) throw new Error("contact must be an object");
+    for (const [key, value] of Object.entries(contact)) {
+      if (!CONTACT_FIELDS.includes(key))
+        throw new Error(`Unknown contact field: ${key}`);
+      if (typeof value !== "string")
+        throw new Error(`contact.${key} must be a string`);
+      fields[`contact.${key}`] = value;
+    }
+  }
+
+  return fields;
+}
+
+// Service class for handling business logic related to venues
+export class VenueService {
+  constructor() {
+    // Initialize repositories for database interactions
+    this.venueRepository = new VenueRepository();
+    this.eventRepository = new EventRepository();
+    this.seriesRepository = new SeriesRepository();
+  }
+
+  /**
+   * Creates a venue, or returns the venue already registered for the same place
+   * @param {Object} data - Venue data ({ name, capacity, accessibility, contact })
+   * @param {Object} geocodedLocation - Result of geocoding the venue's address or map pin
+   * @param {string} userId - ID of the organizer creating the venue
+   * @returns {Promise<Object>} { venue, created } (created is false for duplicates)
+   * @throws {Error} If a field is invalid
+   */
+  async createVenue(data, geocodedLocation, userId) {
+    const fields = readVenueFields(data);
+    if (!fields.name) throw new Error("name is required");
+
+    // The same place is registered once, whoever registers it
+    const { placeId } = geocodedLocation;
+    if (placeId) {
+      const existing = await this.venueRepository.findByPlaceId(placeId);
+      if (existing) return { venue: existing, created: false };
+    }
+
+    try {
+      const venue = await this.venueRepository.create({
+        ...fields,
+        city: geocodedLocation.city,
+        location: buildLocation(geocodedLocation),
+        createdBy: userId,
+      });
+      return { venue, created: true };
+    } catch (err) {
+      // Another request registered the place in the meantime
+      if (err.code === 11000 && placeId) {
+        const existing = await this.venueRepository.findByPlaceId(placeId);
+        if (existing) return { venue: existing, created: false };
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Lists venues sorted by name
+   * @param {Object} query - Query parameters
+   * @param {string} [query.q] - Only venues whose name contains this text
+   * @param {string} [query.city] - Only venues in this city
+   * @param {string} [query.limit] - Maximum number of venues (default 20, max 100)
+   * @returns {Promise<Array>} Venue documents
+   */
+  async listVenues({ q, city, limit }) {
+    const filter = {};
+    if (q) filter.name = { $regex: escapeRegExp(q), $options: "i" };
+    if (city)
+      filter.city = { $regex: `^${escapeRegExp(city)}$`, $options: "i" };
+    return await this.venueRepository.findAll(filter, parseLimit(limit));
+  }
+
+  /**
+   * Retrieves a venue by ID
+   * @param {string} id - ID of the venue
+   * @returns {Promise<Object>} The venue document
+   * @throws {Error} If the venue does not exist
+   */
+  async getVenue(id) {
+    if (!mongoose.isValidObjectId(id)) throw new Error("Venue not found");
+    const venue = await this.venueRepository.findById(id);
+    if (!venue) throw new Error("Venue not found");
+    return venue;
+  }
+
+  /**
+   * Returns the fields an event takes from its venue
+   * @param {string} id - ID of the venue
+   * @returns {Promise<Object>} Event fields ({ venueId, city, location })
+   * @throws {Error} If the venue does not exist
+   */
+  async getEventPlace(id) {
+    const venue = await this.getVenue(id);
+    return {
+      venueId: venue._id,
+      city: venue.city,
+      location: venue.toObject().location,
+    };
+  }
+
+  /**
+   * Updates a venue created by the user
+   * A new address or map pin moves the user's upcoming events and series at the venue;
+   * events that are over, cancelled or completed keep their location and leave the venue.
+   * The location cannot change while other organizers' upcoming events or series use the venue
+   * @param {string} id - ID of the venue
+   * @param {string} userId - ID of the organizer
+   * @param {Object} data - Fields to change ({ name, capacity, accessibility, contact })
+   * @param {Object} [geocodedLocation] - Result of geocoding a new address or map pin
+   * @returns {Promise<Object>} The updated venue document
+   * @throws {Error} If the venue does not exist, belongs to someone else, a field is
+   * invalid, other organizers use it or another venue is registered at the new place
+   */
+  async updateVenue(id, userId, data, geocodedLocation) {
+    const venue = await this.getVenue(id);
+    if (venue.createdBy.toString() !== userId) throw new Error("Access denied");
+
+    const update = readVenueFields(data);
+    let place = null;
+    if (geocodedLocation) {
+      // Moving onto a place another venue holds would create a duplicate
+      const { placeId } = geocodedLocation;
+      if (placeId) {
+        const existing = await this.venueRepository.findByPlaceId(placeId);
+        if (existing && !existing._id.equals(venue._id))
+          throw new Error(`Venue ${existing._id} already exists at this place`);
+      }
+
+      // Other organizers chose the venue for their events; never move those.
+      // Occurrences already created are events; series only count while their
+      // rule can still create upcoming ones
+      const now = new Date();
+      const others = { userId: { $ne: venue.createdBy } };
+      const [otherEvents, otherSeries] = await Promise.all([
+        this.eventRepository.count({
+          ...others,
+          venueId: venue._id,
+          endsAt: { $gte: now },
+          status: { $in: MOVABLE_STATUSES },
+        }),
+        this.seriesRepository.countByVenue(venue._id, {
+          ...others,
+          exhausted: { $ne: true },
+          "template.status": { $ne: "cancelled" },
+          $or: [
+            { "recurrence.until": null },
+            { "recurrence.until": { $gte: now } },
+          ],
+        }),
+      ]);
+      if (otherEvents > 0 || otherSeries > 0)
+        throw new Error(
+          "Venue location cannot change while other organizers' events use it"
+        );
+
+      place = {
+        city: geocodedLocation.city,
+        location: buildLocation(geocodedLocation),
+      };
+      Object.assign(update, place);
+    }
+
+    const updated = await this.venueRepository.update(id, { $set: update });
+
+    if (place) {
+      // Events that already took place or were called off stay where they were
+      const now = new Date();
+      await this.eventRepository.updateByVenue(
+        venue._id,
+        {
+          $or: [
+            { endsAt: { $lt: now } },
+            { status: { $nin: MOVABLE_STATUSES } },
+          ],
+        },
+        { venueId: null }
+      );
+
+      // The user's upcoming events and series move with the venue
+      await this.eventRepository.updateByVenue(
+        venue._id,
+        { userId: venue.createdBy },
+        place
+      );
+      await this.seriesRepository.updateTemplatesByVenue(
+        venue._id,
+        { userId: venue.createdBy },
+        place
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Deletes a venue created by the user if no event takes place there
+   * @param {string} id - ID of the venue
+   * @param {string} userId - ID of the organizer
+   * @returns {Promise<Object>} Success message
+   * @throws {Error} If the venue does not exist, belongs to someone else or has events
+   */
+  async deleteVenue(id, userId) {
+    const venue = await this.getVenue(id);
+    if (venue.createdBy.toString() !== userId) throw new Error("Access denied");
+
+    const events = await this.eventRepository.count({ venueId: venue._id });
+    if (events > 0)
+      throw new Error(
+        `Venue is used by ${events} events; move them to another venue or address first`
+      );
+
+    await this.venueRepository.delete(id);
+    return { message: "Venue deleted" };
+  }
+}
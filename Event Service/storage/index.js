@@ -0,0 +1,30 @@
+// Import the available media storage implementations
+import { LocalDiskStorage } from "./localDiskStorage.js";
+
+// Storage implementations by MEDIA_STORAGE value
+const STORAGE_DRIVERS = {
+  local: () =>
+    new LocalDiskStorage({
+      root: process.env.MEDIA_ROOT || "uploads",
+      baseUrl: process.env.MEDIA_BASE_URL || "/api/events/media",
+    }),
+};
+
+// Storage instance shared by the whole service, created on first use
+let storage = null;
+
+/**
+ * Returns the configured media storage
+ * Other backends (e.g., S3) can be added to STORAGE_DRIVERS with the same interface
+ * @returns {Object} Storage implementation (see LocalDiskStorage)
+ * @throws {Error} If MEDIA_STORAGE names an unknown driver
+ */
+export function getStorage() {
+  if (!storage) {
+    const driver = process.env.MEDIA_STORAGE || "local";
+    if (!STORAGE_DRIVERS[driver])
+      throw new Error(`Unknown media storage driver: ${driver}`);
+    storage = STORAGE_DRIVERS[driver]();
+  }
+  return storage;
+}
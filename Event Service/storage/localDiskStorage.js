@@ -0,0 +1,69 @@
+// Import Node.js file system and path helpers
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Media storage that writes files to a local directory
+ * Files are served by the Event Service itself under the configured base URL
+ *
+ * Every storage implementation exposes the same methods:
+ * - save(key, buffer, contentType) stores a file and resolves to its public URL
+ * - delete(key) removes a file (missing files are ignored)
+ * - url(key) returns the public URL of a stored file
+ */
+export class LocalDiskStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.root - Directory files are written to
+   * @param {string} options.baseUrl - Public URL prefix the directory is served under
+   */
+  constructor({ root, baseUrl }) {
+    this.root = path.resolve(root);
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  /**
+   * Resolves a storage key to a path inside the root directory
+   * @param {string} key - Storage key (e.g., "events/<eventId>/<imageId>/thumbnail.webp")
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key points outside the root directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep))
+      throw new Error("Invalid storage key");
+    return filePath;
+  }
+
+  /**
+   * Stores a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} _contentType - MIME type (implied by the file extension on disk)
+   * @returns {Promise<string>} Public URL of the file
+   */
+  async save(key, buffer, _contentType) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return this.url(key);
+  }
+
+  /**
+   * Deletes a file; missing files are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * Returns the public URL of a file
+   * @param {string} key - Storage key
+   * @returns {string} Public URL
+   */
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
@@ -0,0 +1,91 @@
+// Supported comment reactions mapped to the emoji they display as
+export const REACTIONS = {
+  like: "👍",
+  love: "❤️",
+  laugh: "😂",
+  wow: "😮",
+  sad: "😢",
+  celebrate: "🎉",
+};
+
+// Reasons a comment can be reported for
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate",
+  "misinformation",
+  "off_topic",
+  "other",
+];
+
+// Deepest allowed reply level (top-level comments are level 0)
+export const MAX_COMMENT_DEPTH = 3;
+
+/**
+ * Counts the reactions of a comment per reaction name
+ * @param {Array} reactions - Reaction subdocuments ({ userId, reaction })
+ * @returns {Object} Counts keyed by reaction name (only reactions that were used)
+ */
+export function countReactions(reactions) {
+  const counts = {};
+  for (const { reaction } of reactions) {
+    counts[reaction] = (counts[reaction] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Arranges the flat comment list of an event into threads
+ * @param {Array} comments - Comment subdocuments in creation order
+ * @returns {Array} Top-level comments, each with nested `replies` and `reactionCounts`
+ */
+export function buildCommentTree(comments) {
+  const nodes = new Map();
+  const roots = [];
+
+  // Copy each comment into a plain object with an empty reply list
+  for (const comment of comments) {
+    const node = comment.toJSON ? comment.toJSON() : { ...comment };
+    node.reactionCounts = countReactions(node.reactions || []);
+    node.replies = [];
+    nodes.set(node._id.toString(), node);
+  }
+
+  // Attach replies to their parents; orphans are shown at the top level
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId.toString());
+    if (parent) parent.replies.push(node);
+    else roots.push(node);
+  }
+
+  return roots;
+}
+
+/**
+ * Removes a comment from the comment list of an event
+ * A comment that still has replies is kept as a "deleted" placeholder so the
+ * thread stays readable; placeholders left without replies are removed too
+ * @param {Array} comments - Comment subdocument array of the event
+ * @param {Object} comment - Comment subdocument to remove
+ */
+export function removeComment(comments, comment) {
+  const hasReplies = (c) =>
+    comments.some((r) => r.parentId?.toString() === c._id.toString());
+
+  if (hasReplies(comment)) {
+    comment.deleted = true;
+    comment.text = "";
+    comment.reactions = [];
+    return;
+  }
+
+  // Remove the comment, then walk up removing orphaned placeholders
+  let parentId = comment.parentId;
+  comment.deleteOne();
+  let parent = parentId && comments.id(parentId);
+  while (parent && parent.deleted && !hasReplies(parent)) {
+    parentId = parent.parentId;
+    parent.deleteOne();
+    parent = parentId && comments.id(parentId);
+  }
+}
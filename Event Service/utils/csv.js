@@ -0,0 +1,62 @@
+/**
+ * Parses CSV text (RFC 4180) into records keyed by the header row
+ * Supports quoted fields with commas, line breaks and doubled quotes ("");
+ * blank lines are skipped
+ * @param {string} text - CSV contents; the first non-blank line is the header
+ * @returns {Object} Parsed file ({ headers, records }); every record maps each header to its cell
+ * @throws {Error} If a quoted field is not closed or a line has more cells than the header
+ */
+export function parseCsv(text) {
+  // Drop the byte order mark spreadsheet programs add to UTF-8 exports
+  const input = text.replace(/^﻿/, "");
+
+  const lines = [];
+  let line = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (input[i + 1] === '"') {
+        // Doubled quote inside a quoted field
+        cell += '"';
+        i++;
+      } else quoted = false;
+    } else if (char === '"' && cell === "") quoted = true;
+    else if (char === ",") {
+      line.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      // Treat \r\n as a single line break
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      line.push(cell);
+      lines.push(line);
+      line = [];
+      cell = "";
+    } else cell += char;
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  line.push(cell);
+  lines.push(line);
+
+  // Skip blank lines (including the one after a trailing line break)
+  const rows = lines.filter((l) => l.length > 1 || l[0].trim() !== "");
+  if (rows.length === 0) return { headers: [], records: [] };
+
+  const headers = rows[0].map((h) => h.trim());
+  const records = rows.slice(1).map((cells, index) => {
+    if (cells.length > headers.length)
+      throw new Error(
+        `CSV row ${index + 1} has ${cells.length} cells but the header has ${
+          headers.length
+        }`
+      );
+    // Missing trailing cells are read as empty
+    return Object.fromEntries(headers.map((h, i) => [h, cells[i] ?? ""]));
+  });
+
+  return { headers, records };
+}
@@ -0,0 +1,133 @@
+// Import time zone helpers for calendar boundaries
+import { parseDateTime, zonedParts, zonedTime } from "./timeZone.js";
+
+// Named windows accepted by the timeRange filter
+export const TIME_RANGES = [
+  "today",
+  "tomorrow",
+  "thisWeekend",
+  "nextWeek",
+  "thisMonth",
+  "last24h",
+  "lastWeek",
+  "lastMonth",
+  "lastYear",
+];
+
+// Names are matched case-insensitively ("thisweekend" works too)
+const TIME_RANGES_BY_KEY = new Map(
+  TIME_RANGES.map((name) => [name.toLowerCase(), name])
+);
+
+// Plain dates ("2025-01-10") select whole days
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolves a named time range into a window in a time zone
+ * Calendar windows (days, weeks starting Monday, months, years) follow the
+ * local calendar; backward-looking windows are relative to now
+ * @param {string} timeRange - Range name (see TIME_RANGES)
+ * @param {string} timeZone - IANA time zone of the requester
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Window ({ from, to? }); to is exclusive and missing for open-ended windows
+ * @throws {Error} If the range name is unknown
+ */
+export function resolveTimeRange(timeRange, timeZone, now = new Date()) {
+  const name =
+    typeof timeRange === "string" &&
+    TIME_RANGES_BY_KEY.get(timeRange.toLowerCase());
+  if (!name)
+    throw new Error(`timeRange must be one of ${TIME_RANGES.join(", ")}`);
+
+  // Midnight of a day relative to today, in the requester's time zone
+  const { year, month, day } = zonedParts(now, timeZone);
+  const midnight = (days) =>
+    zonedTime({ year, month, day: day + days }, timeZone);
+  const firstOfMonth = (months) =>
+    zonedTime({ year, month: month + months, day: 1 }, timeZone);
+
+  // Days since Monday (weeks start on Monday)
+  const weekday = (new Date(Date.UTC(year, month, day)).getUTCDay() + 6) % 7;
+
+  switch (name) {
+    case "today":
+      return { from: midnight(0), to: midnight(1) };
+    case "tomorrow":
+      return { from: midnight(1), to: midnight(2) };
+    case "thisWeekend":
+      // Saturday and Sunday of the current week (today when it is the weekend)
+      return { from: midnight(5 - weekday), to: midnight(7 - weekday) };
+    case "nextWeek":
+      return { from: midnight(7 - weekday), to: midnight(14 - weekday) };
+    case "thisMonth":
+      return { from: firstOfMonth(0), to: firstOfMonth(1) };
+    case "last24h":
+      return { from: new Date(now.getTime() - DAY_MS) };
+    case "lastWeek":
+      return { from: new Date(now.getTime() - 7 * DAY_MS) };
+    case "lastMonth":
+      return { from: zonedTime({ year, month: month - 1, day }, timeZone) };
+    default:
+      // lastYear: the previous calendar year
+      return {
+        from: zonedTime({ year: year - 1, month: 0, day: 1 }, timeZone),
+        to: zonedTime({ year, month: 0, day: 1 }, timeZone),
+      };
+  }
+}
+
+/**
+ * Parses one boundary of an explicit date range
+ * @param {string} value - Date ("2025-01-10") or date-time, with or without offset
+ * @param {string} name - Parameter name used in error messages
+ * @param {string} timeZone - IANA time zone for values without an offset
+ * @param {boolean} endOfDay - For plain dates, return the end of the day instead of its start
+ * @returns {Date} The boundary
+ * @throws {Error} If the value cannot be parsed
+ */
+function parseBoundary(value, name, timeZone, endOfDay) {
+  if (typeof value !== "string" || value.trim() === "")
+    throw new Error(`${name} must be a date (YYYY-MM-DD) or date-time`);
+
+  // Plain dates cover the whole day, so "to=2025-01-10" includes that day
+  const match = value.match(DATE_ONLY);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    const date = zonedTime(
+      { year, month: month - 1, day: day + (endOfDay ? 1 : 0) },
+      timeZone
+    );
+    // Reject values that rolled over, such as 2025-02-30
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day)
+      throw new Error(`${name} is not a valid date`);
+    return date;
+  }
+
+  const date = parseDateTime(value, timeZone);
+  if (isNaN(date.getTime()))
+    throw new Error(`${name} must be a date (YYYY-MM-DD) or date-time`);
+  return date;
+}
+
+/**
+ * Resolves explicit from/to query parameters into a window
+ * @param {Object} range - Query parameters
+ * @param {string} [range.from] - Window start (plain dates start at local midnight)
+ * @param {string} [range.to] - Window end (plain dates include the whole day)
+ * @param {string} timeZone - IANA time zone of the requester
+ * @returns {Object} Window ({ from?, to? }); to is exclusive
+ * @throws {Error} If a boundary is invalid or the window is empty
+ */
+export function resolveDateRange({ from, to }, timeZone) {
+  const window = {};
+  if (from !== undefined)
+    window.from = parseBoundary(from, "from", timeZone, false);
+  if (to !== undefined) window.to = parseBoundary(to, "to", timeZone, true);
+
+  if (window.from && window.to && window.to <= window.from)
+    throw new Error("to must be after from");
+  return window;
+}
@@ -0,0 +1,33 @@
+// Lifecycle statuses of an event
+export const STATUSES = [
+  "draft",
+  "published",
+  "cancelled",
+  "postponed",
+  "completed",
+];
+
+// Allowed lifecycle transitions: target status -> statuses it can be reached from
+export const STATUS_TRANSITIONS = {
+  published: ["draft", "postponed"],
+  cancelled: ["draft", "published", "postponed"],
+  postponed: ["published"],
+  completed: ["published"],
+};
+
+// Statuses an organizer may pick when creating an event
+export const INITIAL_STATUSES = ["draft", "published"];
+
+/**
+ * Builds the fields written by a lifecycle transition
+ * @param {string} status - Target status
+ * @param {string} [reason] - Reason shown to users
+ * @returns {Object} Status fields
+ */
+export function buildStatusUpdate(status, reason) {
+  return {
+    status,
+    statusReason: reason ? reason.trim() : "",
+    statusChangedAt: new Date(),
+  };
+}
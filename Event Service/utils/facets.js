@@ -0,0 +1,64 @@
+// Price bands used by the price facet; max is exclusive, null means unbounded
+export const PRICE_BUCKETS = [
+  { bucket: "free", min: 0, max: 0 },
+  { bucket: "under-25", min: 0, max: 25 },
+  { bucket: "25-50", min: 25, max: 50 },
+  { bucket: "50-100", min: 50, max: 100 },
+  { bucket: "100-plus", min: 100, max: null },
+];
+
+// Maximum number of cities listed in the city facet
+export const MAX_CITY_FACETS = 50;
+
+/**
+ * Builds the aggregation expression that labels an event with its price band
+ * @returns {Object} $switch expression evaluating to a PRICE_BUCKETS label
+ */
+export function priceBucketExpression() {
+  return {
+    $switch: {
+      branches: PRICE_BUCKETS.map(({ bucket, min, max }) => ({
+        // "free" matches exactly 0; other bands are [min, max) and exclude free events
+        case:
+          max === 0
+            ? { $eq: ["$price", 0] }
+            : {
+                $and: [
+                  { $gt: ["$price", 0] },
+                  { $gte: ["$price", min] },
+                  ...(max === null ? [] : [{ $lt: ["$price", max] }]),
+                ],
+              },
+        then: bucket,
+      })),
+      default: null,
+    },
+  };
+}
+
+/**
+ * Turns raw $facet output into the response format
+ * Price bands are always listed, in order, so the sidebar layout stays stable
+ * @param {Object} raw - Output of the $facet stage ({ categories, cities, prices, months })
+ * @param {Map} categoryNames - Display names by category slug
+ * @returns {Object} Facets ({ categories, cities, priceBuckets, months })
+ */
+export function formatFacets(raw, categoryNames) {
+  const priceCounts = new Map(raw.prices.map((p) => [p._id, p.count]));
+
+  return {
+    categories: raw.categories.map(({ _id, count }) => ({
+      value: _id,
+      name: categoryNames.get(_id) || _id,
+      count,
+    })),
+    cities: raw.cities.map(({ _id, count }) => ({ value: _id, count })),
+    priceBuckets: PRICE_BUCKETS.map(({ bucket, min, max }) => ({
+      value: bucket,
+      min,
+      max,
+      count: priceCounts.get(bucket) || 0,
+    })),
+    months: raw.months.map(({ _id, count }) => ({ value: _id, count })),
+  };
+}
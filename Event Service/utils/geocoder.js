@@ -0,0 +1,129 @@
+// Import the configured geocoding providers
+import { getGeocoder } from "../geocoding/index.js";
+
+// Import the per-country city resolution rules
+import { resolveCity } from "../geocoding/resolveCity.js";
+
+// Re-export the errors callers map to HTTP responses
+export {
+  UNRESOLVED_ADDRESS,
+  UNRESOLVED_COORDINATES,
+  RATE_LIMITED,
+} from "../geocoding/errors.js";
+
+/**
+ * Turns a geocoder result into a location and works out its city
+ * @param {Object} result - Normalized geocoder result (see geocoding/normalize.js)
+ * @param {string} cityError - Error message when the result has no recognizable city
+ * @returns {Object} Location ({ city, address, placeId, lat, lng, provider }); lat/lng are NaN when the provider omits them
+ * @throws {Error} If the result has no recognizable city
+ */
+function toLocation(result, cityError) {
+  // The result has the same shape whichever provider answered.
+  // - displayName: The full, human-readable address (e.g., "123 Bandra Road, Mumbai, Maharashtra, India").
+  // - placeId: A unique identifier for the location from the provider.
+  // - lat / lng: The coordinates of the location.
+  // - address: An object with detailed address components (e.g., city, state, suburb).
+  // - city: Only set on cache entries an admin corrected; it is used as is.
+  const {
+    displayName,
+    placeId,
+    lat,
+    lng,
+    address: addressDetails,
+    provider,
+    city: correctedCity,
+  } = result;
+
+  // Use the city of corrected cache entries without second-guessing it.
+  if (correctedCity) {
+    return {
+      city: correctedCity,
+      address: displayName,
+      placeId,
+      lat,
+      lng,
+      provider,
+    };
+  }
+
+  // Work out the city with the rules of the result's country (see geocoding/cityProfiles.js).
+  const city = resolveCity({ displayName, address: addressDetails });
+
+  // If no candidate passed the rules, send an error.
+  if (!city) {
+    // Log that the city couldn’t be determined.
+    console.log("Geocoder: Could not determine city");
+    // Stop with an error asking for a clearer location.
+    throw new Error(cityError);
+  }
+
+  // Log the successful geocoding result for debugging.
+  console.log(`Geocoder: Success - City: "${city}", Address: "${displayName}"`);
+
+  // Return the geocoded data:
+  // - city: The extracted city name (e.g., "Mumbai").
+  // - address: The full display name (e.g., "123 Bandra Road, Mumbai, Maharashtra, India").
+  // - placeId: The provider's place ID (or empty string if missing).
+  // - lat / lng: The coordinates (NaN if the provider omitted them).
+  // - provider: The provider that answered (e.g., "locationiq").
+  return {
+    city,
+    address: displayName,
+    placeId,
+    lat,
+    lng,
+    provider,
+  };
+}
+
+/**
+ * Geocodes an address with the configured providers and works out its city
+ * @param {string} address - Free-form address (e.g., "123 Bandra Road, Mumbai")
+ * @returns {Promise<Object>} Location ({ city, address, placeId, lat, lng, provider }); lat/lng are NaN when the provider omits them
+ * @throws {Error} If the address cannot be geocoded, has no recognizable city or every provider fails
+ */
+export async function geocode(address) {
+  // Ask the providers in order of preference
+  const result = await getGeocoder().search(address.trim());
+  return toLocation(
+    result,
+    "Could not determine city from the provided address. Please include a clear city name."
+  );
+}
+
+/**
+ * Finds the address and city at a point chosen on a map
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @returns {Promise<Object>} Location ({ city, address, placeId, lat, lng, provider }) with the given coordinates
+ * @throws {Error} If there is no address at the point, it has no recognizable city or every provider fails
+ */
+export async function reverseGeocode(lat, lng) {
+  // Ask the providers in order of preference
+  const result = await getGeocoder().reverse(lat, lng);
+  const location = toLocation(
+    result,
+    "Could not determine city at the provided coordinates. Please choose a point in a city or provide an address."
+  );
+
+  // Keep the point the organizer chose; the provider's coordinates are those of the
+  // nearest building or street
+  return { ...location, lat, lng };
+}
+
+/**
+ * Builds the stored location object from the geocoder output
+ * @param {Object} geocodedLocation - Result of geocode()
+ * @returns {Object} Location with address, placeId and a GeoJSON point when coordinates are known
+ */
+export function buildLocation({ address, placeId, lat, lng }) {
+  const location = { address, placeId };
+
+  // Store coordinates as a GeoJSON point ([longitude, latitude])
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    location.point = { type: "Point", coordinates: [lng, lat] };
+  }
+
+  return location;
+}
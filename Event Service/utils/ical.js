@@ -0,0 +1,151 @@
+// Product identifier written into every calendar (RFC 5545 PRODID)
+const PRODID = "-//Event Finder//Event Service//EN";
+
+// Default domain part of event UIDs (ICAL_UID_DOMAIN overrides it)
+const DEFAULT_UID_DOMAIN = "event-finder";
+
+// VEVENT STATUS values for event lifecycle statuses
+const ICAL_STATUSES = {
+  published: "CONFIRMED",
+  completed: "CONFIRMED",
+  postponed: "TENTATIVE",
+  cancelled: "CANCELLED",
+};
+
+// RFC 5545 limits content lines to 75 octets (excluding the line break)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+/**
+ * Formats a date as a UTC DATE-TIME value (e.g., 20250101T183000Z)
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted value
+ */
+export function formatDate(date) {
+  return new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * Folds a content line into 75-octet chunks joined by CRLF + space
+ * Multi-byte characters are never split across lines
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+export function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, "utf8");
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+}
+
+/**
+ * Builds the VEVENT lines of one event
+ * @param {Object} event - Event document
+ * @param {Date} now - Export timestamp (DTSTAMP)
+ * @returns {string[]} Unfolded content lines
+ */
+function eventLines(event, now) {
+  const lastModified = event.updatedAt || event.createdAt || now;
+  const lines = [
+    "BEGIN:VEVENT",
+    // The UID only depends on the event ID, so re-imports update the entry
+    // ICAL_UID_DOMAIN is read here, since .env is loaded after modules are imported
+    `UID:${event._id}@${process.env.ICAL_UID_DOMAIN || DEFAULT_UID_DOMAIN}`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(event.startsAt)}`,
+    `DTEND:${formatDate(event.endsAt)}`,
+    // SEQUENCE grows with every update so clients replace older copies
+    `SEQUENCE:${Math.floor(new Date(lastModified).getTime() / 1000)}`,
+    `LAST-MODIFIED:${formatDate(lastModified)}`,
+    `SUMMARY:${escapeText(event.name)}`,
+  ];
+
+  // Map lifecycle statuses to VEVENT STATUS values
+  const status = ICAL_STATUSES[event.status];
+  if (status) lines.push(`STATUS:${status}`);
+
+  // Put the cancellation or postponement reason ahead of the description
+  const description = [event.statusReason, event.description]
+    .filter(Boolean)
+    .join("\n\n");
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (event.location?.address) {
+    lines.push(`LOCATION:${escapeText(event.location.address)}`);
+  }
+
+  // GEO uses latitude;longitude, the reverse of GeoJSON order
+  const coordinates = event.location?.point?.coordinates;
+  if (coordinates?.length === 2) {
+    lines.push(`GEO:${coordinates[1]};${coordinates[0]}`);
+  }
+
+  if (event.category) {
+    lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Builds an iCalendar (RFC 5545) document from events
+ * @param {Array} events - Event documents
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.name] - Calendar display name (X-WR-CALNAME)
+ * @param {string} [options.refreshInterval] - Suggested refresh interval for subscriptions (e.g., "PT1H")
+ * @returns {string} The VCALENDAR document with CRLF line breaks
+ */
+export function buildCalendar(events, { name, refreshInterval } = {}) {
+  const now = new Date();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshInterval) {
+    // Standard property plus the widely supported non-standard variant
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`);
+    lines.push(`X-PUBLISHED-TTL:${refreshInterval}`);
+  }
+
+  for (const event of events) lines.push(...eventLines(event, now));
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,57 @@
+// Import sharp for decoding and resizing images
+import sharp from "sharp";
+
+// Image formats accepted for uploads (as detected from the file contents)
+export const ALLOWED_FORMATS = ["jpeg", "png", "webp"];
+
+// Resized variants generated for every uploaded image
+// "cover" crops to the exact size, "inside" keeps the aspect ratio
+const VARIANTS = {
+  thumbnail: { width: 320, height: 180, fit: "cover" },
+  medium: { width: 800, height: 800, fit: "inside" },
+  large: { width: 1600, height: 1600, fit: "inside" },
+};
+
+// Names of the generated variants
+export const IMAGE_VARIANTS = Object.keys(VARIANTS);
+
+// Images larger than this (in pixels) are rejected to protect memory
+const MAX_INPUT_PIXELS = 40_000_000;
+
+/**
+ * Validates an uploaded image and renders its resized variants as WebP
+ * The original file is not kept, which also drops EXIF metadata such as GPS positions
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<Object>} Original dimensions and variants ({ width, height, variants: { name: { buffer, width, height } } })
+ * @throws {Error} If the file is not a supported image
+ */
+export async function processImage(buffer) {
+  // Detect the real format instead of trusting the client's MIME type
+  let metadata;
+  try {
+    metadata = await sharp(buffer, {
+      limitInputPixels: MAX_INPUT_PIXELS,
+    }).metadata();
+  } catch {
+    throw new Error("File is not a valid image");
+  }
+  if (!ALLOWED_FORMATS.includes(metadata.format))
+    throw new Error(`Image format must be one of ${ALLOWED_FORMATS}`);
+
+  const variants = {};
+  for (const [name, { width, height, fit }] of Object.entries(VARIANTS)) {
+    // rotate() applies the EXIF orientation before the metadata is stripped
+    const { data, info } = await sharp(buffer, {
+      limitInputPixels: MAX_INPUT_PIXELS,
+    })
+      .rotate()
+      .resize({ width, height, fit, withoutEnlargement: fit === "inside" })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    variants[name] = { buffer: data, width: info.width, height: info.height };
+  }
+
+  // Report the dimensions as displayed, after applying the EXIF orientation
+  const { width, height } = metadata.autoOrient || metadata;
+  return { width, height, variants };
+}
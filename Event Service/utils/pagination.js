@@ -0,0 +1,127 @@
+// Import Mongoose to rebuild ObjectIds decoded from cursors
+import mongoose from "mongoose";
+
+// Default and maximum page sizes for paginated event listings
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parses and clamps the requested page size
+ * @param {string|number} [limit] - Requested page size from the query string
+ * @returns {number} Page size between 1 and MAX_PAGE_SIZE
+ * @throws {Error} If the limit is not a positive integer
+ */
+export function parseLimit(limit) {
+  // Fall back to the default page size when no limit is given
+  if (limit === undefined || limit === null || limit === "") {
+    return DEFAULT_PAGE_SIZE;
+  }
+
+  const parsed = Number(limit);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error("limit must be a positive integer");
+  }
+
+  // Cap the page size to protect the database
+  return Math.min(parsed, MAX_PAGE_SIZE);
+}
+
+/**
+ * Encodes the position of the last document in a page as an opaque cursor
+ * @param {Object} doc - Last event document of the page
+ * @param {string} sortKey - Name of the sort mode the page was built with (e.g., "dateAsc")
+ * @param {string} field - Document field the page is sorted on (e.g., "date")
+ * @returns {string} Base64url-encoded cursor
+ */
+export function encodeCursor(doc, sortKey, field) {
+  const value = doc[field];
+  const payload = {
+    s: sortKey,
+    // Preserve the type of the sort value so it can be restored exactly
+    t: value instanceof Date ? "date" : typeof value,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decodes an opaque cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the client
+ * @param {string} sortKey - Sort mode of the current request
+ * @returns {Object} Decoded cursor ({ value, id })
+ * @throws {Error} If the cursor is malformed or was issued for another sort mode
+ */
+export function decodeCursor(cursor, sortKey) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+
+  // Reject cursors that are incomplete or reference a malformed id
+  if (
+    !payload ||
+    typeof payload !== "object" ||
+    !("v" in payload) ||
+    !mongoose.Types.ObjectId.isValid(payload.id)
+  ) {
+    throw new Error("Invalid cursor");
+  }
+
+  // A cursor only makes sense for the ordering it was created with
+  if (payload.s !== sortKey) {
+    throw new Error("Cursor does not match the requested sortBy");
+  }
+
+  const value = payload.t === "date" ? new Date(payload.v) : payload.v;
+  if (value instanceof Date && isNaN(value.getTime())) {
+    throw new Error("Invalid cursor");
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+}
+
+/**
+ * Builds the keyset filter that selects documents after the cursor position
+ * Ties on the sort field are broken by _id, so pages stay stable even when
+ * many events share the same date or price
+ * @param {Object} position - Decoded cursor ({ value, id })
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Object} MongoDB filter
+ */
+export function buildCursorFilter({ value, id }, field, direction) {
+  const op = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+  };
+}
+
+/**
+ * Builds a sort specification with _id as the tie-breaker
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Object} MongoDB sort specification
+ */
+export function buildStableSort(field, direction) {
+  return { [field]: direction, _id: direction };
+}
+
+/**
+ * Turns a "limit + 1" result set into a page with cursor metadata
+ * @param {Array} docs - Documents fetched with one extra look-ahead item
+ * @param {number} limit - Requested page size
+ * @param {string} sortKey - Sort mode used to build the page
+ * @param {string} field - Sort field
+ * @returns {Object} Page ({ events, nextCursor, hasMore })
+ */
+export function buildPage(docs, limit, sortKey, field) {
+  const hasMore = docs.length > limit;
+  const events = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore
+    ? encodeCursor(events[events.length - 1], sortKey, field)
+    : null;
+  return { events, nextCursor, hasMore };
+}
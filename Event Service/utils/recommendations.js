@@ -0,0 +1,56 @@
+// Weight of each interest dimension in the recommendation score
+// Events by a followed organizer are the strongest signal, the city the weakest
+export const INTEREST_WEIGHTS = { organizer: 3, category: 2, city: 1 };
+
+// Number of recently liked or commented events the interest profile is built from
+export const MAX_HISTORY_EVENTS = 200;
+
+// Maximum number of categories, cities and organizers kept per profile
+export const MAX_INTERESTS = 10;
+
+/**
+ * Turns raw interest counts into shares of the user's history
+ * @param {Object} raw - Counts per dimension ({ categories, cities, organizers } of { _id, count })
+ * @param {number} total - Number of events the counts were taken from
+ * @returns {Object} Shares per dimension ({ category, city, organizer } of { value, share })
+ */
+export function buildInterestProfile(raw, total) {
+  const shares = (counts) =>
+    counts.map(({ _id, count }) => ({ value: _id, share: count / total }));
+
+  return {
+    category: shares(raw.categories),
+    city: shares(raw.cities),
+    organizer: shares(raw.organizers),
+  };
+}
+
+/**
+ * Builds the aggregation expression scoring an event against an interest profile
+ * Each dimension adds its weight times the share of the history that matched it
+ * @param {Object} profile - Interest profile built by buildInterestProfile
+ * @returns {Object} $add expression evaluating to the score (0 when nothing matches)
+ */
+export function interestScoreExpression(profile) {
+  // Cities are compared case-insensitively, like the city filter
+  const fields = {
+    category: "$category",
+    city: { $toLower: "$city" },
+    organizer: "$userId",
+  };
+
+  // $switch needs at least one branch, so empty dimensions are left out
+  return {
+    $add: Object.entries(fields)
+      .filter(([dimension]) => profile[dimension].length > 0)
+      .map(([dimension, field]) => ({
+        $switch: {
+          branches: profile[dimension].map(({ value, share }) => ({
+            case: { $eq: [field, value] },
+            then: INTEREST_WEIGHTS[dimension] * share,
+          })),
+          default: 0,
+        },
+      })),
+  };
+}
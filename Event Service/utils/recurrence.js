@@ -0,0 +1,303 @@
+// Import wall-clock conversions so rules follow local time
+import { toWallClock, fromWallClock } from "./timeZone.js";
+
+// Supported recurrence frequencies (subset of RFC 5545 FREQ values)
+export const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+// RFC 5545 weekday codes, indexed like Date.prototype.getUTCDay()
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Upper bounds that keep expansion cheap for malformed or huge rules
+const MAX_COUNT = 1000;
+const MAX_INTERVAL = 366;
+const MAX_PERIODS = 5000;
+
+/**
+ * Parses a BYDAY entry such as "MO", "2TU" or "-1FR"
+ * @param {string} entry - BYDAY entry
+ * @returns {Object|null} Parsed entry ({ ordinal, weekday }) or null if invalid
+ */
+function parseByDay(entry) {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(
+    String(entry).toUpperCase()
+  );
+  if (!match) return null;
+
+  const ordinal = match[1] ? parseInt(match[1], 10) : 0;
+  if (ordinal !== 0 && (ordinal < -5 || ordinal > 5)) return null;
+
+  return { ordinal, weekday: WEEKDAYS.indexOf(match[2]) };
+}
+
+/**
+ * Validates and normalizes a recurrence rule from a request body
+ * @param {Object} rule - Raw rule ({ frequency, interval, byDay, until, count })
+ * @returns {Object} Normalized rule
+ * @throws {Error} If the rule is invalid
+ */
+export function normalizeRecurrence(rule) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    throw new Error("recurrence must be an object");
+  }
+
+  // Validate frequency
+  const frequency = String(rule.frequency || "").toUpperCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`recurrence.frequency must be one of ${FREQUENCIES}`);
+  }
+
+  // Validate interval (default 1)
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new Error(
+      `recurrence.interval must be a whole number between 1 and ${MAX_INTERVAL}`
+    );
+  }
+
+  // Validate weekday list; ordinals ("2TU", "-1FR") only make sense monthly
+  let byDay = [];
+  if (rule.byDay !== undefined) {
+    if (!Array.isArray(rule.byDay) || rule.byDay.length === 0) {
+      throw new Error("recurrence.byDay must be a non-empty array");
+    }
+    byDay = rule.byDay.map((entry) => {
+      const parsed = parseByDay(entry);
+      if (!parsed) throw new Error(`Invalid recurrence.byDay value: ${entry}`);
+      if (parsed.ordinal !== 0 && frequency !== "MONTHLY") {
+        throw new Error(
+          "Ordinal recurrence.byDay values are only supported for MONTHLY rules"
+        );
+      }
+      return String(entry).toUpperCase();
+    });
+    if (frequency === "YEARLY") {
+      throw new Error("recurrence.byDay is not supported for YEARLY rules");
+    }
+  }
+
+  // UNTIL and COUNT are mutually exclusive, as in RFC 5545
+  if (rule.until !== undefined && rule.count !== undefined) {
+    throw new Error("recurrence cannot have both until and count");
+  }
+
+  let until = null;
+  if (rule.until !== undefined && rule.until !== null) {
+    until = new Date(rule.until);
+    if (isNaN(until.getTime())) throw new Error("Invalid recurrence.until");
+  }
+
+  let count = null;
+  if (rule.count !== undefined && rule.count !== null) {
+    count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      throw new Error(
+        `recurrence.count must be a whole number between 1 and ${MAX_COUNT}`
+      );
+    }
+  }
+
+  return { frequency, interval, byDay: [...new Set(byDay)], until, count };
+}
+
+/**
+ * Builds a UTC date from parts, keeping the time of day of a reference date
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @param {number} day - Day of month
+ * @param {Date} time - Date whose UTC time of day is reused
+ * @returns {Date} The combined date
+ */
+function atTime(year, month, day, time) {
+  return new Date(
+    Date.UTC(
+      year,
+      month,
+      day,
+      time.getUTCHours(),
+      time.getUTCMinutes(),
+      time.getUTCSeconds(),
+      time.getUTCMilliseconds()
+    )
+  );
+}
+
+/**
+ * Returns the day of month of the nth weekday in a month (negative n counts from the end)
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @param {number} weekday - Weekday (0 = Sunday)
+ * @param {number} ordinal - 1..5 or -1..-5
+ * @returns {number|null} Day of month, or null if the month has no such day
+ */
+function nthWeekdayOfMonth(year, month, weekday, ordinal) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const days = [];
+  for (let d = 1; d <= daysInMonth; d++) {
+    if (new Date(Date.UTC(year, month, d)).getUTCDay() === weekday)
+      days.push(d);
+  }
+  const index = ordinal > 0 ? ordinal - 1 : days.length + ordinal;
+  return days[index] ?? null;
+}
+
+/**
+ * Returns the first instant of a recurrence period
+ * @param {Date} start - Series start (DTSTART)
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {number} k - Period index (0 = period containing the start)
+ * @returns {Date} Start of the period
+ */
+function periodStart(start, { frequency, interval }, k) {
+  const y = start.getUTCFullYear();
+  const m = start.getUTCMonth();
+  const d = start.getUTCDate();
+
+  switch (frequency) {
+    case "DAILY":
+      return new Date(Date.UTC(y, m, d + k * interval));
+    case "WEEKLY":
+      return new Date(
+        Date.UTC(y, m, d - ((start.getUTCDay() + 6) % 7) + k * interval * 7)
+      );
+    case "MONTHLY":
+      return new Date(Date.UTC(y, m + k * interval, 1));
+    default:
+      return new Date(Date.UTC(y + k * interval, 0, 1));
+  }
+}
+
+/**
+ * Lists the candidate dates of one recurrence period, in ascending order
+ * @param {Date} start - Series start (DTSTART)
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {number} k - Period index (0 = period containing the start)
+ * @returns {Date[]} Candidate dates of the period
+ */
+function periodCandidates(start, rule, k) {
+  const { frequency, interval, byDay } = rule;
+  const parsedDays = byDay.map(parseByDay);
+  const y = start.getUTCFullYear();
+  const m = start.getUTCMonth();
+  const d = start.getUTCDate();
+
+  switch (frequency) {
+    case "DAILY": {
+      const date = atTime(y, m, d + k * interval, start);
+      // BYDAY limits which days of a daily rule occur
+      if (
+        parsedDays.length > 0 &&
+        !parsedDays.some((p) => p.weekday === date.getUTCDay())
+      ) {
+        return [];
+      }
+      return [date];
+    }
+    case "WEEKLY": {
+      // Weeks start on Monday (RFC 5545 default WKST)
+      const offsetToMonday = (start.getUTCDay() + 6) % 7;
+      const weekStart = d - offsetToMonday + k * interval * 7;
+      const weekdays =
+        parsedDays.length > 0
+          ? parsedDays.map((p) => p.weekday)
+          : [start.getUTCDay()];
+      return weekdays
+        .map((wd) => atTime(y, m, weekStart + ((wd + 6) % 7), start))
+        .sort((a, b) => a - b);
+    }
+    case "MONTHLY": {
+      const month = m + k * interval;
+      if (parsedDays.length === 0) {
+        // Months without the start's day of month are skipped, as in RFC 5545
+        const date = atTime(y, month, d, start);
+        return date.getUTCDate() === d ? [date] : [];
+      }
+      const monthYear = new Date(Date.UTC(y, month, 1));
+      const dates = [];
+      for (const { ordinal, weekday } of parsedDays) {
+        if (ordinal === 0) {
+          // Every matching weekday of the month
+          for (let n = 1; n <= 5; n++) {
+            const day = nthWeekdayOfMonth(
+              monthYear.getUTCFullYear(),
+              monthYear.getUTCMonth(),
+              weekday,
+              n
+            );
+            if (day) dates.push(atTime(y, month, day, start));
+          }
+        } else {
+          const day = nthWeekdayOfMonth(
+            monthYear.getUTCFullYear(),
+            monthYear.getUTCMonth(),
+            weekday,
+            ordinal
+          );
+          if (day) dates.push(atTime(y, month, day, start));
+        }
+      }
+      // "MO" and "1MO" can select the same day; keep each date once
+      return [...new Set(dates.map((date) => date.getTime()))]
+        .sort((a, b) => a - b)
+        .map((time) => new Date(time));
+    }
+    case "YEARLY": {
+      // Years without the start's date (29 February) are skipped
+      const date = atTime(y + k * interval, m, d, start);
+      return date.getUTCDate() === d ? [date] : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Expands a recurring series into occurrence start dates within a window
+ * COUNT is applied from the series start before exception dates are removed,
+ * matching RFC 5545 semantics. The rule is evaluated on wall-clock times in the
+ * series time zone, so occurrences keep their local weekday and time of day
+ * @param {Date} start - Series start (DTSTART); no occurrence is earlier
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Object} [options] - Expansion options
+ * @param {Date[]} [options.exceptionDates] - Occurrence dates to leave out (EXDATE)
+ * @param {Date} [options.from] - Window start (inclusive)
+ * @param {Date} options.to - Window end (inclusive)
+ * @param {string} [options.timeZone="UTC"] - IANA time zone of the series
+ * @returns {Date[]} Occurrence dates in ascending order
+ */
+export function expandOccurrences(
+  start,
+  rule,
+  { exceptionDates = [], from = start, to, timeZone = "UTC" }
+) {
+  const excluded = new Set(exceptionDates.map((e) => new Date(e).getTime()));
+  const end = rule.until && rule.until < to ? rule.until : to;
+  const occurrences = [];
+  let generated = 0;
+
+  // Compare everything as wall-clock times in the series time zone
+  const localStart = toWallClock(start, timeZone);
+  const localEnd = toWallClock(end, timeZone);
+  const localFrom = toWallClock(from, timeZone);
+
+  for (let k = 0; k < MAX_PERIODS; k++) {
+    const candidates = periodCandidates(localStart, rule, k);
+
+    for (const local of candidates) {
+      // Candidates before DTSTART do not count; DTSTART itself always does
+      if (local < localStart) continue;
+      if (local > localEnd) return occurrences;
+      if (rule.count && generated >= rule.count) return occurrences;
+
+      generated++;
+      const date = fromWallClock(local, timeZone);
+      if (local >= localFrom && !excluded.has(date.getTime())) {
+        occurrences.push(date);
+      }
+    }
+
+    // Stop once the next period starts beyond the window
+    if (periodStart(localStart, rule, k + 1) > localEnd) return occurrences;
+  }
+
+  return occurrences;
+}
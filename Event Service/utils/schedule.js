@@ -0,0 +1,104 @@
+// Import time zone helpers for parsing and rendering local times
+import {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  parseDateTime,
+  formatLocalDateTime,
+  formatLocalRange,
+} from "./timeZone.js";
+
+// Duration of events created without an end time
+export const DEFAULT_DURATION_MINUTES = 120;
+
+// Longest allowed event (multi-day festivals, conferences)
+export const MAX_DURATION_MINUTES = 31 * 24 * 60;
+
+/**
+ * Resolves the start, end and time zone of an event from request data
+ * Fields that are not provided are taken from the current schedule; when only
+ * the start moves, the event keeps its duration
+ * @param {Object} input - Request data ({ startsAt, endsAt, durationMinutes, timeZone })
+ * @param {Object} [current] - Current schedule of the event ({ startsAt, endsAt, timeZone })
+ * @returns {Object} Validated schedule ({ startsAt, endsAt, timeZone })
+ * @throws {Error} If a value is invalid or the end is not after the start
+ */
+export function resolveSchedule(
+  { startsAt, endsAt, durationMinutes, timeZone },
+  current
+) {
+  // Resolve the time zone first; local date-times are read in it
+  const zone = timeZone ?? current?.timeZone ?? DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(zone))
+    throw new Error("timeZone must be an IANA time zone (e.g., Asia/Kolkata)");
+
+  // Resolve the start
+  let start = current?.startsAt;
+  if (startsAt !== undefined) {
+    start = parseDateTime(startsAt, zone);
+    if (isNaN(start.getTime())) throw new Error("Invalid startsAt");
+  }
+  if (!start) throw new Error("startsAt is required");
+
+  // Resolve the end from endsAt, durationMinutes, the current duration or the default
+  if (endsAt !== undefined && durationMinutes !== undefined)
+    throw new Error("Provide either endsAt or durationMinutes, not both");
+  let end;
+  if (endsAt !== undefined) {
+    end = parseDateTime(endsAt, zone);
+    if (isNaN(end.getTime())) throw new Error("Invalid endsAt");
+  } else {
+    let minutes = DEFAULT_DURATION_MINUTES;
+    if (durationMinutes !== undefined) {
+      minutes = Number(durationMinutes);
+      if (!Number.isInteger(minutes) || minutes < 1)
+        throw new Error("durationMinutes must be a positive whole number");
+    } else if (current?.startsAt && current?.endsAt) {
+      minutes = (current.endsAt - current.startsAt) / 60000;
+    }
+    end = new Date(start.getTime() + minutes * 60000);
+  }
+
+  // Validate the resulting duration
+  if (end <= start) throw new Error("endsAt must be after startsAt");
+  if (end - start > MAX_DURATION_MINUTES * 60000)
+    throw new Error(
+      `Events cannot last longer than ${MAX_DURATION_MINUTES / (24 * 60)} days`
+    );
+
+  return { startsAt: start, endsAt: end, timeZone: zone };
+}
+
+/**
+ * Computes the duration and local-time renderings of an event for responses
+ * @param {Object} event - Event document or plain object with startsAt, endsAt and timeZone
+ * @returns {Object} Fields to add ({ durationMinutes, local: { startsAt, endsAt, timeZone, display } }), or {} without a schedule
+ */
+export function scheduleFields({ startsAt, endsAt, timeZone }) {
+  if (!startsAt || !endsAt) return {};
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+
+  return {
+    durationMinutes: Math.round((end - start) / 60000),
+    local: {
+      startsAt: formatLocalDateTime(start, zone),
+      endsAt: formatLocalDateTime(end, zone),
+      timeZone: zone,
+      display: formatLocalRange(start, end, zone),
+    },
+  };
+}
+
+/**
+ * Computes the schedule fields of an event response, including the deprecated `date`
+ * `date` repeats startsAt for clients written before events had an end; it is
+ * kept for one release and then removed
+ * @param {Object} event - Event document or plain object with startsAt, endsAt and timeZone
+ * @returns {Object} Fields to add ({ date, durationMinutes, local }), or {} without a schedule
+ */
+export function eventScheduleFields(event) {
+  const fields = scheduleFields(event);
+  if (event.startsAt) fields.date = event.startsAt;
+  return fields;
+}
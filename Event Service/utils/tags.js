@@ -0,0 +1,57 @@
+// Limits that keep tags short and listings readable
+export const MAX_TAGS = 10;
+export const MIN_TAG_LENGTH = 2;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalizes one tag: lowercase, words joined by single hyphens,
+ * and only letters, digits and hyphens (e.g., " Free  Parking! " -> "free-parking")
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag (may be empty)
+ */
+export function normalizeTag(tag) {
+  return String(tag)
+    .toLowerCase()
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{N}-]/gu, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Validates and normalizes the tags of an event
+ * @param {Array|string} tags - Tags as an array or a comma-separated string
+ * @returns {string[]} Unique normalized tags in their original order
+ * @throws {Error} If a tag is too short or too long, or there are too many tags
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === "string" ? tags.split(",") : tags;
+  if (!Array.isArray(list))
+    throw new Error("tags must be an array or a comma-separated string");
+
+  const normalized = [];
+  for (const raw of list) {
+    const tag = normalizeTag(raw);
+    if (tag === "") continue;
+    if (tag.length < MIN_TAG_LENGTH || tag.length > MAX_TAG_LENGTH)
+      throw new Error(
+        `Tags must be between ${MIN_TAG_LENGTH} and ${MAX_TAG_LENGTH} characters: ${raw}`
+      );
+    if (!normalized.includes(tag)) normalized.push(tag);
+  }
+
+  if (normalized.length > MAX_TAGS)
+    throw new Error(`An event can have at most ${MAX_TAGS} tags`);
+
+  return normalized;
+}
+
+/**
+ * Escapes a string for literal use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
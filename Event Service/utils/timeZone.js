@@ -0,0 +1,207 @@
+// Time zone used when an event or request does not name one (most of our audience is in India)
+export const DEFAULT_TIME_ZONE = "Asia/Kolkata";
+
+// Locale used for human-readable local times
+const DISPLAY_LOCALE = "en-IN";
+
+// Date-time strings without a UTC offset (e.g., "2025-01-10T19:00") are local wall-clock times
+const LOCAL_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+// Formatters are comparatively expensive to create, so keep one per time zone
+const partFormatters = new Map();
+
+/**
+ * Checks whether a string is a time zone name known to the runtime (IANA, e.g., "Asia/Kolkata")
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if the time zone can be used
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} Parts ({ year, month (0-based), day, hour, minute, second })
+ */
+export function zonedParts(date, timeZone) {
+  let formatter = partFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    partFormatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return { ...parts, month: parts.month - 1 };
+}
+
+/**
+ * Returns the UTC offset of a time zone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (e.g., 330 for Asia/Kolkata)
+ */
+export function timeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month, day, hour, minute, second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClock - instant) / 60000);
+}
+
+/**
+ * Converts a wall-clock time in a time zone into an instant
+ * Times skipped by a daylight saving change resolve to the later offset
+ * @param {Object} parts - Wall-clock parts; overflowing values roll over, as with Date.UTC
+ * @param {number} parts.year - Full year
+ * @param {number} parts.month - Zero-based month
+ * @param {number} parts.day - Day of month
+ * @param {number} [parts.hour=0] - Hour
+ * @param {number} [parts.minute=0] - Minute
+ * @param {number} [parts.second=0] - Second
+ * @param {number} [parts.millisecond=0] - Millisecond
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant
+ */
+export function zonedTime(
+  { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 },
+  timeZone
+) {
+  const wallClock = Date.UTC(
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond
+  );
+
+  // Guess with the offset at the wall-clock time, then correct once for DST changes
+  const guess =
+    wallClock - timeZoneOffset(new Date(wallClock), timeZone) * 60000;
+  const offset = timeZoneOffset(new Date(guess), timeZone);
+  const corrected = new Date(wallClock - offset * 60000);
+
+  // The corrected instant only disagrees with its own offset inside a DST gap
+  return timeZoneOffset(corrected, timeZone) === offset
+    ? corrected
+    : new Date(guess);
+}
+
+/**
+ * Shifts an instant so its UTC fields show the wall-clock time in a time zone
+ * Used to run calendar arithmetic (e.g., recurrence rules) in local time
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Wall-clock time encoded as UTC
+ */
+export function toWallClock(date, timeZone) {
+  return new Date(date.getTime() + timeZoneOffset(date, timeZone) * 60000);
+}
+
+/**
+ * Reverses toWallClock: reads UTC fields as a wall-clock time in a time zone
+ * @param {Date} wallClock - Wall-clock time encoded as UTC
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant
+ */
+export function fromWallClock(wallClock, timeZone) {
+  return zonedTime(
+    {
+      year: wallClock.getUTCFullYear(),
+      month: wallClock.getUTCMonth(),
+      day: wallClock.getUTCDate(),
+      hour: wallClock.getUTCHours(),
+      minute: wallClock.getUTCMinutes(),
+      second: wallClock.getUTCSeconds(),
+      millisecond: wallClock.getUTCMilliseconds(),
+    },
+    timeZone
+  );
+}
+
+/**
+ * Parses a date-time from a request
+ * Values with an offset (or "Z") are absolute; values without one are read as
+ * wall-clock times in the given time zone
+ * @param {string|Date} value - Date-time value (e.g., "2025-01-10T19:00" or "2025-01-10T13:30:00Z")
+ * @param {string} timeZone - IANA time zone for values without an offset
+ * @returns {Date} Parsed instant (an invalid Date if the value cannot be parsed)
+ */
+export function parseDateTime(value, timeZone) {
+  const match = typeof value === "string" && value.match(LOCAL_DATE_TIME);
+  if (!match) return new Date(value);
+
+  const [, year, month, day, hour, minute, second = "0", ms = "0"] = match;
+  return zonedTime(
+    {
+      year: Number(year),
+      month: Number(month) - 1,
+      day: Number(day),
+      hour: Number(hour),
+      minute: Number(minute),
+      second: Number(second),
+      millisecond: Number(ms.padEnd(3, "0")),
+    },
+    timeZone
+  );
+}
+
+/**
+ * Formats an instant as an ISO 8601 local time with offset (e.g., 2025-01-10T19:00:00+05:30)
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Local date-time
+ */
+export function formatLocalDateTime(date, timeZone) {
+  const pad = (n) => String(Math.abs(n)).padStart(2, "0");
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const offset = timeZoneOffset(date, timeZone);
+  const sign = offset < 0 ? "-" : "+";
+
+  return (
+    `${year}-${pad(month + 1)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(
+      second
+    )}` + `${sign}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`
+  );
+}
+
+/**
+ * Formats a time range for display (e.g., "Fri, 10 Jan, 2025, 7:00 – 9:00 pm IST")
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Human-readable local range
+ */
+export function formatLocalRange(start, end, timeZone) {
+  return new Intl.DateTimeFormat(DISPLAY_LOCALE, {
+    timeZone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).formatRange(start, end);
+}